@@ -1,448 +1,1571 @@
-import React, { useRef, useEffect, useState, useMemo, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
-import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
-import { Slider } from "@/components/ui/slider";
-import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
-import { Activity, Loader } from "lucide-react";
-
-const workerCode = `
-  function debugLog(message) {
-    self.postMessage({ type: 'debug', message: 'Worker: ' + message });
-  }
-
-  debugLog('Worker initialized');
-
-  function fft(re, im) {
-    const n = re.length;
-    for (let i = 0; i < n; i++) {
-      if (i < reverseIndex(i, n)) {
-        [re[i], re[reverseIndex(i, n)]] = [re[reverseIndex(i, n)], re[i]];
-        [im[i], im[reverseIndex(i, n)]] = [im[reverseIndex(i, n)], im[i]];
-      }
-    }
-
-    for (let size = 2; size <= n; size *= 2) {
-      const halfsize = size / 2;
-      const tablestep = n / size;
-      for (let i = 0; i < n; i += size) {
-        for (let j = i, k = 0; j < i + halfsize; j++, k += tablestep) {
-          const tpre =  re[j+halfsize] * Math.cos(2*Math.PI*k/n) + im[j+halfsize] * Math.sin(2*Math.PI*k/n);
-          const tpim = -re[j+halfsize] * Math.sin(2*Math.PI*k/n) + im[j+halfsize] * Math.cos(2*Math.PI*k/n);
-          re[j + halfsize] = re[j] - tpre;
-          im[j + halfsize] = im[j] - tpim;
-          re[j] += tpre;
-          im[j] += tpim;
-        }
-      }
-    }
-  }
-
-  function reverseIndex(index, n) {
-    let reversed = 0;
-    for (let i = 0; i < Math.log2(n); i++) {
-      reversed = (reversed << 1) | (index & 1);
-      index >>= 1;
-    }
-    return reversed;
-  }
-
-  function ifft(re, im) {
-    fft(re, im);
-    const n = re.length;
-    for (let i = 0; i < n; i++) {
-      re[i] /= n;
-      im[i] /= n;
-    }
-    im.forEach((x, i) => im[i] = -x);
-  }
-
-  function morlet(t, scale, centralFrequency = 6) {
-    const norm = Math.sqrt(1 / scale);
-    const exp1 = Math.exp(-(t * t) / (2 * scale * scale));
-    return norm * exp1 * Math.cos(centralFrequency * t / scale);
-  }
-
-  function mexicanHat(t, scale) {
-    const norm = Math.sqrt(2 / (Math.sqrt(3) * Math.PI ** 0.25));
-    const x = t / scale;
-    return norm * (1 - x * x) * Math.exp(-x * x / 2) / Math.sqrt(scale);
-  }
-
-  function cwt(signal, scales, waveletFunction) {
-    debugLog('Starting CWT calculation');
-    const N = signal.length;
-    debugLog('Signal length: ' + N);
-    debugLog('Number of scales: ' + scales.length);
-
-    const paddedLength = Math.pow(2, Math.ceil(Math.log2(N * 2)));
-    debugLog('Padded length: ' + paddedLength);
-
-    const paddedSignal = new Float64Array(paddedLength);
-    paddedSignal.set(signal);
-
-    const signalRe = new Float64Array(paddedLength);
-    const signalIm = new Float64Array(paddedLength);
-    signalRe.set(paddedSignal);
-
-    debugLog('Calculating signal FFT');
-    fft(signalRe, signalIm);
-
-    const W = new Float64Array(scales.length * N);
-
-    for (let i = 0; i < scales.length; i++) {
-      debugLog('Processing scale ' + (i + 1) + ' of ' + scales.length);
-      const scale = scales[i];
-      const waveletRe = new Float64Array(paddedLength);
-      const waveletIm = new Float64Array(paddedLength);
-
-      for (let t = 0; t < paddedLength; t++) {
-        const shiftedT = t - N / 2;
-        waveletRe[t] = waveletFunction(shiftedT, scale);
-      }
-
-      debugLog('Calculating wavelet FFT for scale ' + scale);
-      fft(waveletRe, waveletIm);
-
-      const convolutionRe = new Float64Array(paddedLength);
-      const convolutionIm = new Float64Array(paddedLength);
-
-      for (let j = 0; j < paddedLength; j++) {
-        convolutionRe[j] = signalRe[j] * waveletRe[j] + signalIm[j] * waveletIm[j];
-        convolutionIm[j] = signalIm[j] * waveletRe[j] - signalRe[j] * waveletIm[j];
-      }
-
-      debugLog('Calculating convolution for scale ' + scale);
-      ifft(convolutionRe, convolutionIm);
-
-      for (let t = 0; t < N; t++) {
-        W[i * N + t] = Math.sqrt(convolutionRe[t] * convolutionRe[t] + convolutionIm[t] * convolutionIm[t]) / Math.sqrt(scale);
-      }
-    }
-
-    debugLog('CWT calculation complete');
-    return W;
-  }
-
-  self.onmessage = function(e) {
-    debugLog('Worker received message');
-    const { signal, scales, waveletType } = e.data;
-    debugLog('Message contents: ' + JSON.stringify({ signalLength: signal.length, scalesLength: scales.length, waveletType }));
-    
-    try {
-      const waveletFunction = waveletType === 'morlet' ? morlet : mexicanHat;
-      const result = cwt(signal, scales, waveletFunction);
-      
-      debugLog('CWT calculation complete. Result size: ' + result.length);
-      self.postMessage({ type: 'result', data: result.buffer }, [result.buffer]);
-    } catch (error) {
-      debugLog('Error in worker: ' + error.message);
-      self.postMessage({ type: 'error', message: error.message });
-    }
-  }
-
-  debugLog('Worker setup complete');
-`;
-
-const ContinuousWaveletTransformVisualizer = () => {
-  const [signal, setSignal] = useState([]);
-  const [cwtResult, setCwtResult] = useState([]);
-  const [isCalculating, setIsCalculating] = useState(false);
-  const [waveletType, setWaveletType] = useState('morlet');
-  const [signalType, setSignalType] = useState('sine');
-  const [frequency, setFrequency] = useState(1);
-  const [amplitude, setAmplitude] = useState(1);
-  const [noiseLevel, setNoiseLevel] = useState(0);
-  const [scales, setScales] = useState([]);
-  const [debugInfo, setDebugInfo] = useState('');
-  const workerRef = useRef(null);
-  const cwtImageRef = useRef(null);
-
-  const addDebugInfo = useCallback((message) => {
-    console.log(message);
-    setDebugInfo(prev => prev + '\n' + message);
-  }, []);
-
-  useEffect(() => {
-    if (!workerRef.current) {
-      addDebugInfo('Creating Web Worker');
-      const blob = new Blob([workerCode], { type: 'application/javascript' });
-      workerRef.current = new Worker(URL.createObjectURL(blob));
-      addDebugInfo('Web Worker created');
-
-      workerRef.current.onmessage = (e) => {
-        const { type, data, message } = e.data;
-        if (type === 'result') {
-          addDebugInfo('Received result from worker');
-          const result = new Float64Array(data);
-          addDebugInfo('Result array created with length: ' + result.length);
-          
-          const formattedResult = [];
-          const numScales = 100;
-          const signalLength = 1000;
-          
-          for (let i = 0; i < numScales; i++) {
-            formattedResult.push(Array.from(result.subarray(i * signalLength, (i + 1) * signalLength)));
-          }
-          
-          addDebugInfo('Formatted result created with length: ' + formattedResult.length);
-          setCwtResult(formattedResult);
-          setIsCalculating(false);
-          addDebugInfo('CWT calculation complete. Result size: ' + formattedResult.length);
-        } else if (type === 'debug') {
-          addDebugInfo(message);
-        } else if (type === 'error') {
-          addDebugInfo('Error: ' + message);
-          setIsCalculating(false);
-        }
-      };
-
-      workerRef.current.onerror = (error) => {
-        addDebugInfo('Worker error: ' + error.message);
-        setIsCalculating(false);
-      };
-    }
-
-    return () => {
-      if (workerRef.current) {
-        addDebugInfo('Terminating worker');
-        workerRef.current.terminate();
-        workerRef.current = null;
-      }
-    };
-  }, [addDebugInfo]);
-
-  const generateSignalAndScales = useCallback(() => {
-    addDebugInfo('Generating new signal and scales');
-    const newSignal = [];
-    for (let i = 0; i < 1000; i++) {
-      const t = i / 999;
-      let value;
-      switch (signalType) {
-        case 'sine':
-          value = amplitude * Math.sin(2 * Math.PI * frequency * t);
-          break;
-        case 'square':
-          value = amplitude * Math.sign(Math.sin(2 * Math.PI * frequency * t));
-          break;
-        case 'sawtooth':
-          value = amplitude * (2 * (frequency * t - Math.floor(0.5 + frequency * t)));
-          break;
-        case 'chirp':
-          value = amplitude * Math.sin(2 * Math.PI * frequency * t * t);
-          break;
-        default:
-          value = 0;
-      }
-      value += (Math.random() - 0.5) * noiseLevel;
-      newSignal.push({ t, value });
-    }
-    setSignal(newSignal);
-
-    const newScales = Array.from({ length: 100 }, (_, i) => 10 - i * 0.1);
-    setScales(newScales);
-    
-    addDebugInfo('Signal and scales updated: ' + JSON.stringify({ signalLength: newSignal.length, scalesLength: newScales.length }));
-  }, [signalType, frequency, amplitude, noiseLevel, addDebugInfo]);
-
-  useEffect(() => {
-    generateSignalAndScales();
-  }, [generateSignalAndScales]);
-
-  useEffect(() => {
-    if (signal.length === 0 || scales.length === 0 || !workerRef.current) {
-      addDebugInfo('Signal, scales, or worker not ready');
-      return;
-    }
-    
-    setIsCalculating(true);
-    const signalArray = new Float64Array(signal.map(s => s.value));
-    const scalesArray = new Float64Array(scales);
-    
-    addDebugInfo('Sending message to worker: ' + JSON.stringify({ signalLength: signalArray.length, scalesLength: scalesArray.length, waveletType }));
-    
-    workerRef.current.postMessage({
-      signal: signalArray,
-      scales: scalesArray,
-      waveletType: waveletType
-    });
-  }, [signal, scales, waveletType, addDebugInfo]);
-
-  const renderCWT = useCallback(() => {
-    if (cwtResult.length === 0) {
-      addDebugInfo('No CWT result to render');
-      return null;
-    }
-
-    addDebugInfo('Rendering CWT: ' + JSON.stringify({ resultSize: cwtResult.length, firstRowSize: cwtResult[0].length }));
-
-    const canvas = document.createElement('canvas');
-    canvas.width = 1000;
-    canvas.height = 100;
-    const ctx = canvas.getContext('2d');
-    const imageData = ctx.createImageData(1000, 100);
-
-    const maxValue = Math.max(...cwtResult.flat());
-    addDebugInfo('Max CWT value: ' + maxValue);
-
-    for (let y = 0; y < 100; y++) {
-      for (let x = 0; x < 1000; x++) {
-        const i = (y * 1000 + x) * 4;
-        const value = cwtResult[y][x] / maxValue;
-        const intensity = Math.floor(value * 255);
-        
-        imageData.data[i] = intensity;
-        imageData.data[i + 1] = intensity < 128 ? intensity : 255 - intensity;
-        imageData.data[i + 2] = 255 - intensity;
-        imageData.data[i + 3] = 255;
-      }
-    }
-
-    ctx.putImageData(imageData, 0, 0);
-    return canvas.toDataURL();
-  }, [cwtResult, addDebugInfo]);
-
-  useEffect(() => {
-    if (cwtResult.length > 0) {
-      const imageUrl = renderCWT();
-      if (imageUrl) {
-        cwtImageRef.current = imageUrl;
-      }
-    }
-  }, [cwtResult, renderCWT]);
-
-  return (
-    <div className="flex flex-col items-center p-4 sm:p-6 lg:p-8 bg-gray-900 text-white min-h-screen">
-      <h1 className="text-3xl sm:text-4xl font-bold mb-6">Continuous Wavelet Transform Visualizer</h1>
-      
-      <div className="w-full max-w-6xl space-y-6">
-        <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4">
-          <Select value={waveletType} onValueChange={setWaveletType}>
-            <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
-              <SelectValue placeholder="Wavelet Type" />
-            </SelectTrigger>
-            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
-              <SelectItem value="morlet" className="hover:bg-gray-700">Morlet</SelectItem>
-              <SelectItem value="mexicanHat" className="hover:bg-gray-700">Mexican Hat</SelectItem>
-            </SelectContent>
-          </Select>
-          <Select value={signalType} onValueChange={setSignalType}>
-            <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
-              <SelectValue placeholder="Signal Type" />
-            </SelectTrigger>
-            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
-              <SelectItem value="sine" className="hover:bg-gray-700">Sine Wave</SelectItem>
-              <SelectItem value="square" className="hover:bg-gray-700">Square Wave</SelectItem>
-              <SelectItem value="sawtooth" className="hover:bg-gray-700">Sawtooth Wave</SelectItem>
-              <SelectItem value="chirp" className="hover:bg-gray-700">Chirp Signal</SelectItem>
-            </SelectContent>
-          </Select>
-        </div>
-        
-        <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-300 mb-2">Frequency</label>
-            <Slider
-              value={[frequency]}
-              onValueChange={([value]) => setFrequency(value)}
-              min={0.1}
-              max={10}
-              step={0.1}
-              className="w-full"
-            />
-            <span className="text-sm text-gray-400 mt-1 block">{frequency.toFixed(1)} Hz</span>
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-300 mb-2">Amplitude</label>
-            <Slider
-              value={[amplitude]}
-              onValueChange={([value]) => setAmplitude(value)}
-              min={0.1}
-              max={2}
-              step={0.1}
-              className="w-full"
-            />
-            <span className="text-sm text-gray-400 mt-1 block">{amplitude.toFixed(1)}</span>
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-300 mb-2">Noise Level</label>
-            <Slider
-              value={[noiseLevel]}
-              onValueChange={([value]) => setNoiseLevel(value)}
-              min={0}
-              max={1}
-              step={0.05}
-              className="w-full"
-            />
-            <span className="text-sm text-gray-400 mt-1 block">{noiseLevel.toFixed(2)}</span>
-          </div>
-        </div>
-      </div>
-      
-      <div className="mt-8 w-full max-w-6xl">
-        <h2 className="text-2xl font-bold mb-4">Input Signal</h2>
-        <div className="h-[200px] w-full">
-          <ResponsiveContainer width="100%" height="100%">
-            <LineChart data={signal}>
-              <XAxis
-                dataKey="t"
-                domain={['auto', 'auto']}
-                tickCount={5}
-                tickFormatter={(value) => value.toFixed(2)}
-              />
-              <YAxis 
-                width={50}
-                domain={['auto', 'auto']}
-                tickCount={5}
-                tickFormatter={(value) => value.toFixed(2)}
-              />
-              <Tooltip />
-              <Line type="monotone" dataKey="value" stroke="#8884d8" dot={false} strokeWidth={2} />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-      </div>
-      
-      <div className="mt-8 w-full max-w-6xl">
-        <h2 className="text-2xl font-bold mb-4">Continuous Wavelet Transform</h2>
-        {isCalculating ? (
-          <div className="flex items-center justify-center h-[300px] bg-gray-800 rounded-lg">
-            <Loader className="h-8 w-8 animate-spin text-blue-500" />
-            <span className="ml-2 text-lg">Calculating CWT...</span>
-          </div>
-        ) : cwtImageRef.current ? (
-          <div className="relative">
-            <img src={cwtImageRef.current} alt="CWT Scaleogram" className="w-full h-[300px] object-cover rounded-lg" />
-            <div className="absolute left-2 top-0 h-full flex flex-col justify-between text-xs">
-              <span className="bg-black bg-opacity-50 px-1 rounded">High Freq</span>
-              <span className="bg-black bg-opacity-50 px-1 rounded">Low Freq</span>
-            </div>
-          </div>
-        ) : (
-          <div className="flex items-center justify-center h-[300px] bg-gray-800 rounded-lg text-red-500 text-lg">
-            No CWT result available
-          </div>
-        )}
-      </div>
-      
-      <div className="mt-8 w-full max-w-6xl">
-        <h2 className="text-2xl font-bold mb-4">Debug Information</h2>
-        <pre className="bg-gray-800 p-4 rounded-lg overflow-auto max-h-60 text-xs">
-          {debugInfo}
-        </pre>
-      </div>
-      
-      <Alert className="mt-8 w-full max-w-6xl bg-blue-900 border-blue-700">
-        <Activity className="h-4 w-4 text-blue-400" />
-        <AlertTitle className="text-blue-300">About the CWT</AlertTitle>
-        <AlertDescription className="text-blue-100">
-          The Continuous Wavelet Transform (CWT) shown above is calculated using an optimized implementation of the transform. 
-          The x-axis represents time, the y-axis represents scale (inverse of frequency, with high frequencies at the top), 
-          and the color intensity represents the magnitude of the wavelet coefficients. Brighter colors indicate stronger 
-          correlation between the signal and the wavelet at that time and scale.
-        </AlertDescription>
-      </Alert>
-    </div>
-  );
-};
-
+import { useRef, useEffect, useState, useMemo, useCallback } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
+import { Button } from "@/components/ui/button";
+import { Activity, Loader } from "lucide-react";
+import SignalImport from "@/components/SignalImport";
+import LiveScalogram from "@/components/LiveScalogram";
+import ScalogramImage, { ContourOverlay } from "@/components/ScalogramImage";
+import SecondSignalInput from "@/components/SecondSignalInput";
+import CoherencePanel from "@/components/CoherencePanel";
+import ModeReconstruction from "@/components/ModeReconstruction";
+import RidgePanel from "@/components/RidgePanel";
+import GlobalSpectrum from "@/components/GlobalSpectrum";
+import ScaleAveragedPower from "@/components/ScaleAveragedPower";
+import ColorBar from "@/components/ColorBar";
+import ScalogramSurface from "@/components/ScalogramSurface";
+import ExportMenu from "@/components/ExportMenu";
+import PresetManager from "@/components/PresetManager";
+import SignalComposer from "@/components/SignalComposer";
+import ComparisonWorkspace from "@/components/ComparisonWorkspace";
+import SpectrogramPanel from "@/components/SpectrogramPanel";
+import DwtPanel from "@/components/DwtPanel";
+import { coefficientViews, coefficientView } from "@/dsp/views";
+import { wavelets, defaultParameters } from "@/dsp/wavelets";
+import { scaleGrid } from "@/dsp/scales";
+import { globalWaveletSpectrum, fourierSpectrum, scaleAveragedPower } from "@/dsp/spectra";
+import { noiseBackgrounds, noiseBackground, significanceThresholds } from "@/dsp/significance";
+import { stftWindows } from "@/dsp/stft";
+import { dwtWavelets } from "@/dsp/dwtFilters";
+import { extensionModes } from "@/dsp/dwt";
+import { colormaps, colormapFor, seriesColors } from "@/lib/colormap";
+import { colorScalings, colorScale } from "@/lib/colorScale";
+import { formatFrequency, formatTime } from "@/lib/format";
+import { contourPath, linePath } from "@/lib/contours";
+import { renderScalogramImage } from "@/lib/scalogramImage";
+import { FULL_VIEW } from "@/lib/viewport";
+import { decodeSettings, encodeSettings } from "@/lib/settings";
+import {
+  waveforms, noiseTypes, defaultWaveformParameters, instantaneousFrequency, generateWaveform, composeSignal, validComponent
+} from "@/signals/generators";
+
+const MIN_SAMPLE_COUNT = 64;
+const MAX_SAMPLE_COUNT = 16384;
+// Sampling rates on offer, wide enough for imported recordings up to
+// 192 kHz audio.
+const MIN_SAMPLING_RATE = 1;
+const MAX_SAMPLING_RATE = 192000;
+// Wider results are decimated to this many columns when drawn.
+const MAX_CANVAS_WIDTH = 2048;
+// Significance contours, weakest first.
+const SIGNIFICANCE_LEVELS = [
+  { level: 0.9, label: '90%', style: 'dotted', strokeWidth: 1, strokeDasharray: '2 3' },
+  { level: 0.95, label: '95%', style: 'dashed', strokeWidth: 1.5, strokeDasharray: '6 3' },
+  { level: 0.99, label: '99%', style: 'solid', strokeWidth: 2 },
+];
+// A composed signal to start from: a steady tone, a later and higher one
+// switched on part way, a short burst and an impulse.
+const DEFAULT_COMPONENTS = [
+  { type: 'sine', frequency: 5, amplitude: 1, phase: 0, start: 0, end: 1 },
+  { type: 'sine', frequency: 20, amplitude: 0.5, phase: 0, start: 0.4, end: 0.7 },
+  { type: 'burst', time: 0.2, amplitude: 1, frequency: 40, width: 0.01 },
+  { type: 'impulse', time: 0.85, amplitude: 2 },
+];
+// One line per feature for the About box; the README has the details.
+const ABOUT_ITEMS = [
+  ['Cone of influence', 'the shaded edges are within one e-folding time of either end, where zero padding biases the transform; they can be left out of the colour range and exports.'],
+  ['Significance', 'contours test wavelet power against a white or red noise background estimated from the signal, with a chi-squared test at each scale.'],
+  ['Coherence', 'with a second signal, the cross-wavelet spectrum shows common power and the wavelet coherence a localised correlation, tested against red noise by Monte Carlo simulation.'],
+  ['Synchrosqueezing', 'moves each coefficient to the instantaneous frequency given by its phase, sharpening tones and chirps into lines from which modes can be reconstructed.'],
+  ['Ridges', 'follow the strongest paths through the plane and report instantaneous frequency and amplitude along each.'],
+  ['Spectra', 'the global wavelet spectrum averages power over time beside the Fourier periodogram; scale-averaged power tracks the variance in a band of scales.'],
+  ['Zoom', 'scroll over the scalogram (Shift for time only, Alt for frequency only), drag to pan and Shift-drag to zoom to a box; the input signal follows the time range.'],
+  ['Colours', 'perceptually uniform colormaps, log or decibel scaling, and a colour range clipped at percentiles so a few strong coefficients do not wash out weak ones.'],
+  ['3D surface', 'the modulus as a landscape over time and frequency, with a slice plane swept through either axis.'],
+  ['Compare', 'two to four wavelets or scale grids side by side, with linked zoom and crosshair and an optional shared colour range.'],
+  ['STFT', 'a spectrogram on the scalogram\'s frequency rows, whose fixed window gives every frequency the same resolution.'],
+  ['DWT', 'splits the input signal into octave bands with Haar, Daubechies, symlet or coiflet filters and rebuilds it exactly.'],
+  ['Export', 'the figure as PNG or SVG, the coefficients with their axes as CSV, JSON or NumPy .npz, and the input signal.'],
+  ['Links and presets', 'the address bar always holds the current settings, noise seed included; named presets are kept in the browser and move as JSON.'],
+  ['Signals', 'chirps, AM and FM tones, pulses and damped oscillations with white, pink or brown noise, or a composer that sums switched waveforms, impulses, steps and bursts.'],
+];
+// Settings kept in permalinks and presets, with the values each may take.
+// `waveletParameters` and `signalParameters` hold those of the selected
+// wavelet and waveform only, and `components` those of a composed signal.
+const SETTINGS = {
+  waveletType: { type: 'enum', values: Object.keys(wavelets) },
+  waveletParameters: { type: 'record' },
+  transformMode: { type: 'enum', values: ['cwt', 'synchrosqueezed'] },
+  coefficientViewType: { type: 'enum', values: Object.keys(coefficientViews) },
+  signalSource: { type: 'enum', values: ['generated', 'composed'] },
+  signalType: { type: 'enum', values: Object.keys(waveforms) },
+  signalParameters: { type: 'record' },
+  components: { type: 'list', validate: validComponent },
+  frequency: { type: 'number', min: 0.1, max: 10 },
+  amplitude: { type: 'number', min: 0.1, max: 2 },
+  noiseType: { type: 'enum', values: Object.keys(noiseTypes) },
+  noiseLevel: { type: 'number', min: 0, max: 1 },
+  seed: { type: 'integer', min: 0, max: 2 ** 32 - 1 },
+  samplingRate: { type: 'number', min: MIN_SAMPLING_RATE, max: MAX_SAMPLING_RATE },
+  sampleCount: { type: 'integer', min: MIN_SAMPLE_COUNT, max: MAX_SAMPLE_COUNT },
+  minFrequency: { type: 'number', min: 0.1, below: 'maxFrequency' },
+  maxFrequency: { type: 'number', min: 0.1 },
+  voicesPerOctave: { type: 'integer', min: 1, max: 32 },
+  scaleSpacing: { type: 'enum', values: ['log', 'linear'] },
+  colormap: { type: 'enum', values: Object.keys(colormaps) },
+  colorScaling: { type: 'enum', values: Object.keys(colorScalings) },
+  lowerPercentile: { type: 'number', min: 0, max: 49 },
+  upperPercentile: { type: 'number', min: 51, max: 100 },
+  coiDisplay: { type: 'enum', values: ['hatched', 'dimmed', 'hidden'] },
+  maskCoi: { type: 'boolean' },
+  significanceBackground: { type: 'enum', values: ['none'].concat(Object.keys(noiseBackgrounds)) },
+  ridgeCount: { type: 'integer', min: 0, max: seriesColors.length - 1 },
+  ridgePenalty: { type: 'number', min: 0.01, max: 1000 },
+  showSpectrogram: { type: 'boolean' },
+  stftWindow: { type: 'enum', values: Object.keys(stftWindows) },
+  stftWindowLength: { type: 'integer', min: 8, max: 8192 },
+  stftHopSize: { type: 'integer', min: 1, max: 8192 },
+  showDwt: { type: 'boolean' },
+  dwtWavelet: { type: 'enum', values: Object.keys(dwtWavelets) },
+  dwtLevel: { type: 'integer', min: 1, max: 14 },
+  dwtMode: { type: 'enum', values: Object.keys(extensionModes) },
+};
+// The URL follows the settings once they have stopped changing for this
+// long; browsers limit how often history entries may be replaced.
+const PERMALINK_DELAY_MS = 300;
+// Ridges are requested once their settings have stopped changing for this
+// long, so that dragging a slider does not queue an extraction per step.
+const REQUEST_DELAY_MS = 250;
+
+// The entries of a settings record that fit the wavelet's or waveform's
+// parameter `definitions`, ignoring any it does not have and any outside
+// their range, or fractional where the parameter steps by whole numbers.
+const parametersFrom = (definitions, record) => Object.fromEntries(
+  Object.entries(definitions)
+    .filter(([name, { min, max, step }]) => {
+      const value = record?.[name];
+      return value !== undefined && value >= min && value <= max && (!Number.isInteger(step) || Number.isInteger(value));
+    })
+    .map(([name]) => [name, record[name]])
+);
+
+// The frequency range that `values` from a link or preset ask for, taking
+// the `current` end for any they leave out. A missing end is moved at least
+// an octave clear of the given one, as the sliders keep them, and the range
+// is fitted below the Nyquist frequency as `applySamplingRate` does.
+const frequencyRange = (values, current, samplingRate) => {
+  const { minFrequency, maxFrequency } = values;
+  const lower = minFrequency ?? (maxFrequency === undefined ? current.minFrequency : Math.min(current.minFrequency, maxFrequency / 2));
+  const upper = maxFrequency ?? (minFrequency === undefined ? current.maxFrequency : Math.max(current.maxFrequency, minFrequency * 2));
+  return { minFrequency: Math.min(lower, samplingRate / 4), maxFrequency: Math.min(upper, samplingRate / 2) };
+};
+
+const ContinuousWaveletTransformVisualizer = () => {
+  const [initialSettings] = useState(() => decodeSettings(SETTINGS, window.location.hash));
+  const [signal, setSignal] = useState([]);
+  const [cwtResult, setCwtResult] = useState(null);
+  const [isCalculating, setIsCalculating] = useState(false);
+  const [waveletType, setWaveletType] = useState(initialSettings.waveletType ?? 'morlet');
+  const [waveletParameters, setWaveletParameters] = useState(() => {
+    const parameters = Object.fromEntries(Object.keys(wavelets).map((name) => [name, defaultParameters(name)]));
+    const type = initialSettings.waveletType ?? 'morlet';
+    parameters[type] = { ...parameters[type], ...parametersFrom(wavelets[type].parameters, initialSettings.waveletParameters) };
+    return parameters;
+  });
+  const [coefficientViewType, setCoefficientViewType] = useState(initialSettings.coefficientViewType ?? 'modulus');
+  const [transformMode, setTransformMode] = useState(initialSettings.transformMode ?? 'cwt');
+  const [ridgeCount, setRidgeCount] = useState(initialSettings.ridgeCount ?? 0);
+  const [ridgePenalty, setRidgePenalty] = useState(initialSettings.ridgePenalty ?? 1);
+  const [averagingBand, setAveragingBand] = useState(null);
+  const [scalogramTab, setScalogramTab] = useState('scalogram');
+  const [scalogramView, setScalogramView] = useState(FULL_VIEW);
+  const [scalogramCursor, setScalogramCursor] = useState(null);
+  const [colormap, setColormap] = useState(initialSettings.colormap ?? 'viridis');
+  const [colorScaling, setColorScaling] = useState(initialSettings.colorScaling ?? 'linear');
+  const [lowerPercentile, setLowerPercentile] = useState(initialSettings.lowerPercentile ?? 1);
+  const [upperPercentile, setUpperPercentile] = useState(initialSettings.upperPercentile ?? 99.5);
+  const [coiDisplay, setCoiDisplay] = useState(initialSettings.coiDisplay ?? 'hatched');
+  const [maskCoi, setMaskCoi] = useState(initialSettings.maskCoi ?? false);
+  const [significanceBackground, setSignificanceBackground] = useState(initialSettings.significanceBackground ?? 'none');
+  const [showSpectrogram, setShowSpectrogram] = useState(initialSettings.showSpectrogram ?? false);
+  const [stftWindow, setStftWindow] = useState(initialSettings.stftWindow ?? 'hann');
+  const [stftWindowLength, setStftWindowLength] = useState(initialSettings.stftWindowLength ?? 128);
+  const [stftHopSize, setStftHopSize] = useState(initialSettings.stftHopSize ?? 16);
+  const [showDwt, setShowDwt] = useState(initialSettings.showDwt ?? false);
+  const [dwtWavelet, setDwtWavelet] = useState(initialSettings.dwtWavelet ?? 'db4');
+  const [dwtLevel, setDwtLevel] = useState(initialSettings.dwtLevel ?? 5);
+  const [dwtMode, setDwtMode] = useState(initialSettings.dwtMode ?? 'symmetric');
+  const [signalSource, setSignalSource] = useState(initialSettings.signalSource ?? 'generated');
+  const [components, setComponents] = useState(initialSettings.components ?? DEFAULT_COMPONENTS);
+  const [importedSignal, setImportedSignal] = useState(null);
+  const [compareSignals, setCompareSignals] = useState(false);
+  const [secondSignal, setSecondSignal] = useState(null);
+  const [signalType, setSignalType] = useState(initialSettings.signalType ?? 'sine');
+  const [signalParameters, setSignalParameters] = useState(() => {
+    const parameters = Object.fromEntries(Object.keys(waveforms).map((name) => [name, defaultWaveformParameters(name)]));
+    const type = initialSettings.signalType ?? 'sine';
+    parameters[type] = { ...parameters[type], ...parametersFrom(waveforms[type].parameters, initialSettings.signalParameters) };
+    return parameters;
+  });
+  const [frequency, setFrequency] = useState(initialSettings.frequency ?? 1);
+  const [amplitude, setAmplitude] = useState(initialSettings.amplitude ?? 1);
+  const [noiseType, setNoiseType] = useState(initialSettings.noiseType ?? 'uniform');
+  const [noiseLevel, setNoiseLevel] = useState(initialSettings.noiseLevel ?? 0);
+  const [seed, setSeed] = useState(initialSettings.seed ?? 1);
+  const [samplingRate, setSamplingRate] = useState(initialSettings.samplingRate ?? 1000);
+  const [sampleCount, setSampleCount] = useState(initialSettings.sampleCount ?? 1000);
+  const [initialFrequencyRange] = useState(() => frequencyRange(initialSettings, { minFrequency: 0.5, maxFrequency: 50 }, samplingRate));
+  const [minFrequency, setMinFrequency] = useState(initialFrequencyRange.minFrequency);
+  const [maxFrequency, setMaxFrequency] = useState(initialFrequencyRange.maxFrequency);
+  const [voicesPerOctave, setVoicesPerOctave] = useState(initialSettings.voicesPerOctave ?? 12);
+  const [scaleSpacing, setScaleSpacing] = useState(initialSettings.scaleSpacing ?? 'log');
+  const [debugInfo, setDebugInfo] = useState('');
+  const workerRef = useRef(null);
+  const ridgeWorkerRef = useRef(null);
+  const ridgeBusyRef = useRef(false);
+  const ridgeRequestRef = useRef({ id: 0, source: null });
+  const [ridgeResult, setRidgeResult] = useState(null);
+  const [cwtImage, setCwtImage] = useState(null);
+
+  const addDebugInfo = useCallback((message) => {
+    console.log(message);
+    setDebugInfo(prev => prev + '\n' + message);
+  }, []);
+
+  useEffect(() => {
+    if (!workerRef.current) {
+      addDebugInfo('Creating Web Worker');
+      workerRef.current = new Worker(new URL('./dsp/cwt.worker.js', import.meta.url), { type: 'module' });
+      addDebugInfo('Web Worker created');
+
+      workerRef.current.onmessage = (e) => {
+        const { type, re, im, scales: resultScales, waveletType: resultWaveletType, waveletParameters: resultWaveletParameters, frequencies, coi, coiMask, complex, synchrosqueezed, signalLength, samplingRate: resultSamplingRate, message } = e.data;
+        if (type === 'result') {
+          addDebugInfo('Received result from worker');
+          const resultRe = new Float64Array(re);
+          const resultIm = new Float64Array(im);
+          const resultMask = new Uint8Array(coiMask);
+          addDebugInfo('Result arrays created with length: ' + resultRe.length);
+          
+          const formattedResult = {
+            re: [],
+            im: [],
+            coiMask: [],
+            coefficients: { re: resultRe, im: resultIm, coiMask: resultMask },
+            scales: new Float64Array(resultScales),
+            waveletType: resultWaveletType,
+            waveletParameters: resultWaveletParameters,
+            frequencies: new Float64Array(frequencies),
+            coi: new Float64Array(coi),
+            complex,
+            synchrosqueezed: synchrosqueezed && {
+              re: new Float64Array(synchrosqueezed.re),
+              im: new Float64Array(synchrosqueezed.im),
+              normalization: synchrosqueezed.normalization
+            },
+            samplingRate: resultSamplingRate
+          };
+          const numScales = formattedResult.frequencies.length;
+          
+          for (let i = 0; i < numScales; i++) {
+            formattedResult.re.push(resultRe.subarray(i * signalLength, (i + 1) * signalLength));
+            formattedResult.im.push(resultIm.subarray(i * signalLength, (i + 1) * signalLength));
+            formattedResult.coiMask.push(resultMask.subarray(i * signalLength, (i + 1) * signalLength));
+          }
+          if (formattedResult.synchrosqueezed) {
+            const { re: squeezedRe, im: squeezedIm } = formattedResult.synchrosqueezed;
+            formattedResult.synchrosqueezed.rows = Array.from({ length: numScales }, (_, i) => ({
+              re: squeezedRe.subarray(i * signalLength, (i + 1) * signalLength),
+              im: squeezedIm.subarray(i * signalLength, (i + 1) * signalLength)
+            }));
+          }
+          
+          addDebugInfo('Formatted result created with length: ' + formattedResult.re.length);
+          setCwtResult(formattedResult);
+          setIsCalculating(false);
+          addDebugInfo('CWT calculation complete. Result size: ' + formattedResult.re.length);
+        } else if (type === 'debug') {
+          addDebugInfo(message);
+        } else if (type === 'error') {
+          addDebugInfo('Error: ' + message);
+          setIsCalculating(false);
+        }
+      };
+
+      workerRef.current.onerror = (error) => {
+        addDebugInfo('Worker error: ' + error.message);
+        setIsCalculating(false);
+      };
+    }
+
+    return () => {
+      if (workerRef.current) {
+        addDebugInfo('Terminating worker');
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+    };
+  }, [addDebugInfo]);
+
+  const generateSignal = useCallback(() => {
+    if (signalSource === 'live') {
+      // Live samples go straight from the audio thread to the worker.
+      setSignal([]);
+      return;
+    }
+    if (signalSource === 'file') {
+      if (!importedSignal) {
+        setSignal([]);
+        return;
+      }
+      addDebugInfo('Using imported signal: ' + importedSignal.name);
+      const values = importedSignal.values.subarray(0, MAX_SAMPLE_COUNT);
+      setSignal(Array.from(values, (value, i) => ({ t: i / samplingRate, value })));
+      addDebugInfo('Signal updated: ' + JSON.stringify({ signalLength: values.length, samplingRate }));
+      return;
+    }
+
+    addDebugInfo(signalSource === 'composed' ? 'Composing signal from ' + components.length + ' components' : 'Generating new signal');
+    const values = signalSource === 'composed'
+      ? composeSignal({ components, noiseType, noiseLevel, seed, samplingRate, sampleCount })
+      : generateWaveform({
+        type: signalType,
+        frequency,
+        amplitude,
+        parameters: signalParameters[signalType],
+        noiseType,
+        noiseLevel,
+        seed,
+        samplingRate,
+        sampleCount
+      });
+    const newSignal = Array.from(values, (value, i) => ({ t: i / samplingRate, value }));
+    setSignal(newSignal);
+    
+    addDebugInfo('Signal updated: ' + JSON.stringify({ signalLength: newSignal.length, samplingRate }));
+  }, [
+    signalSource, importedSignal, components, signalType, signalParameters, frequency, amplitude, noiseType, noiseLevel,
+    seed, samplingRate, sampleCount, addDebugInfo
+  ]);
+
+  useEffect(() => {
+    generateSignal();
+  }, [generateSignal]);
+
+  // Settings are validated before they get here, but an empty range must
+  // never throw during render; it simply gives no scales to transform.
+  const scales = useMemo(() => (minFrequency > 0 && minFrequency < maxFrequency ? scaleGrid({
+    minFrequency,
+    maxFrequency,
+    voicesPerOctave,
+    spacing: scaleSpacing,
+    samplingRate,
+    wavelet: waveletType,
+    parameters: waveletParameters[waveletType]
+  }) : []), [minFrequency, maxFrequency, voicesPerOctave, scaleSpacing, samplingRate, waveletType, waveletParameters]);
+
+  // Synchrosqueezing reads frequencies off the phase, so it needs a complex
+  // wavelet; real ones fall back to the plain CWT.
+  const synchrosqueezed = transformMode === 'synchrosqueezed' && wavelets[waveletType].complex;
+
+  const applySamplingRate = useCallback((rate) => {
+    setSamplingRate(rate);
+    setMaxFrequency(prev => Math.min(prev, rate / 2));
+    setMinFrequency(prev => Math.min(prev, rate / 4));
+  }, []);
+
+  const applySignalTiming = useCallback((rate, count) => {
+    applySamplingRate(rate);
+    setSampleCount(count);
+  }, [applySamplingRate]);
+
+  const isSynthetic = signalSource === 'generated' || signalSource === 'composed';
+
+  const changeSamplingRate = useCallback((rate) => {
+    // A synthetic signal keeps its duration; other sources keep their samples.
+    const count = isSynthetic
+      ? Math.min(MAX_SAMPLE_COUNT, Math.max(MIN_SAMPLE_COUNT, Math.round(sampleCount / samplingRate * rate)))
+      : sampleCount;
+    applySignalTiming(rate, count);
+  }, [isSynthetic, sampleCount, samplingRate, applySignalTiming]);
+
+  const handleImport = useCallback(({ name, values, samplingRate: fileSamplingRate }) => {
+    addDebugInfo('Imported ' + name + ': ' + JSON.stringify({ signalLength: values.length, samplingRate: fileSamplingRate }));
+    setImportedSignal({ name, values });
+    applySignalTiming(
+      fileSamplingRate ? Number(fileSamplingRate.toPrecision(6)) : samplingRate,
+      Math.min(values.length, MAX_SAMPLE_COUNT)
+    );
+  }, [samplingRate, applySignalTiming, addDebugInfo]);
+
+  // Everything needed to reproduce the analysis of a synthetic signal, as
+  // written to the URL and to saved presets.
+  const settings = useMemo(() => ({
+    waveletType,
+    waveletParameters: waveletParameters[waveletType],
+    transformMode,
+    coefficientViewType,
+    signalSource: signalSource === 'composed' ? 'composed' : 'generated',
+    signalType,
+    signalParameters: signalParameters[signalType],
+    components: signalSource === 'composed' ? components : undefined,
+    frequency,
+    amplitude,
+    noiseType,
+    noiseLevel,
+    seed,
+    samplingRate,
+    sampleCount,
+    minFrequency,
+    maxFrequency,
+    voicesPerOctave,
+    scaleSpacing,
+    colormap,
+    colorScaling,
+    lowerPercentile,
+    upperPercentile,
+    coiDisplay,
+    maskCoi,
+    significanceBackground,
+    ridgeCount,
+    ridgePenalty,
+    showSpectrogram,
+    stftWindow,
+    stftWindowLength,
+    stftHopSize,
+    showDwt,
+    dwtWavelet,
+    dwtLevel,
+    dwtMode
+  }), [
+    waveletType, waveletParameters, transformMode, coefficientViewType, signalSource, signalType, signalParameters,
+    components, frequency, amplitude, noiseType, noiseLevel, seed, samplingRate, sampleCount, minFrequency, maxFrequency,
+    voicesPerOctave, scaleSpacing, colormap, colorScaling, lowerPercentile, upperPercentile, coiDisplay, maskCoi,
+    significanceBackground, ridgeCount, ridgePenalty, showSpectrogram, stftWindow, stftWindowLength, stftHopSize,
+    showDwt, dwtWavelet, dwtLevel, dwtMode
+  ]);
+
+  // Restores validated settings; any left out keep their current values.
+  const applySettings = useCallback((values) => {
+    const setters = {
+      transformMode: setTransformMode,
+      coefficientViewType: setCoefficientViewType,
+      signalType: setSignalType,
+      components: setComponents,
+      frequency: setFrequency,
+      amplitude: setAmplitude,
+      noiseType: setNoiseType,
+      noiseLevel: setNoiseLevel,
+      seed: setSeed,
+      sampleCount: setSampleCount,
+      samplingRate: setSamplingRate,
+      voicesPerOctave: setVoicesPerOctave,
+      scaleSpacing: setScaleSpacing,
+      colormap: setColormap,
+      colorScaling: setColorScaling,
+      lowerPercentile: setLowerPercentile,
+      upperPercentile: setUpperPercentile,
+      coiDisplay: setCoiDisplay,
+      maskCoi: setMaskCoi,
+      significanceBackground: setSignificanceBackground,
+      ridgeCount: setRidgeCount,
+      ridgePenalty: setRidgePenalty,
+      showSpectrogram: setShowSpectrogram,
+      stftWindow: setStftWindow,
+      stftWindowLength: setStftWindowLength,
+      stftHopSize: setStftHopSize,
+      showDwt: setShowDwt,
+      dwtWavelet: setDwtWavelet,
+      dwtLevel: setDwtLevel,
+      dwtMode: setDwtMode
+    };
+    for (const [name, setter] of Object.entries(setters)) {
+      if (values[name] !== undefined) {
+        setter(values[name]);
+      }
+    }
+    const range = frequencyRange(values, { minFrequency, maxFrequency }, values.samplingRate ?? samplingRate);
+    setMinFrequency(range.minFrequency);
+    setMaxFrequency(range.maxFrequency);
+    if (values.waveletType !== undefined) {
+      setWaveletType(values.waveletType);
+    }
+    if (values.waveletParameters !== undefined) {
+      setWaveletParameters((prev) => {
+        const type = values.waveletType ?? waveletType;
+        return { ...prev, [type]: { ...prev[type], ...parametersFrom(wavelets[type].parameters, values.waveletParameters) } };
+      });
+    }
+    if (values.signalParameters !== undefined) {
+      setSignalParameters((prev) => {
+        const type = values.signalType ?? signalType;
+        return { ...prev, [type]: { ...prev[type], ...parametersFrom(waveforms[type].parameters, values.signalParameters) } };
+      });
+    }
+    setSignalSource(values.signalSource ?? 'generated');
+    setScalogramView(FULL_VIEW);
+  }, [waveletType, signalType, samplingRate, minFrequency, maxFrequency]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      window.history.replaceState(null, '', '#' + encodeSettings(SETTINGS, settings));
+    }, PERMALINK_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [settings]);
+
+  useEffect(() => {
+    const handleHashChange = () => {
+      const values = decodeSettings(SETTINGS, window.location.hash);
+      if (Object.keys(values).length > 0) {
+        addDebugInfo('Applying settings from the address bar');
+        applySettings(values);
+      }
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [applySettings, addDebugInfo]);
+
+  useEffect(() => {
+    if (signal.length === 0 || scales.length === 0 || !workerRef.current) {
+      addDebugInfo('Signal, scales, or worker not ready');
+      return;
+    }
+    
+    setIsCalculating(true);
+    const signalArray = new Float64Array(signal.map(s => s.value));
+    const scalesArray = new Float64Array(scales);
+    
+    addDebugInfo('Sending message to worker: ' + JSON.stringify({ signalLength: signalArray.length, scalesLength: scalesArray.length, samplingRate, waveletType, waveletParameters: waveletParameters[waveletType] }));
+    
+    workerRef.current.postMessage({
+      type: 'transform',
+      signal: signalArray,
+      scales: scalesArray,
+      samplingRate: samplingRate,
+      waveletType: waveletType,
+      waveletParameters: waveletParameters[waveletType],
+      synchrosqueezed
+    });
+  }, [signal, scales, samplingRate, waveletType, waveletParameters, synchrosqueezed, addDebugInfo]);
+
+  const signalValues = useMemo(() => Float64Array.from(signal, (s) => s.value), [signal]);
+
+  const stftSettings = useMemo(
+    () => ({ windowType: stftWindow, windowLength: stftWindowLength, hopSize: stftHopSize }),
+    [stftWindow, stftWindowLength, stftHopSize]
+  );
+  const handleStftSettings = useCallback(({ windowType, windowLength, hopSize }) => {
+    setStftWindow(windowType);
+    setStftWindowLength(windowLength);
+    setStftHopSize(hopSize);
+  }, []);
+
+  const dwtSettings = useMemo(() => ({ wavelet: dwtWavelet, level: dwtLevel, mode: dwtMode }), [dwtWavelet, dwtLevel, dwtMode]);
+  const handleDwtSettings = useCallback(({ wavelet, level, mode }) => {
+    setDwtWavelet(wavelet);
+    setDwtLevel(level);
+    setDwtMode(mode);
+  }, []);
+
+  // The stretch of the input signal in the scalogram's time view.
+  const visibleSignal = useMemo(() => {
+    if (scalogramView.x0 === 0 && scalogramView.x1 === 1) {
+      return signal;
+    }
+    const first = Math.floor(scalogramView.x0 * signal.length);
+    const last = Math.ceil(scalogramView.x1 * signal.length);
+    return signal.slice(first, Math.max(last, first + 2));
+  }, [signal, scalogramView.x0, scalogramView.x1]);
+
+  const setWaveletParameter = useCallback((name, value) => {
+    setWaveletParameters(prev => ({
+      ...prev,
+      [waveletType]: { ...prev[waveletType], [name]: value }
+    }));
+  }, [waveletType]);
+
+  const setSignalParameter = useCallback((name, value) => {
+    setSignalParameters(prev => ({
+      ...prev,
+      [signalType]: { ...prev[signalType], [name]: value }
+    }));
+  }, [signalType]);
+
+  const scalogram = useMemo(() => {
+    if (!cwtResult) {
+      return null;
+    }
+    if (cwtResult.synchrosqueezed) {
+      return cwtResult.synchrosqueezed.rows.map(({ re, im }) => coefficientView(re, im, coefficientViewType));
+    }
+    return cwtResult.re.map((row, i) => coefficientView(row, cwtResult.im[i], coefficientViewType));
+  }, [cwtResult, coefficientViewType]);
+
+  // Contours where wavelet power reaches each significance level of the
+  // chosen noise background, traced on the same column grid as the image.
+  const significance = useMemo(() => {
+    const signalLength = cwtResult ? cwtResult.re[0].length : 0;
+    if (significanceBackground === 'none' || !cwtResult || cwtResult.synchrosqueezed || signal.length !== signalLength) {
+      return null;
+    }
+    const background = noiseBackground(signal.map(s => s.value), significanceBackground);
+    const periods = cwtResult.frequencies.map((f) => cwtResult.samplingRate / f);
+    const thresholds = significanceThresholds(periods, background, {
+      dof: cwtResult.complex ? 2 : 1,
+      levels: SIGNIFICANCE_LEVELS.map(({ level }) => level)
+    });
+
+    const rows = periods.length;
+    const width = Math.min(signalLength, MAX_CANVAS_WIDTH);
+    const contours = thresholds.map(({ level, power }) => {
+      const ratio = new Float64Array(rows * width);
+      for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < width; x++) {
+          const sample = Math.floor(x * signalLength / width);
+          const re = cwtResult.re[y][sample];
+          const im = cwtResult.im[y][sample];
+          ratio[y * width + x] = (re * re + im * im) / power[y];
+        }
+      }
+      const path = contourPath(ratio, width, rows, 1);
+      return { ...SIGNIFICANCE_LEVELS.find((entry) => entry.level === level), key: level, path };
+    });
+    addDebugInfo('Significance background: ' + JSON.stringify(background));
+    return { background, contours, width, rows };
+  }, [cwtResult, signal, significanceBackground, addDebugInfo]);
+
+  // Ridges of the plane on display, followed in a worker of their own with
+  // the coefficients of `cwtResult`. Following many ridges with a small
+  // penalty takes a while, so a worker still busy with outdated settings is
+  // replaced, and ridges kept for an earlier result are not shown.
+  useEffect(() => {
+    if (ridgeCount === 0 || !cwtResult) {
+      setRidgeResult(null);
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      if (ridgeWorkerRef.current && ridgeBusyRef.current) {
+        addDebugInfo('Cancelling ridge extraction');
+        ridgeWorkerRef.current.terminate();
+        ridgeWorkerRef.current = null;
+      }
+      if (!ridgeWorkerRef.current) {
+        const worker = new Worker(new URL('./dsp/cwt.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => {
+          const { type, requestId, message } = e.data;
+          if (type === 'debug') {
+            addDebugInfo(message);
+          } else if (type === 'error') {
+            addDebugInfo('Error: ' + message);
+            ridgeBusyRef.current = false;
+          } else if (type === 'ridges-result' && requestId === ridgeRequestRef.current.id) {
+            ridgeBusyRef.current = false;
+            setRidgeResult({ source: ridgeRequestRef.current.source, ridges: e.data.ridges });
+          }
+        };
+        worker.onerror = (error) => {
+          addDebugInfo('Ridge worker error: ' + error.message);
+          ridgeBusyRef.current = false;
+        };
+        ridgeWorkerRef.current = worker;
+      }
+      ridgeRequestRef.current = { id: ridgeRequestRef.current.id + 1, source: cwtResult };
+      ridgeBusyRef.current = true;
+      ridgeWorkerRef.current.postMessage({
+        type: 'ridges',
+        requestId: ridgeRequestRef.current.id,
+        re: cwtResult.coefficients.re,
+        im: cwtResult.coefficients.im,
+        synchrosqueezed: cwtResult.synchrosqueezed,
+        scales: cwtResult.scales,
+        frequencies: cwtResult.frequencies,
+        signalLength: cwtResult.re[0].length,
+        samplingRate: cwtResult.samplingRate,
+        waveletType: cwtResult.waveletType,
+        waveletParameters: cwtResult.waveletParameters,
+        count: ridgeCount,
+        penalty: ridgePenalty
+      });
+    }, REQUEST_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [cwtResult, ridgeCount, ridgePenalty, addDebugInfo]);
+
+  useEffect(() => {
+    return () => {
+      if (ridgeWorkerRef.current) {
+        ridgeWorkerRef.current.terminate();
+        ridgeWorkerRef.current = null;
+      }
+    };
+  }, []);
+
+  const ridges = useMemo(
+    () => (ridgeCount > 0 && ridgeResult && ridgeResult.source === cwtResult ? ridgeResult.ridges : []),
+    [ridgeCount, ridgeResult, cwtResult]
+  );
+
+  // Time-averaged spectra of the CWT, also under synchrosqueezing, and the
+  // periodogram of the signal for comparison.
+  const globalSpectrum = useMemo(() => {
+    const signalLength = cwtResult ? cwtResult.re[0].length : 0;
+    if (!cwtResult || signalValues.length !== signalLength) {
+      return null;
+    }
+    const { coefficients, samplingRate: rate } = cwtResult;
+    const fourier = fourierSpectrum(signalValues);
+    return {
+      power: globalWaveletSpectrum(coefficients, signalLength, maskCoi ? coefficients.coiMask : undefined),
+      fourier: { frequencies: fourier.frequencies.map((f) => f * rate), power: fourier.power }
+    };
+  }, [cwtResult, signalValues, maskCoi]);
+
+  // The averaging band covers every scale until one is chosen, and again
+  // whenever the scale grid shrinks below it.
+  const band = useMemo(() => {
+    const rows = cwtResult ? cwtResult.frequencies.length : 0;
+    return averagingBand && averagingBand[1] < rows ? averagingBand : [0, Math.max(0, rows - 1)];
+  }, [cwtResult, averagingBand]);
+
+  const bandPower = useMemo(() => {
+    if (!cwtResult) {
+      return null;
+    }
+    const { coefficients } = cwtResult;
+    return scaleAveragedPower(coefficients, cwtResult.scales, {
+      first: band[0],
+      last: band[1],
+      wavelet: cwtResult.waveletType,
+      parameters: cwtResult.waveletParameters,
+      mask: maskCoi ? coefficients.coiMask : undefined
+    });
+  }, [cwtResult, band, maskCoi]);
+
+  // The instantaneous frequency of a generated chirp or FM tone, for
+  // comparison with the ridges.
+  const knownSweep = useMemo(
+    () => (signalSource === 'generated'
+      ? instantaneousFrequency(signalType, { frequency, parameters: signalParameters[signalType], duration: sampleCount / samplingRate })
+      : null),
+    [signalSource, signalType, signalParameters, frequency, sampleCount, samplingRate]
+  );
+
+  // Contours drawn over the scalogram, each in the grid of its own image
+  // size: significance, ridges and the edges of the averaging band.
+  const overlays = useMemo(() => {
+    if (!cwtResult) {
+      return [];
+    }
+    const rows = cwtResult.frequencies.length;
+    const list = [];
+    if (significance) {
+      list.push({ key: 'significance', width: significance.width, rows: significance.rows, contours: significance.contours });
+    }
+    if (ridges.length > 0) {
+      list.push({
+        key: 'ridges',
+        width: Math.min(cwtResult.re[0].length, MAX_CANVAS_WIDTH),
+        rows,
+        contours: ridges.map(({ position }, k) => ({
+          key: 'ridge' + k,
+          path: linePath(position, Math.min(position.length, MAX_CANVAS_WIDTH)),
+          stroke: seriesColors[k],
+          strokeWidth: 2
+        }))
+      });
+    }
+    if (band[0] > 0 || band[1] < rows - 1) {
+      list.push({
+        key: 'band',
+        width: 1,
+        rows,
+        contours: [band[0], band[1] + 1].map((edge) => ({
+          key: 'band' + edge,
+          path: 'M0,' + edge + 'L1,' + edge,
+          stroke: '#60a5fa',
+          strokeWidth: 1.5,
+          strokeDasharray: '6 3'
+        }))
+      });
+    }
+    return list;
+  }, [cwtResult, significance, ridges, band]);
+
+  // Colour range of the scalogram, clipped to percentiles of the values
+  // outside the cone of influence when it is excluded.
+  const colorRange = useMemo(() => {
+    if (!scalogram) {
+      return null;
+    }
+    return colorScale(scalogram, {
+      view: coefficientViews[coefficientViewType],
+      scaling: colorScaling,
+      percentiles: [lowerPercentile, upperPercentile],
+      mask: maskCoi ? cwtResult.coiMask : undefined
+    });
+  }, [scalogram, cwtResult, coefficientViewType, colorScaling, lowerPercentile, upperPercentile, maskCoi]);
+
+  // Modulus of the transform on display and its colour scale, for the 3D
+  // surface; only computed while that tab is open.
+  const surface = useMemo(() => {
+    if (!scalogram || scalogramTab !== 'surface') {
+      return null;
+    }
+    if (coefficientViewType === 'modulus') {
+      return { values: scalogram, scale: colorRange };
+    }
+    const values = cwtResult.synchrosqueezed
+      ? cwtResult.synchrosqueezed.rows.map(({ re, im }) => coefficientView(re, im, 'modulus'))
+      : cwtResult.re.map((row, i) => coefficientView(row, cwtResult.im[i], 'modulus'));
+    return {
+      values,
+      scale: colorScale(values, {
+        view: coefficientViews.modulus,
+        scaling: colorScaling,
+        percentiles: [lowerPercentile, upperPercentile],
+        mask: maskCoi ? cwtResult.coiMask : undefined
+      })
+    };
+  }, [scalogram, scalogramTab, coefficientViewType, colorRange, cwtResult, colorScaling, lowerPercentile, upperPercentile, maskCoi]);
+
+  // What the export menu saves: the transform on display, masked by the
+  // cone of influence when that is excluded, and the figure as drawn.
+  const exportable = useMemo(() => {
+    if (!cwtResult || !scalogram || !cwtImage) {
+      return null;
+    }
+    const sst = cwtResult.synchrosqueezed;
+    const view = coefficientViews[coefficientViewType];
+    return {
+      transform: {
+        re: sst ? sst.rows.map(({ re }) => re) : cwtResult.re,
+        im: sst ? sst.rows.map(({ im }) => im) : cwtResult.im,
+        complex: cwtResult.complex,
+        frequencies: cwtResult.frequencies,
+        scales: sst ? null : Float64Array.from(cwtResult.scales, (scale) => scale / cwtResult.samplingRate),
+        samplingRate: cwtResult.samplingRate,
+        kind: sst ? 'synchrosqueezed' : 'cwt',
+        wavelet: cwtResult.waveletType,
+        waveletParameters: cwtResult.waveletParameters,
+        mask: maskCoi ? cwtResult.coiMask : null
+      },
+      figure: {
+        image: cwtImage,
+        view: scalogramView,
+        frequencies: cwtResult.frequencies,
+        signalLength: cwtResult.re[0].length,
+        samplingRate: cwtResult.samplingRate,
+        coi: cwtResult.coi,
+        coiDisplay,
+        overlays,
+        colormap: colormapFor(view, colormap),
+        scale: colorRange,
+        title: (sst ? 'Synchrosqueezed' : 'Continuous') + ' Wavelet Transform, ' + wavelets[cwtResult.waveletType].label
+          + ' Wavelet, ' + view.label
+      }
+    };
+  }, [cwtResult, scalogram, cwtImage, coefficientViewType, maskCoi, scalogramView, coiDisplay, overlays, colormap, colorRange]);
+
+  const renderCWT = useCallback(() => {
+    if (!scalogram) {
+      addDebugInfo('No CWT result to render');
+      return null;
+    }
+
+    addDebugInfo('Rendering CWT: ' + JSON.stringify({ resultSize: scalogram.length, firstRowSize: scalogram[0].length, view: coefficientViewType }));
+    addDebugInfo('Colour range: ' + JSON.stringify({ scaling: colorRange.scaling, domain: colorRange.domain }) + (maskCoi ? ' (outside the cone of influence)' : ''));
+
+    return renderScalogramImage(scalogram, {
+      scale: colorRange,
+      colormap: colormapFor(coefficientViews[coefficientViewType], colormap),
+      maxWidth: MAX_CANVAS_WIDTH
+    });
+  }, [scalogram, colorRange, colormap, coefficientViewType, maskCoi, addDebugInfo]);
+
+  useEffect(() => {
+    if (scalogram) {
+      setCwtImage(renderCWT());
+    }
+  }, [scalogram, renderCWT]);
+
+  return (
+    <div className="flex flex-col items-center p-4 sm:p-6 lg:p-8 bg-gray-900 text-white min-h-screen">
+      <h1 className="text-3xl sm:text-4xl font-bold mb-6">Continuous Wavelet Transform Visualizer</h1>
+      
+      <div className="w-full max-w-6xl space-y-6">
+        <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4">
+          <Select value={waveletType} onValueChange={setWaveletType}>
+            <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Wavelet Type" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              {Object.entries(wavelets).map(([value, { label }]) => (
+                <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={transformMode} onValueChange={setTransformMode}>
+            <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Transform" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              <SelectItem value="cwt" className="hover:bg-gray-700">Wavelet Transform</SelectItem>
+              <SelectItem value="synchrosqueezed" className="hover:bg-gray-700">Synchrosqueezed</SelectItem>
+            </SelectContent>
+          </Select>
+          <Select value={signalSource} onValueChange={setSignalSource}>
+            <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Signal Source" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              <SelectItem value="generated" className="hover:bg-gray-700">Generated Signal</SelectItem>
+              <SelectItem value="composed" className="hover:bg-gray-700">Composed Signal</SelectItem>
+              <SelectItem value="file" className="hover:bg-gray-700">Imported File</SelectItem>
+              <SelectItem value="live" className="hover:bg-gray-700">Live Audio</SelectItem>
+            </SelectContent>
+          </Select>
+          <Select value={signalType} onValueChange={setSignalType} disabled={signalSource !== 'generated'}>
+            <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Signal Type" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              {Object.entries(waveforms).map(([value, { label }]) => (
+                <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={scaleSpacing} onValueChange={setScaleSpacing}>
+            <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Scale Spacing" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              <SelectItem value="log" className="hover:bg-gray-700">Logarithmic Scales</SelectItem>
+              <SelectItem value="linear" className="hover:bg-gray-700">Linear Scales</SelectItem>
+            </SelectContent>
+          </Select>
+          <Select value={coefficientViewType} onValueChange={setCoefficientViewType}>
+            <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Coefficient View" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              {Object.entries(coefficientViews).map(([value, { label }]) => (
+                <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <PresetManager schema={SETTINGS} settings={settings} onApply={applySettings} onDebug={addDebugInfo} />
+
+        <div className={signalSource === 'file' ? '' : 'hidden'}>
+          <SignalImport onImport={handleImport} maxSamples={MAX_SAMPLE_COUNT} />
+        </div>
+
+        {signalSource === 'composed' && (
+          <SignalComposer
+            components={components}
+            onChange={setComponents}
+            duration={sampleCount / samplingRate}
+            samplingRate={samplingRate}
+          />
+        )}
+
+        {signalSource !== 'live' && (
+          <label className="flex items-center space-x-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={compareSignals}
+              onChange={(e) => setCompareSignals(e.target.checked)}
+              className="h-4 w-4 accent-blue-500"
+            />
+            <span>Compare with a second signal (cross-wavelet spectrum and coherence)</span>
+          </label>
+        )}
+        
+        <div className="space-y-4">
+          {Object.entries(wavelets[waveletType].parameters).map(([name, { label, min, max, step }]) => (
+            <div key={name}>
+              <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
+              <Slider
+                value={[waveletParameters[waveletType][name]]}
+                onValueChange={([value]) => setWaveletParameter(name, value)}
+                min={min}
+                max={max}
+                step={step}
+                className="w-full"
+              />
+              <span className="text-sm text-gray-400 mt-1 block">
+                {waveletParameters[waveletType][name].toFixed(step < 1 ? 2 : 0)}
+              </span>
+            </div>
+          ))}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Sampling Rate</label>
+            <Slider
+              value={[Math.log10(samplingRate)]}
+              onValueChange={([value]) => changeSamplingRate(Math.round(10 ** value))}
+              min={Math.log10(MIN_SAMPLING_RATE)}
+              max={Math.log10(MAX_SAMPLING_RATE)}
+              step={0.01}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">{samplingRate} Hz</span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Duration</label>
+            <Slider
+              value={[sampleCount / samplingRate]}
+              onValueChange={([value]) => setSampleCount(Math.round(value * samplingRate))}
+              disabled={!isSynthetic}
+              min={MIN_SAMPLE_COUNT / samplingRate}
+              max={MAX_SAMPLE_COUNT / samplingRate}
+              step={1 / samplingRate}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">{formatTime(sampleCount / samplingRate)}</span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Sample Count</label>
+            <Slider
+              value={[sampleCount]}
+              onValueChange={([value]) => setSampleCount(value)}
+              disabled={!isSynthetic}
+              min={MIN_SAMPLE_COUNT}
+              max={MAX_SAMPLE_COUNT}
+              step={1}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">{sampleCount} samples</span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Minimum Frequency</label>
+            <Slider
+              value={[Math.log10(minFrequency)]}
+              onValueChange={([value]) => setMinFrequency(10 ** value)}
+              min={-1}
+              max={Math.log10(maxFrequency / 2)}
+              step={0.01}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">
+              {formatFrequency(minFrequency)} (period {(1 / minFrequency).toFixed(3)} s)
+            </span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Maximum Frequency</label>
+            <Slider
+              value={[Math.log10(maxFrequency)]}
+              onValueChange={([value]) => setMaxFrequency(10 ** value)}
+              min={Math.log10(minFrequency * 2)}
+              max={Math.log10(samplingRate / 2)}
+              step={0.01}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">
+              {formatFrequency(maxFrequency)} (period {(1 / maxFrequency).toFixed(3)} s)
+            </span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Voices per Octave</label>
+            <Slider
+              value={[voicesPerOctave]}
+              onValueChange={([value]) => setVoicesPerOctave(value)}
+              min={1}
+              max={32}
+              step={1}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">{voicesPerOctave} ({scales.length} scales)</span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              {waveforms[signalType].frequencyLabel ?? 'Frequency'}
+            </label>
+            <Slider
+              value={[frequency]}
+              onValueChange={([value]) => setFrequency(value)}
+              disabled={signalSource !== 'generated'}
+              min={0.1}
+              max={10}
+              step={0.1}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">{frequency.toFixed(1)} Hz</span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Amplitude</label>
+            <Slider
+              value={[amplitude]}
+              onValueChange={([value]) => setAmplitude(value)}
+              disabled={signalSource !== 'generated'}
+              min={0.1}
+              max={2}
+              step={0.1}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">{amplitude.toFixed(1)}</span>
+          </div>
+          {Object.entries(waveforms[signalType].parameters).map(([name, { label, min, max, step }]) => (
+            <div key={name}>
+              <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
+              <Slider
+                value={[signalParameters[signalType][name]]}
+                onValueChange={([value]) => setSignalParameter(name, value)}
+                disabled={signalSource !== 'generated'}
+                min={min}
+                max={max}
+                step={step}
+                className="w-full"
+              />
+              <span className="text-sm text-gray-400 mt-1 block">
+                {signalParameters[signalType][name].toFixed(step < 0.1 ? 2 : 1)}
+              </span>
+            </div>
+          ))}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Noise Type</label>
+            <Select value={noiseType} onValueChange={setNoiseType} disabled={!isSynthetic}>
+              <SelectTrigger className="w-full bg-gray-800 text-gray-100 border-gray-700">
+                <SelectValue placeholder="Noise Type" />
+              </SelectTrigger>
+              <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+                {Object.entries(noiseTypes).map(([value, { label }]) => (
+                  <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Noise Level</label>
+            <Slider
+              value={[noiseLevel]}
+              onValueChange={([value]) => setNoiseLevel(value)}
+              disabled={!isSynthetic}
+              min={0}
+              max={1}
+              step={0.05}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">{noiseLevel.toFixed(2)}</span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Noise Seed</label>
+            <div className="flex space-x-2">
+              <input
+                type="number"
+                value={seed}
+                onChange={(e) => {
+                  const value = Number(e.target.value);
+                  if (Number.isInteger(value) && value >= 0 && value <= SETTINGS.seed.max) {
+                    setSeed(value);
+                  }
+                }}
+                disabled={!isSynthetic}
+                min={0}
+                max={SETTINGS.seed.max}
+                step={1}
+                className="w-full rounded-md bg-gray-800 text-gray-100 border border-gray-700 px-3 py-2 text-sm disabled:opacity-50"
+              />
+              <Button
+                onClick={() => setSeed(Math.floor(Math.random() * 2 ** 32))}
+                disabled={!isSynthetic}
+                className="bg-gray-700 text-gray-100 hover:bg-gray-600"
+              >
+                New Seed
+              </Button>
+            </div>
+            <span className="text-sm text-gray-400 mt-1 block">The same seed always gives the same noise.</span>
+          </div>
+        </div>
+      </div>
+      
+      {signalSource !== 'live' && (
+        <div className="mt-8 w-full max-w-6xl">
+          <h2 className="text-2xl font-bold mb-4">Input Signal</h2>
+          <div className="h-[200px] w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={visibleSignal}>
+                <XAxis
+                  dataKey="t"
+                  type="number"
+                  domain={['dataMin', 'dataMax']}
+                  tickCount={5}
+                  tickFormatter={formatTime}
+                />
+                <YAxis 
+                  width={50}
+                  domain={['auto', 'auto']}
+                  tickCount={5}
+                  tickFormatter={(value) => value.toFixed(2)}
+                />
+                <Tooltip />
+                <Line type="monotone" dataKey="value" stroke="#8884d8" dot={false} strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <label className="mt-4 flex items-center space-x-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={showDwt}
+              onChange={(e) => setShowDwt(e.target.checked)}
+              className="h-4 w-4 accent-blue-500"
+            />
+            <span>Show the discrete wavelet decomposition below</span>
+          </label>
+          {showDwt && (
+            <div className="mt-4">
+              <DwtPanel
+                signal={signalValues}
+                samplingRate={samplingRate}
+                settings={dwtSettings}
+                onSettingsChange={handleDwtSettings}
+                view={scalogramView}
+              />
+            </div>
+          )}
+        </div>
+      )}
+      
+      <div className="mt-8 w-full max-w-6xl">
+        <h2 className="text-2xl font-bold mb-4">
+          {synchrosqueezed && signalSource !== 'live' ? 'Synchrosqueezed Wavelet Transform' : 'Continuous Wavelet Transform'}
+        </h2>
+        {signalSource !== 'live' && (
+          <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4 sm:items-center mb-4">
+            <Select value={coiDisplay} onValueChange={setCoiDisplay}>
+              <SelectTrigger className="w-full sm:w-[220px] bg-gray-800 text-gray-100 border-gray-700">
+                <SelectValue placeholder="Cone of Influence" />
+              </SelectTrigger>
+              <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+                <SelectItem value="hatched" className="hover:bg-gray-700">Hatched Cone of Influence</SelectItem>
+                <SelectItem value="dimmed" className="hover:bg-gray-700">Dimmed Cone of Influence</SelectItem>
+                <SelectItem value="hidden" className="hover:bg-gray-700">Hidden Cone of Influence</SelectItem>
+              </SelectContent>
+            </Select>
+            <Select value={significanceBackground} onValueChange={setSignificanceBackground} disabled={synchrosqueezed}>
+              <SelectTrigger className="w-full sm:w-[220px] bg-gray-800 text-gray-100 border-gray-700">
+                <SelectValue placeholder="Significance" />
+              </SelectTrigger>
+              <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+                <SelectItem value="none" className="hover:bg-gray-700">No Significance Test</SelectItem>
+                {Object.entries(noiseBackgrounds).map(([value, { label }]) => (
+                  <SelectItem key={value} value={value} className="hover:bg-gray-700">Against {label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <label className="flex items-center space-x-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={maskCoi}
+                onChange={(e) => setMaskCoi(e.target.checked)}
+                className="h-4 w-4 accent-blue-500"
+              />
+              <span>Exclude the cone of influence from statistics and exports</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={showSpectrogram}
+                onChange={(e) => setShowSpectrogram(e.target.checked)}
+                className="h-4 w-4 accent-blue-500"
+              />
+              <span>Show the STFT spectrogram below</span>
+            </label>
+          </div>
+        )}
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4 mb-4">
+          <Select value={colormap} onValueChange={setColormap}>
+            <SelectTrigger className="w-full bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Colormap" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              {Object.entries(colormaps).map(([value, { label }]) => (
+                <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {signalSource !== 'live' && (
+            <>
+              <Select value={colorScaling} onValueChange={setColorScaling} disabled={!coefficientViews[coefficientViewType].decibels}>
+                <SelectTrigger className="w-full bg-gray-800 text-gray-100 border-gray-700">
+                  <SelectValue placeholder="Colour Scaling" />
+                </SelectTrigger>
+                <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+                  {Object.entries(colorScalings).map(([value, { label }]) => (
+                    <SelectItem key={value} value={value} className="hover:bg-gray-700">{label} Colour Scale</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">Lower Clip Percentile</label>
+                <Slider
+                  value={[lowerPercentile]}
+                  onValueChange={([value]) => setLowerPercentile(value)}
+                  disabled={coefficientViews[coefficientViewType].signed}
+                  min={0}
+                  max={49}
+                  step={0.5}
+                  className="w-full"
+                />
+                <span className="text-sm text-gray-400 mt-1 block">{lowerPercentile}%</span>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">Upper Clip Percentile</label>
+                <Slider
+                  value={[upperPercentile]}
+                  onValueChange={([value]) => setUpperPercentile(value)}
+                  disabled={coefficientViews[coefficientViewType].cyclic}
+                  min={51}
+                  max={100}
+                  step={0.5}
+                  className="w-full"
+                />
+                <span className="text-sm text-gray-400 mt-1 block">{upperPercentile}%</span>
+              </div>
+            </>
+          )}
+        </div>
+        {signalSource === 'live' ? (
+          <LiveScalogram
+            scales={scales}
+            samplingRate={samplingRate}
+            waveletType={waveletType}
+            waveletParameters={waveletParameters[waveletType]}
+            coefficientViewType={coefficientViewType}
+            colormap={colormap}
+            onSamplingRate={applySamplingRate}
+            onDebug={addDebugInfo}
+          />
+        ) : isCalculating ? (
+          <div className="flex items-center justify-center h-[300px] bg-gray-800 rounded-lg">
+            <Loader className="h-8 w-8 animate-spin text-blue-500" />
+            <span className="ml-2 text-lg">{synchrosqueezed ? 'Synchrosqueezing...' : 'Calculating CWT...'}</span>
+          </div>
+        ) : cwtImage ? (
+          <div>
+            <Tabs value={scalogramTab} onValueChange={setScalogramTab}>
+              <TabsList className="mb-2 bg-gray-800 text-gray-400">
+                <TabsTrigger value="scalogram" className="data-[state=active]:bg-gray-950 data-[state=active]:text-gray-50">Scalogram</TabsTrigger>
+                <TabsTrigger value="surface" className="data-[state=active]:bg-gray-950 data-[state=active]:text-gray-50">3D Surface</TabsTrigger>
+                <TabsTrigger value="compare" className="data-[state=active]:bg-gray-950 data-[state=active]:text-gray-50">Compare</TabsTrigger>
+              </TabsList>
+              <TabsContent value="scalogram">
+                <div className="flex space-x-4">
+                  <div className="flex-1 min-w-0">
+                    <ScalogramImage
+                      image={cwtImage}
+                      alt="CWT Scaleogram"
+                      frequencies={cwtResult.frequencies}
+                      signalLength={cwtResult.re[0].length}
+                      samplingRate={cwtResult.samplingRate}
+                      scales={cwtResult.synchrosqueezed ? null : cwtResult.scales}
+                      values={scalogram}
+                      valueLabel={coefficientViews[coefficientViewType].label}
+                      coi={cwtResult.coi}
+                      coiDisplay={coiDisplay}
+                      view={scalogramView}
+                      onViewChange={setScalogramView}
+                      cursor={showSpectrogram ? scalogramCursor : undefined}
+                      onCursorChange={showSpectrogram ? setScalogramCursor : undefined}
+                    >
+                      {overlays.map(({ key, width, rows, contours }) => (
+                        <ContourOverlay key={key} width={width} rows={rows} contours={contours} />
+                      ))}
+                    </ScalogramImage>
+                  </div>
+                  {colorRange && (
+                    <div className="shrink-0">
+                      <ColorBar colormap={colormapFor(coefficientViews[coefficientViewType], colormap)} scale={colorRange} />
+                    </div>
+                  )}
+                  {globalSpectrum && (
+                    <div className="w-32 sm:w-48 shrink-0">
+                      <GlobalSpectrum
+                        frequencies={cwtResult.frequencies}
+                        power={globalSpectrum.power}
+                        fourier={globalSpectrum.fourier}
+                        rowRange={[scalogramView.y0, scalogramView.y1]}
+                      />
+                    </div>
+                  )}
+                </div>
+                {showSpectrogram && (
+                  <div className="flex space-x-4 mt-6">
+                    <div className="flex-1 min-w-0">
+                      <h3 className="text-lg font-semibold mb-2">STFT Spectrogram</h3>
+                      <SpectrogramPanel
+                        signal={signalValues}
+                        frequencies={cwtResult.frequencies}
+                        samplingRate={cwtResult.samplingRate}
+                        settings={stftSettings}
+                        onSettingsChange={handleStftSettings}
+                        coefficientViewType={coefficientViewType}
+                        colormap={colormap}
+                        colorScaling={colorScaling}
+                        percentiles={[lowerPercentile, upperPercentile]}
+                        view={scalogramView}
+                        onViewChange={setScalogramView}
+                        cursor={scalogramCursor}
+                        onCursorChange={setScalogramCursor}
+                        onDebug={addDebugInfo}
+                      />
+                    </div>
+                    {globalSpectrum && <div className="w-32 sm:w-48 shrink-0" />}
+                  </div>
+                )}
+              </TabsContent>
+              <TabsContent value="surface">
+                {surface && (
+                  <ScalogramSurface
+                    values={surface.values}
+                    scale={surface.scale}
+                    colormap={colormap}
+                    frequencies={cwtResult.frequencies}
+                    signalLength={cwtResult.re[0].length}
+                    samplingRate={cwtResult.samplingRate}
+                  />
+                )}
+              </TabsContent>
+              <TabsContent value="compare">
+                <ComparisonWorkspace
+                  signal={signalValues}
+                  samplingRate={samplingRate}
+                  base={{
+                    waveletType,
+                    waveletParameters: waveletParameters[waveletType],
+                    minFrequency,
+                    maxFrequency,
+                    voicesPerOctave,
+                    scaleSpacing
+                  }}
+                  coefficientViewType={coefficientViewType}
+                  colormap={colormap}
+                  colorScaling={colorScaling}
+                  percentiles={[lowerPercentile, upperPercentile]}
+                  coiDisplay={coiDisplay}
+                  maskCoi={maskCoi}
+                  onDebug={addDebugInfo}
+                />
+              </TabsContent>
+            </Tabs>
+            {exportable && (
+              <div className="mt-4">
+                <ExportMenu
+                  transform={exportable.transform}
+                  values={scalogram}
+                  viewLabel={coefficientViews[coefficientViewType].label}
+                  signal={signalValues}
+                  figure={exportable.figure}
+                  onDebug={addDebugInfo}
+                />
+              </div>
+            )}
+            {bandPower && (
+              <div className="mt-6">
+                <ScaleAveragedPower
+                  frequencies={cwtResult.frequencies}
+                  band={band}
+                  onBand={setAveragingBand}
+                  power={bandPower}
+                  samplingRate={cwtResult.samplingRate}
+                />
+              </div>
+            )}
+            <div className="mt-6">
+              <RidgePanel
+                ridges={ridges}
+                samplingRate={cwtResult.samplingRate}
+                ridgeCount={ridgeCount}
+                onRidgeCount={setRidgeCount}
+                penalty={ridgePenalty}
+                onPenalty={setRidgePenalty}
+                reference={knownSweep}
+              />
+            </div>
+            {transformMode === 'synchrosqueezed' && !synchrosqueezed && (
+              <p className="mt-2 text-sm text-yellow-400">
+                Synchrosqueezing needs a complex wavelet; showing the plain CWT of the {wavelets[waveletType].label} wavelet.
+              </p>
+            )}
+            {cwtResult.synchrosqueezed && signalValues.length === cwtResult.re[0].length && (
+              <div className="mt-6">
+                <ModeReconstruction
+                  transform={cwtResult.synchrosqueezed}
+                  frequencies={cwtResult.frequencies}
+                  signalLength={cwtResult.re[0].length}
+                  samplingRate={cwtResult.samplingRate}
+                  signal={signalValues}
+                />
+              </div>
+            )}
+            {significance && (
+              <p className="mt-2 text-sm text-gray-400">
+                {noiseBackgrounds[significance.background.type].label} background with variance{' '}
+                {significance.background.variance.toPrecision(3)} and lag-1 autocorrelation{' '}
+                {significance.background.alpha.toFixed(2)}. Contours enclose power significant at{' '}
+                {significance.contours.map(({ label, style }) => label + ' (' + style + ')').join(', ')}.
+              </p>
+            )}
+          </div>
+        ) : (
+          <div className="flex items-center justify-center h-[300px] bg-gray-800 rounded-lg text-red-500 text-lg">
+            No CWT result available
+          </div>
+        )}
+      </div>
+      
+      {compareSignals && signalSource !== 'live' && (
+        <div className="mt-8 w-full max-w-6xl">
+          <h2 className="text-2xl font-bold mb-4">Second Signal</h2>
+          <SecondSignalInput
+            samplingRate={samplingRate}
+            sampleCount={sampleCount}
+            maxSamples={MAX_SAMPLE_COUNT}
+            seed={seed + 1}
+            onChange={setSecondSignal}
+            onDebug={addDebugInfo}
+          />
+          {secondSignal && secondSignal.length !== signalValues.length && (
+            <p className="mt-2 text-sm text-yellow-400">
+              The signals have {signalValues.length} and {secondSignal.length} samples; both are cut
+              to {Math.min(signalValues.length, secondSignal.length)}.
+            </p>
+          )}
+          <h2 className="text-2xl font-bold mt-8 mb-4">Cross-Wavelet Coherence</h2>
+          <CoherencePanel
+            x={signalValues.length > 0 ? signalValues : null}
+            y={secondSignal && secondSignal.length > 0 ? secondSignal : null}
+            scales={scales}
+            samplingRate={samplingRate}
+            waveletType={waveletType}
+            waveletParameters={waveletParameters[waveletType]}
+            coiDisplay={coiDisplay}
+            colormap={colormap}
+            onDebug={addDebugInfo}
+          />
+        </div>
+      )}
+
+      <div className="mt-8 w-full max-w-6xl">
+        <h2 className="text-2xl font-bold mb-4">Debug Information</h2>
+        <pre className="bg-gray-800 p-4 rounded-lg overflow-auto max-h-60 text-xs">
+          {debugInfo}
+        </pre>
+      </div>
+      
+      <Alert className="mt-8 w-full max-w-6xl bg-blue-900 border-blue-700">
+        <Activity className="h-4 w-4 text-blue-400" />
+        <AlertTitle className="text-blue-300">About the CWT</AlertTitle>
+        <AlertDescription className="text-blue-100 space-y-2">
+          <p>
+            The x-axis of the scalogram is time and the y-axis scale, labelled with the equivalent Fourier frequency of the
+            wavelet (high frequencies at the top); the colour shows the selected view of the complex coefficients. In the
+            modulus and power views brighter colours mean a stronger match between signal and wavelet; the phase view uses a
+            cyclic colour wheel, so -&pi; and &pi; share a colour.
+          </p>
+          <ul className="list-disc space-y-1 pl-5">
+            {ABOUT_ITEMS.map(([title, text]) => (
+              <li key={title}>
+                <span className="font-semibold text-blue-200">{title}:</span> {text}
+              </li>
+            ))}
+          </ul>
+        </AlertDescription>
+      </Alert>
+    </div>
+  );
+};
+
 export default ContinuousWaveletTransformVisualizer;
\ No newline at end of file
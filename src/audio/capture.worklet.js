@@ -0,0 +1,59 @@
+/**
+ * Audio-thread side of live mode. Receives the (mono) input of its node,
+ * averages every `decimation` frames into one sample, and posts batches of
+ * `batchSize` samples to the MessagePort handed over in a `connect` message,
+ * which leads straight to the CWT worker. Averaging is a crude anti-alias
+ * filter, but it is cheap enough for the audio thread.
+ */
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.target = null;
+    this.decimation = 1;
+    this.batchSize = 1024;
+    this.batch = new Float32Array(this.batchSize);
+    this.batchLength = 0;
+    this.sum = 0;
+    this.count = 0;
+
+    this.port.onmessage = (e) => {
+      const { type, port, decimation, batchSize } = e.data;
+      if (type === 'connect') {
+        this.target = port;
+      } else if (type === 'configure') {
+        this.decimation = decimation ?? this.decimation;
+        this.batchSize = batchSize ?? this.batchSize;
+        this.batch = new Float32Array(this.batchSize);
+        this.batchLength = 0;
+        this.sum = 0;
+        this.count = 0;
+      }
+    };
+  }
+
+  process(inputs) {
+    const channel = inputs[0][0];
+    if (!channel || !this.target) {
+      return true;
+    }
+
+    for (let i = 0; i < channel.length; i++) {
+      this.sum += channel[i];
+      this.count++;
+      if (this.count === this.decimation) {
+        this.batch[this.batchLength++] = this.sum / this.decimation;
+        this.sum = 0;
+        this.count = 0;
+        if (this.batchLength === this.batchSize) {
+          // Transferring detaches the batch, so start a fresh one.
+          this.target.postMessage(this.batch, [this.batch.buffer]);
+          this.batch = new Float32Array(this.batchSize);
+          this.batchLength = 0;
+        }
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
@@ -0,0 +1,114 @@
+/**
+ * Web Audio sources for live mode. Each source is routed into a
+ * `capture-processor` AudioWorklet (see capture.worklet.js), which forwards
+ * decimated mono samples to a MessagePort.
+ */
+export const liveInputs = {
+  oscillator: { label: 'Oscillator' },
+  file: { label: 'Audio File' },
+  microphone: { label: 'Microphone' },
+};
+
+/**
+ * Whether the browser can capture audio from a microphone. Requires a
+ * secure context.
+ */
+export function isMicrophoneAvailable() {
+  return typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+}
+
+/**
+ * Integer factor that brings the audio context rate down to at most the
+ * requested sampling rate.
+ */
+export function decimationFactor(contextSampleRate, samplingRate) {
+  // The tolerance absorbs rates that were rounded for display.
+  return Math.max(1, Math.ceil(contextSampleRate / samplingRate - 1e-3));
+}
+
+/**
+ * Builds and starts an audio graph that feeds `port`. Must be called from a
+ * user gesture so that the AudioContext is allowed to run.
+ *
+ * @param {object} options
+ * @param {keyof liveInputs} options.kind
+ * @param {MessagePort} options.port - Receives Float32Array batches.
+ * @param {File} [options.file] - Audio file for the `file` source; it loops
+ *   and is also played through the speakers.
+ * @param {number} [options.frequency=440] - Oscillator frequency, in Hz.
+ * @returns {Promise<{
+ *   contextSampleRate: number,
+ *   configure: (decimation: number, batchSize: number) => void,
+ *   setFrequency: (frequency: number) => void,
+ *   stop: () => Promise<void>
+ * }>}
+ */
+export async function startLiveInput({ kind, port, file, frequency = 440 }) {
+  const context = new AudioContext();
+  try {
+    await context.audioWorklet.addModule(new URL('./capture.worklet.js', import.meta.url));
+    const capture = new AudioWorkletNode(context, 'capture-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCount: 1,
+      channelCountMode: 'explicit',
+      channelInterpretation: 'speakers',
+    });
+    capture.port.postMessage({ type: 'connect', port }, [port]);
+
+    let source;
+    let stream = null;
+    switch (kind) {
+      case 'oscillator':
+        source = new OscillatorNode(context, { frequency });
+        source.start();
+        break;
+      case 'file': {
+        if (!file) {
+          throw new Error('Choose an audio file first');
+        }
+        const buffer = await context.decodeAudioData(await file.arrayBuffer());
+        source = new AudioBufferSourceNode(context, { buffer, loop: true });
+        source.connect(context.destination);
+        source.start();
+        break;
+      }
+      case 'microphone':
+        if (!isMicrophoneAvailable()) {
+          throw new Error('Microphone capture is not available in this browser');
+        }
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        source = new MediaStreamAudioSourceNode(context, { mediaStream: stream });
+        break;
+      default:
+        throw new Error('Unknown live input: ' + kind);
+    }
+    source.connect(capture);
+    await context.resume();
+
+    return {
+      contextSampleRate: context.sampleRate,
+      configure(decimation, batchSize) {
+        capture.port.postMessage({ type: 'configure', decimation, batchSize });
+      },
+      setFrequency(value) {
+        if (kind === 'oscillator') {
+          source.frequency.setTargetAtTime(value, context.currentTime, 0.01);
+        }
+      },
+      async stop() {
+        if (source.stop) {
+          source.stop();
+        }
+        source.disconnect();
+        if (stream) {
+          stream.getTracks().forEach((track) => track.stop());
+        }
+        await context.close();
+      },
+    };
+  } catch (error) {
+    await context.close();
+    throw error;
+  }
+}
@@ -0,0 +1,313 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Loader } from 'lucide-react';
+import { Slider } from "@/components/ui/slider";
+import ScalogramImage, { ContourOverlay } from "@/components/ScalogramImage";
+import { coefficientViews } from "@/dsp/views";
+import { contourPath } from "@/lib/contours";
+import { renderScalogramImage } from "@/lib/scalogramImage";
+import { colorScale } from "@/lib/colorScale";
+
+const MAX_IMAGE_WIDTH = 2048;
+const ARROW_COLUMNS = 32;
+const ARROW_ROWS = 12;
+// Arrows are drawn where coherence reaches the Monte Carlo threshold, or
+// this value while no threshold is available.
+const DEFAULT_ARROW_COHERENCE = 0.5;
+const MONTE_CARLO_SEED = 1;
+// Settings are sent to the worker once they have stopped changing for this
+// long, so that dragging a slider does not queue a transform per step.
+const REQUEST_DELAY_MS = 250;
+
+const createWorker = () => new Worker(new URL('../dsp/cwt.worker.js', import.meta.url), { type: 'module' });
+
+// Splits a row-major buffer into one row per scale.
+const toRows = (buffer, rows, signalLength) => {
+  const values = new Float64Array(buffer);
+  return Array.from({ length: rows }, (_, i) => values.subarray(i * signalLength, (i + 1) * signalLength));
+};
+
+/**
+ * Cross-wavelet power and wavelet coherence of two signals, side by side,
+ * with phase arrows on the coherence. The two signals are cut to the
+ * shorter length; the Monte Carlo significance test arrives after the
+ * coherence itself.
+ */
+const CoherencePanel = ({ x, y, scales, samplingRate, waveletType, waveletParameters, coiDisplay, colormap = 'viridis', onDebug }) => {
+  const [monteCarloRuns, setMonteCarloRuns] = useState(30);
+  const [result, setResult] = useState(null);
+  const [threshold, setThreshold] = useState(null);
+  const [isCalculating, setIsCalculating] = useState(false);
+  const [isTesting, setIsTesting] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const busyRef = useRef(false);
+  const requestIdRef = useRef(0);
+
+  const attachWorker = useCallback((worker) => {
+    worker.onmessage = (e) => {
+      const { type, requestId, message } = e.data;
+      if (type === 'debug') {
+        onDebug(message);
+        return;
+      }
+      if (type === 'error') {
+        onDebug('Error: ' + message);
+        busyRef.current = false;
+        setError(message);
+        setIsCalculating(false);
+        setIsTesting(false);
+        return;
+      }
+      if (requestId !== requestIdRef.current) {
+        return;
+      }
+      if (type === 'coherence-result') {
+        const { signalLength, complex } = e.data;
+        const frequencies = new Float64Array(e.data.frequencies);
+        const rows = frequencies.length;
+        setResult({
+          crossRe: toRows(e.data.crossRe, rows, signalLength),
+          crossIm: toRows(e.data.crossIm, rows, signalLength),
+          coherence: toRows(e.data.coherence, rows, signalLength),
+          phase: toRows(e.data.phase, rows, signalLength),
+          frequencies,
+          coi: new Float64Array(e.data.coi),
+          complex,
+          signalLength,
+          samplingRate: e.data.samplingRate
+        });
+        setIsCalculating(false);
+        busyRef.current = e.data.monteCarloPending;
+      } else if (type === 'coherence-significance') {
+        setThreshold(new Float64Array(e.data.threshold));
+        setIsTesting(false);
+        busyRef.current = false;
+      }
+    };
+    worker.onerror = (event) => {
+      onDebug('Coherence worker error: ' + event.message);
+      busyRef.current = false;
+      setError(event.message);
+      setIsCalculating(false);
+      setIsTesting(false);
+    };
+  }, [onDebug]);
+
+  useEffect(() => {
+    return () => {
+      if (workerRef.current) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!x || !y || scales.length === 0) {
+      setResult(null);
+      setThreshold(null);
+      return;
+    }
+    const timer = setTimeout(() => {
+      // A Monte Carlo test can run for many seconds; rather than wait for
+      // it, a busy worker is replaced.
+      if (workerRef.current && busyRef.current) {
+        onDebug('Cancelling coherence calculation');
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+      if (!workerRef.current) {
+        workerRef.current = createWorker();
+        attachWorker(workerRef.current);
+      }
+
+      const length = Math.min(x.length, y.length);
+      requestIdRef.current++;
+      busyRef.current = true;
+      setError(null);
+      setThreshold(null);
+      setIsCalculating(true);
+      setIsTesting(monteCarloRuns > 0);
+      onDebug('Sending coherence request: ' + JSON.stringify({ signalLength: length, scalesLength: scales.length, monteCarloRuns }));
+      workerRef.current.postMessage({
+        type: 'coherence',
+        requestId: requestIdRef.current,
+        x: Float64Array.from(x.subarray(0, length)),
+        y: Float64Array.from(y.subarray(0, length)),
+        scales: new Float64Array(scales),
+        samplingRate,
+        waveletType,
+        waveletParameters,
+        monteCarloRuns,
+        seed: MONTE_CARLO_SEED
+      });
+    }, REQUEST_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [x, y, scales, samplingRate, waveletType, waveletParameters, monteCarloRuns, attachWorker, onDebug]);
+
+  const images = useMemo(() => {
+    if (!result) {
+      return null;
+    }
+    const crossModulus = result.crossRe.map((row, i) => row.map((re, n) => Math.hypot(re, result.crossIm[i][n])));
+    const view = coefficientViews.modulus;
+    return {
+      crossModulus,
+      cross: renderScalogramImage(crossModulus, {
+        scale: colorScale(crossModulus, { view }),
+        colormap,
+        maxWidth: MAX_IMAGE_WIDTH
+      }),
+      coherence: renderScalogramImage(result.coherence, {
+        scale: colorScale(result.coherence, { view, domain: [0, 1] }),
+        colormap,
+        maxWidth: MAX_IMAGE_WIDTH
+      })
+    };
+  }, [result, colormap]);
+
+  const contours = useMemo(() => {
+    if (!result || !threshold) {
+      return null;
+    }
+    const { signalLength, coherence } = result;
+    const rows = coherence.length;
+    const width = Math.min(signalLength, MAX_IMAGE_WIDTH);
+    const ratio = new Float64Array(rows * width);
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < width; column++) {
+        ratio[row * width + column] = coherence[row][Math.floor(column * signalLength / width)] / threshold[row];
+      }
+    }
+    return { width, rows, contours: [{ key: 'significance', path: contourPath(ratio, width, rows, 1), strokeWidth: 1.5 }] };
+  }, [result, threshold]);
+
+  // Phase of the smoothed cross spectrum on a coarse grid. An arrow
+  // pointing right means in phase, left anti-phase, and down that the
+  // first signal leads by 90 degrees.
+  const arrows = useMemo(() => {
+    if (!result || !result.complex) {
+      return [];
+    }
+    const { signalLength, coherence, phase } = result;
+    const rows = coherence.length;
+    const list = [];
+    for (let k = 0; k < Math.min(ARROW_ROWS, rows); k++) {
+      const row = Math.floor((k + 0.5) * rows / Math.min(ARROW_ROWS, rows));
+      for (let j = 0; j < Math.min(ARROW_COLUMNS, signalLength); j++) {
+        const column = Math.floor((j + 0.5) * signalLength / Math.min(ARROW_COLUMNS, signalLength));
+        if (coherence[row][column] >= (threshold ? threshold[row] : DEFAULT_ARROW_COHERENCE)) {
+          list.push({
+            key: row + ':' + column,
+            left: (column + 0.5) / signalLength,
+            top: (row + 0.5) / rows,
+            angle: phase[row][column] * 180 / Math.PI
+          });
+        }
+      }
+    }
+    return list;
+  }, [result, threshold]);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">Monte Carlo Runs</label>
+        <Slider
+          value={[monteCarloRuns]}
+          onValueChange={([value]) => setMonteCarloRuns(value)}
+          min={0}
+          max={300}
+          step={10}
+          className="w-full"
+        />
+        <span className="text-sm text-gray-400 mt-1 block">
+          {monteCarloRuns > 0 ? monteCarloRuns + ' pairs of red noise series' : 'No significance test'}
+        </span>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {isCalculating || !result ? (
+        <div className="flex items-center justify-center h-[300px] bg-gray-800 rounded-lg">
+          {isCalculating ? (
+            <>
+              <Loader className="h-8 w-8 animate-spin text-blue-500" />
+              <span className="ml-2 text-lg">Calculating coherence...</span>
+            </>
+          ) : (
+            <span className="text-gray-400">The second signal is not ready</span>
+          )}
+        </div>
+      ) : (
+        <div className="grid gap-6 lg:grid-cols-2">
+          <div>
+            <h3 className="text-lg font-semibold mb-2">Cross-Wavelet Spectrum |W<sub>xy</sub>|</h3>
+            <ScalogramImage
+              image={images.cross}
+              alt="Cross-wavelet spectrum"
+              frequencies={result.frequencies}
+              signalLength={result.signalLength}
+              samplingRate={result.samplingRate}
+              scales={scales}
+              values={images.crossModulus}
+              valueLabel="|Wxy|"
+              coi={result.coi}
+              coiDisplay={coiDisplay}
+            />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold mb-2">Wavelet Coherence R&sup2;</h3>
+            <ScalogramImage
+              image={images.coherence}
+              alt="Wavelet coherence"
+              frequencies={result.frequencies}
+              signalLength={result.signalLength}
+              samplingRate={result.samplingRate}
+              scales={scales}
+              values={result.coherence}
+              valueLabel="R²"
+              coi={result.coi}
+              coiDisplay={coiDisplay}
+            >
+              {contours && <ContourOverlay width={contours.width} rows={contours.rows} contours={contours.contours} />}
+              <div className="absolute left-0 top-0 w-full h-full pointer-events-none">
+                {arrows.map(({ key, left, top, angle }) => (
+                  <svg
+                    key={key}
+                    width="14"
+                    height="14"
+                    viewBox="-7 -7 14 14"
+                    className="absolute"
+                    style={{
+                      left: (left * 100) + '%',
+                      top: (top * 100) + '%',
+                      transform: 'translate(-50%, -50%) rotate(' + angle.toFixed(1) + 'deg)'
+                    }}
+                  >
+                    <path d="M-6,0 L5,0 M1,-3.5 L5,0 L1,3.5" fill="none" stroke="white" strokeWidth="1.5" />
+                  </svg>
+                ))}
+              </div>
+            </ScalogramImage>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <p className="text-sm text-gray-400">
+          {isTesting
+            ? 'Running the Monte Carlo significance test...'
+            : threshold
+              ? 'The contour encloses coherence significant at 95% against red noise with the lag-1 autocorrelations of both signals.'
+              : 'No significance test was run.'}{' '}
+          {result.complex
+            ? 'Arrows mark coherent regions: right is in phase, left anti-phase, down means the first signal leads by 90° and up that it lags.'
+            : 'Phase arrows need a complex wavelet such as the Morlet.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CoherencePanel;
@@ -0,0 +1,43 @@
+import { useMemo } from 'react';
+import { colormapColor } from "@/lib/colormap";
+
+const GRADIENT_STOPS = 32;
+
+/**
+ * Vertical colour bar for a scalogram, as tall as the image, with the
+ * colour scale's ticks and label. The top of the bar is the top of the
+ * colour range.
+ */
+const ColorBar = ({ colormap, scale }) => {
+  const gradient = useMemo(() => {
+    const stops = Array.from({ length: GRADIENT_STOPS + 1 }, (_, k) => {
+      const [r, g, b] = colormapColor(colormap, k / GRADIENT_STOPS);
+      return 'rgb(' + r + ',' + g + ',' + b + ') ' + (k / GRADIENT_STOPS * 100) + '%';
+    });
+    return 'linear-gradient(to top, ' + stops.join(', ') + ')';
+  }, [colormap]);
+
+  const ticks = useMemo(() => scale.ticks(5), [scale]);
+
+  return (
+    <div>
+      <div className="relative flex h-[300px]">
+        <div className="w-4 h-full rounded" style={{ background: gradient }} />
+        <div className="relative w-14 h-full text-xs text-gray-300">
+          {ticks.map(({ position, label }) => (
+            <span
+              key={label}
+              className="absolute left-1 -translate-y-1/2 whitespace-nowrap"
+              style={{ top: ((1 - position) * 100) + '%' }}
+            >
+              {label}
+            </span>
+          ))}
+        </div>
+      </div>
+      <p className="mt-1 text-xs text-gray-400 whitespace-nowrap">{scale.label}</p>
+    </div>
+  );
+};
+
+export default ColorBar;
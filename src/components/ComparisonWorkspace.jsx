@@ -0,0 +1,465 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Loader } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from "@/components/ui/card";
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { Button } from "@/components/ui/button";
+import ScalogramImage from "@/components/ScalogramImage";
+import ColorBar from "@/components/ColorBar";
+import { coefficientViews, coefficientView } from "@/dsp/views";
+import { wavelets, defaultParameters } from "@/dsp/wavelets";
+import { scaleGrid } from "@/dsp/scales";
+import { colormapFor } from "@/lib/colormap";
+import { colorScale } from "@/lib/colorScale";
+import { formatFrequency } from "@/lib/format";
+import { renderScalogramImage } from "@/lib/scalogramImage";
+import { FULL_VIEW, clampView, fractionToFrequency, frequencyToFraction } from "@/lib/viewport";
+
+const MIN_CONFIGURATIONS = 2;
+const MAX_CONFIGURATIONS = 4;
+const MAX_IMAGE_WIDTH = 1024;
+// Settings are sent to the worker once they have stopped changing for this
+// long, so that dragging a slider does not queue a transform per step.
+const REQUEST_DELAY_MS = 250;
+
+const createWorker = () => new Worker(new URL('../dsp/cwt.worker.js', import.meta.url), { type: 'module' });
+
+// Splits a row-major buffer into one row per scale.
+const toRows = (buffer, rows, signalLength, ArrayType = Float64Array) => {
+  const values = new ArrayType(buffer);
+  return Array.from({ length: rows }, (_, i) => values.subarray(i * signalLength, (i + 1) * signalLength));
+};
+
+// Identifies a configuration's transform, so that results can be reused
+// while the signal stays the same.
+const configurationKey = ({ waveletType, waveletParameters, minFrequency, maxFrequency, voicesPerOctave, scaleSpacing }) =>
+  JSON.stringify([waveletType, waveletParameters, minFrequency, maxFrequency, voicesPerOctave, scaleSpacing]);
+
+const describeWavelet = ({ waveletType, waveletParameters }) => {
+  const { label, parameters } = wavelets[waveletType];
+  const values = Object.entries(parameters).map(([name, { label: parameterLabel }]) => {
+    const symbol = parameterLabel.match(/\(([^)]+)\)/);
+    return (symbol ? symbol[1] : parameterLabel) + ' = ' + waveletParameters[name];
+  });
+  return values.length > 0 ? label + ' (' + values.join(', ') + ')' : label;
+};
+
+// The view of one scalogram for the shared view, which holds the time span
+// as image fractions (the signal is the same for every configuration) and
+// the frequency span in Hz.
+const cardView = (shared, frequencies, signalLength) => {
+  if (!shared) {
+    return FULL_VIEW;
+  }
+  const y0 = Math.max(0, frequencyToFraction(frequencies, shared.top));
+  const y1 = Math.min(1, frequencyToFraction(frequencies, shared.bottom));
+  if (!(y1 > y0)) {
+    return { ...FULL_VIEW, x0: shared.x0, x1: shared.x1 };
+  }
+  return clampView({ x0: shared.x0, x1: shared.x1, y0, y1 }, Math.min(1, 8 / signalLength), 0);
+};
+
+/**
+ * Transforms one signal with two to four wavelet and scale grid
+ * configurations and shows the scalograms side by side in cards. Zoom and
+ * the crosshair are linked across the cards by time and frequency, and the
+ * colour range can be shared so that the same colour means the same value
+ * in every card. `base` holds the main view's wavelet and scale grid, which
+ * new configurations start from.
+ */
+const ComparisonWorkspace = ({
+  signal,
+  samplingRate,
+  base,
+  coefficientViewType,
+  colormap,
+  colorScaling,
+  percentiles,
+  coiDisplay,
+  maskCoi,
+  onDebug
+}) => {
+  const [configurations, setConfigurations] = useState(() => {
+    const otherType = base.waveletType === 'mexicanHat' ? 'morlet' : 'mexicanHat';
+    return [base, { ...base, waveletType: otherType, waveletParameters: defaultParameters(otherType) }];
+  });
+  const [results, setResults] = useState({});
+  const [sharedRange, setSharedRange] = useState(true);
+  const [sharedView, setSharedView] = useState(null);
+  const [cursor, setCursor] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const requestsRef = useRef(new Map());
+  const requestIdRef = useRef(0);
+  // Counts signal changes, so that transforms of an earlier signal still in
+  // flight are dropped when they arrive.
+  const generationRef = useRef(0);
+
+  const attachWorker = useCallback((worker) => {
+    worker.onmessage = (e) => {
+      const { type, requestId, message } = e.data;
+      if (type === 'debug') {
+        onDebug(message);
+        return;
+      }
+      if (type === 'error') {
+        onDebug('Error: ' + message);
+        requestsRef.current.clear();
+        setError(message);
+        return;
+      }
+      const request = requestsRef.current.get(requestId);
+      if (type !== 'result' || request === undefined) {
+        return;
+      }
+      requestsRef.current.delete(requestId);
+      if (request.generation !== generationRef.current) {
+        return;
+      }
+      const { signalLength } = e.data;
+      const frequencies = new Float64Array(e.data.frequencies);
+      const rows = frequencies.length;
+      setResults((prev) => ({
+        ...prev,
+        [request.key]: {
+          re: toRows(e.data.re, rows, signalLength),
+          im: toRows(e.data.im, rows, signalLength),
+          coiMask: toRows(e.data.coiMask, rows, signalLength, Uint8Array),
+          scales: new Float64Array(e.data.scales),
+          frequencies,
+          coi: new Float64Array(e.data.coi),
+          signalLength,
+          samplingRate: e.data.samplingRate
+        }
+      }));
+    };
+    worker.onerror = (event) => {
+      onDebug('Comparison worker error: ' + event.message);
+      requestsRef.current.clear();
+      setError(event.message);
+    };
+  }, [onDebug]);
+
+  useEffect(() => {
+    return () => {
+      if (workerRef.current) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+    };
+  }, []);
+
+  // A new signal invalidates every transform.
+  useEffect(() => {
+    generationRef.current++;
+    setResults({});
+    setSharedView(null);
+  }, [signal, samplingRate]);
+
+  // Only the transforms of the configurations on display are kept.
+  useEffect(() => {
+    const keys = new Set(configurations.map(configurationKey));
+    setResults((prev) => {
+      const kept = Object.entries(prev).filter(([key]) => keys.has(key));
+      return kept.length === Object.keys(prev).length ? prev : Object.fromEntries(kept);
+    });
+  }, [configurations]);
+
+  const scaleGrids = useMemo(() => configurations.map((configuration) => {
+    try {
+      return scaleGrid({
+        minFrequency: configuration.minFrequency,
+        maxFrequency: configuration.maxFrequency,
+        voicesPerOctave: configuration.voicesPerOctave,
+        spacing: configuration.scaleSpacing,
+        samplingRate,
+        wavelet: configuration.waveletType,
+        parameters: configuration.waveletParameters
+      });
+    } catch {
+      return null;
+    }
+  }), [configurations, samplingRate]);
+
+  useEffect(() => {
+    const wanted = new Map();
+    configurations.forEach((configuration, i) => {
+      const key = configurationKey(configuration);
+      if (scaleGrids[i] && !results[key]) {
+        wanted.set(key, { configuration, scales: scaleGrids[i] });
+      }
+    });
+    if (signal.length === 0 || wanted.size === 0) {
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      const inFlight = Array.from(requestsRef.current.values());
+      // Transforms still queued for settings or a signal since changed hold
+      // up the ones wanted now; rather than wait for them, the worker is
+      // replaced.
+      if (inFlight.some(({ generation, key }) => generation !== generationRef.current || !wanted.has(key))) {
+        onDebug('Cancelling comparison transforms');
+        workerRef.current.terminate();
+        workerRef.current = null;
+        requestsRef.current.clear();
+      }
+      if (!workerRef.current) {
+        workerRef.current = createWorker();
+        attachWorker(workerRef.current);
+      }
+      setError(null);
+      const pending = new Set(Array.from(requestsRef.current.values(), ({ key }) => key));
+      for (const [key, { configuration, scales }] of wanted) {
+        if (pending.has(key)) {
+          continue;
+        }
+        requestIdRef.current++;
+        requestsRef.current.set(requestIdRef.current, { generation: generationRef.current, key });
+        onDebug('Sending comparison transform: ' + key);
+        workerRef.current.postMessage({
+          type: 'transform',
+          requestId: requestIdRef.current,
+          signal: Float64Array.from(signal),
+          scales: Float64Array.from(scales),
+          samplingRate,
+          waveletType: configuration.waveletType,
+          waveletParameters: configuration.waveletParameters
+        });
+      }
+    }, REQUEST_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [signal, samplingRate, configurations, scaleGrids, results, attachWorker, onDebug]);
+
+  // Values, colour scales and images of the configurations whose transforms
+  // have arrived, with one colour range over all of them when shared.
+  const [lowerPercentile, upperPercentile] = percentiles;
+  const panels = useMemo(() => {
+    const view = coefficientViews[coefficientViewType];
+    const options = { view, scaling: colorScaling, percentiles: [lowerPercentile, upperPercentile] };
+    const entries = configurations.map((configuration) => {
+      const result = results[configurationKey(configuration)];
+      if (!result) {
+        return null;
+      }
+      const values = result.re.map((row, i) => coefficientView(row, result.im[i], coefficientViewType));
+      return { result, values, mask: maskCoi ? result.coiMask : undefined };
+    });
+    const ready = entries.filter(Boolean);
+    const shared = sharedRange && ready.length > 0
+      ? colorScale(ready.flatMap(({ values }) => values), {
+        ...options,
+        mask: maskCoi ? ready.flatMap(({ mask }) => mask) : undefined
+      })
+      : null;
+    return entries.map((entry) => {
+      if (!entry) {
+        return null;
+      }
+      const scale = shared ?? colorScale(entry.values, { ...options, mask: entry.mask });
+      return {
+        ...entry,
+        scale,
+        image: renderScalogramImage(entry.values, { scale, colormap: colormapFor(view, colormap), maxWidth: MAX_IMAGE_WIDTH })
+      };
+    });
+  }, [configurations, results, coefficientViewType, colormap, colorScaling, lowerPercentile, upperPercentile, maskCoi, sharedRange]);
+
+  const updateConfiguration = (index, changes) => {
+    setConfigurations((prev) => prev.map((configuration, i) => (i === index ? { ...configuration, ...changes } : configuration)));
+  };
+
+  const handleViewChange = (view, frequencies) => {
+    const isFull = view.x0 === 0 && view.x1 === 1 && view.y0 === 0 && view.y1 === 1;
+    setSharedView(isFull ? null : {
+      x0: view.x0,
+      x1: view.x1,
+      top: fractionToFrequency(frequencies, view.y0),
+      bottom: fractionToFrequency(frequencies, view.y1)
+    });
+  };
+
+  const viewLabel = coefficientViews[coefficientViewType].label;
+  const nyquist = samplingRate / 2;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4 sm:items-center">
+        <Button
+          onClick={() => setConfigurations((prev) => prev.concat(base))}
+          disabled={configurations.length >= MAX_CONFIGURATIONS}
+          className="bg-blue-600 text-white hover:bg-blue-500"
+        >
+          Add Configuration
+        </Button>
+        <label className="flex items-center space-x-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={sharedRange}
+            onChange={(e) => setSharedRange(e.target.checked)}
+            className="h-4 w-4 accent-blue-500"
+          />
+          <span>Share one colour range across all configurations</span>
+        </label>
+      </div>
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        {configurations.map((configuration, index) => {
+          const panel = panels[index];
+          const scales = scaleGrids[index];
+          return (
+            <Card key={index} className="bg-gray-800 border-gray-700 text-gray-100">
+              <CardHeader className="p-4">
+                <CardTitle className="text-lg">{describeWavelet(configuration)}</CardTitle>
+                <CardDescription className="text-gray-400">
+                  {formatFrequency(configuration.minFrequency)} to {formatFrequency(configuration.maxFrequency)},{' '}
+                  {configuration.scaleSpacing === 'log' ? configuration.voicesPerOctave + ' voices per octave' : 'linear spacing'}
+                  {scales ? ', ' + scales.length + ' scales' : ''}
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="p-4 pt-0 space-y-4">
+                {panel ? (
+                  <div className="flex space-x-2">
+                    <div className="flex-1 min-w-0">
+                      <ScalogramImage
+                        image={panel.image}
+                        alt={describeWavelet(configuration) + ' scalogram'}
+                        frequencies={panel.result.frequencies}
+                        signalLength={panel.result.signalLength}
+                        samplingRate={panel.result.samplingRate}
+                        scales={panel.result.scales}
+                        values={panel.values}
+                        valueLabel={viewLabel}
+                        coi={panel.result.coi}
+                        coiDisplay={coiDisplay}
+                        view={cardView(sharedView, panel.result.frequencies, panel.result.signalLength)}
+                        onViewChange={(view) => handleViewChange(view, panel.result.frequencies)}
+                        cursor={cursor}
+                        onCursorChange={setCursor}
+                      />
+                    </div>
+                    <div className="shrink-0">
+                      <ColorBar colormap={colormapFor(coefficientViews[coefficientViewType], colormap)} scale={panel.scale} />
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-center h-[300px] bg-gray-900 rounded-lg">
+                    {scales ? (
+                      <>
+                        <Loader className="h-6 w-6 animate-spin text-blue-500" />
+                        <span className="ml-2">Calculating...</span>
+                      </>
+                    ) : (
+                      <span className="text-gray-400">The frequency range is empty</span>
+                    )}
+                  </div>
+                )}
+
+                <Select
+                  value={configuration.waveletType}
+                  onValueChange={(type) => updateConfiguration(index, { waveletType: type, waveletParameters: defaultParameters(type) })}
+                >
+                  <SelectTrigger className="w-full bg-gray-800 text-gray-100 border-gray-700">
+                    <SelectValue placeholder="Wavelet Type" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+                    {Object.entries(wavelets).map(([value, { label }]) => (
+                      <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <div className="grid gap-4 sm:grid-cols-2">
+                  {Object.entries(wavelets[configuration.waveletType].parameters).map(([name, { label, min, max, step }]) => (
+                    <div key={name}>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
+                      <Slider
+                        value={[configuration.waveletParameters[name]]}
+                        onValueChange={([value]) => updateConfiguration(index, {
+                          waveletParameters: { ...configuration.waveletParameters, [name]: value }
+                        })}
+                        min={min}
+                        max={max}
+                        step={step}
+                        className="w-full"
+                      />
+                      <span className="text-sm text-gray-400 mt-1 block">
+                        {configuration.waveletParameters[name].toFixed(step < 1 ? 2 : 0)}
+                      </span>
+                    </div>
+                  ))}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">Minimum Frequency</label>
+                    <Slider
+                      value={[Math.log10(configuration.minFrequency)]}
+                      onValueChange={([value]) => updateConfiguration(index, { minFrequency: 10 ** value })}
+                      min={-1}
+                      max={Math.log10(configuration.maxFrequency / 2)}
+                      step={0.01}
+                      className="w-full"
+                    />
+                    <span className="text-sm text-gray-400 mt-1 block">{formatFrequency(configuration.minFrequency)}</span>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">Maximum Frequency</label>
+                    <Slider
+                      value={[Math.log10(Math.min(configuration.maxFrequency, nyquist))]}
+                      onValueChange={([value]) => updateConfiguration(index, { maxFrequency: 10 ** value })}
+                      min={Math.log10(configuration.minFrequency * 2)}
+                      max={Math.log10(nyquist)}
+                      step={0.01}
+                      className="w-full"
+                    />
+                    <span className="text-sm text-gray-400 mt-1 block">{formatFrequency(configuration.maxFrequency)}</span>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">Voices per Octave</label>
+                    <Slider
+                      value={[configuration.voicesPerOctave]}
+                      onValueChange={([value]) => updateConfiguration(index, { voicesPerOctave: value })}
+                      min={1}
+                      max={32}
+                      step={1}
+                      className="w-full"
+                    />
+                    <span className="text-sm text-gray-400 mt-1 block">{configuration.voicesPerOctave}</span>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">Scale Spacing</label>
+                    <Select
+                      value={configuration.scaleSpacing}
+                      onValueChange={(spacing) => updateConfiguration(index, { scaleSpacing: spacing })}
+                    >
+                      <SelectTrigger className="w-full bg-gray-800 text-gray-100 border-gray-700">
+                        <SelectValue placeholder="Scale Spacing" />
+                      </SelectTrigger>
+                      <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+                        <SelectItem value="log" className="hover:bg-gray-700">Logarithmic Scales</SelectItem>
+                        <SelectItem value="linear" className="hover:bg-gray-700">Linear Scales</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+              </CardContent>
+              <CardFooter className="p-4 pt-0">
+                <Button
+                  onClick={() => setConfigurations((prev) => prev.filter((_, i) => i !== index))}
+                  disabled={configurations.length <= MIN_CONFIGURATIONS}
+                  className="bg-gray-700 text-gray-100 hover:bg-gray-600"
+                >
+                  Remove
+                </Button>
+              </CardFooter>
+            </Card>
+          );
+        })}
+      </div>
+      <p className="text-sm text-gray-400">
+        Each card transforms the same signal. Zooming or hovering over one scalogram zooms and moves the crosshair in
+        the others to the same time and frequency, where each reads out its own {viewLabel.toLowerCase()}.
+        {sharedRange ? ' The colour range is taken over all cards at once.' : ' Each card is coloured over its own range.'}
+      </p>
+    </div>
+  );
+};
+
+export default ComparisonWorkspace;
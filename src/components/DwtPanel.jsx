@@ -0,0 +1,196 @@
+import { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { dwtFamilies, scalingFilter } from "@/dsp/dwtFilters";
+import { extensionModes, dwtMaxLevel, wavedec, waverec, dwtCoefficientPositions } from "@/dsp/dwt";
+import { formatFrequency, formatTime } from "@/lib/format";
+
+const MAX_CHART_POINTS = 2000;
+const DETAIL_COLOR = '#8884d8';
+const APPROXIMATION_COLOR = '#f97316';
+
+const familyOf = (wavelet) => wavelet.replace(/\d+$/, '');
+const orderOf = (wavelet) => (wavelet === 'haar' ? 1 : Number(wavelet.slice(familyOf(wavelet).length)));
+const waveletName = (family, order) => (family === 'haar' ? 'haar' : family + order);
+
+// The coefficients of one level as chart points within [start, end]
+// seconds, keeping one point either side so lines run to the edges.
+const chartPoints = (values, positions, samplingRate, start, end) => {
+  let first = 0;
+  while (first < values.length - 1 && positions[first + 1] / samplingRate < start) {
+    first++;
+  }
+  let last = values.length - 1;
+  while (last > first && positions[last - 1] / samplingRate > end) {
+    last--;
+  }
+  const stride = Math.max(1, Math.ceil((last - first + 1) / MAX_CHART_POINTS));
+  const data = [];
+  for (let k = first; k <= last; k += stride) {
+    data.push({ t: positions[k] / samplingRate, value: values[k] });
+  }
+  return data;
+};
+
+const energy = (values) => values.reduce((sum, value) => sum + value * value, 0);
+
+/**
+ * Multilevel discrete wavelet transform of the signal: the detail
+ * coefficients of each level from the finest down, then the coarsest
+ * approximation, each plotted at the times its coefficients cover and
+ * over the stretch of `view` (as used by the scalogram). `settings` holds
+ * the filter bank name (`wavelet`), the `level` and the extension `mode`;
+ * edits are passed to `onSettingsChange`.
+ */
+const DwtPanel = ({ signal, samplingRate, settings, onSettingsChange, view }) => {
+  const { wavelet, mode } = settings;
+  const family = familyOf(wavelet);
+  const maxLevel = dwtMaxLevel(signal.length, wavelet);
+  const level = Math.min(settings.level, maxLevel);
+
+  const decomposition = useMemo(() => {
+    if (signal.length === 0 || level < 1) {
+      return null;
+    }
+    const result = wavedec(signal, { wavelet, mode, level });
+    const reconstruction = waverec(result, { wavelet, mode });
+    const error = signal.reduce((worst, value, i) => Math.max(worst, Math.abs(value - reconstruction[i])), 0);
+    return { ...result, error };
+  }, [signal, wavelet, mode, level]);
+
+  const start = Math.floor(view.x0 * signal.length) / samplingRate;
+  const end = (Math.ceil(view.x1 * signal.length) - 1) / samplingRate;
+
+  const rows = useMemo(() => {
+    if (!decomposition) {
+      return [];
+    }
+    const { approximation, details } = decomposition;
+    const total = details.reduce((sum, detail) => sum + energy(detail), energy(approximation));
+    const row = (values, j, name, band, color) => ({
+      name,
+      band,
+      color,
+      count: values.length,
+      share: total > 0 ? energy(values) / total : 0,
+      data: chartPoints(values, dwtCoefficientPositions(j, values.length, { wavelet, mode }), samplingRate, start, end)
+    });
+    return details.map((detail, i) => row(
+      detail, i + 1, 'd' + (i + 1), [samplingRate / 2 ** (i + 2), samplingRate / 2 ** (i + 1)], DETAIL_COLOR
+    )).concat(row(
+      approximation, details.length, 'a' + details.length, [0, samplingRate / 2 ** (details.length + 1)], APPROXIMATION_COLOR
+    ));
+  }, [decomposition, wavelet, mode, samplingRate, start, end]);
+
+  const changeFamily = (next) => {
+    const { orders } = dwtFamilies[next];
+    const order = orders.reduce((best, candidate) => (Math.abs(candidate - orderOf(wavelet)) < Math.abs(best - orderOf(wavelet)) ? candidate : best));
+    onSettingsChange({ ...settings, wavelet: waveletName(next, order) });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">DWT Family</label>
+          <Select value={family} onValueChange={changeFamily}>
+            <SelectTrigger className="w-full bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Family" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              {Object.entries(dwtFamilies).map(([value, { label }]) => (
+                <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Order</label>
+          <Select
+            value={String(orderOf(wavelet))}
+            onValueChange={(order) => onSettingsChange({ ...settings, wavelet: waveletName(family, Number(order)) })}
+            disabled={family === 'haar'}
+          >
+            <SelectTrigger className="w-full bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Order" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              {dwtFamilies[family].orders.map((order) => (
+                <SelectItem key={order} value={String(order)} className="hover:bg-gray-700">
+                  {waveletName(family, order)} ({scalingFilter(waveletName(family, order)).length} taps)
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Levels</label>
+          <Slider
+            value={[level]}
+            onValueChange={([value]) => onSettingsChange({ ...settings, level: value })}
+            min={1}
+            max={Math.max(1, maxLevel)}
+            step={1}
+            disabled={maxLevel < 1}
+            className="w-full"
+          />
+          <span className="text-sm text-gray-400 mt-1 block">{level} of at most {maxLevel}</span>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Boundary Extension</label>
+          <Select value={mode} onValueChange={(value) => onSettingsChange({ ...settings, mode: value })}>
+            <SelectTrigger className="w-full bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Extension" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              {Object.entries(extensionModes).map(([value, { label }]) => (
+                <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {!decomposition && (
+        <p className="text-sm text-yellow-400">The signal is too short for even one level with {scalingFilter(wavelet).length} taps.</p>
+      )}
+      {rows.map(({ name, band, color, count, share, data }) => (
+        <div key={name} className="flex items-center space-x-4">
+          <div className="w-32 shrink-0 text-sm text-gray-300">
+            <span className="font-semibold" style={{ color }}>{name}</span>
+            <span className="block text-gray-400">{formatFrequency(band[0])} to {formatFrequency(band[1])}</span>
+            <span className="block text-gray-400">{count} coefficients, {(100 * share).toFixed(1)}% of energy</span>
+          </div>
+          <div className="h-[100px] flex-1 min-w-0">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={data}>
+                <XAxis
+                  dataKey="t"
+                  type="number"
+                  domain={[start, end]}
+                  allowDataOverflow
+                  tickCount={5}
+                  tickFormatter={formatTime}
+                />
+                <YAxis width={50} domain={['auto', 'auto']} tickCount={3} tickFormatter={(value) => value.toPrecision(2)} />
+                <Tooltip formatter={(value) => value.toPrecision(4)} labelFormatter={formatTime} />
+                <Line type="linear" dataKey="value" name={name} stroke={color} dot={false} strokeWidth={1.5} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      ))}
+      {decomposition && (
+        <p className="text-sm text-gray-400">
+          Reconstructed from these coefficients, the signal differs from the input by at most{' '}
+          {decomposition.error.toExponential(2)}. Each level halves the sampling rate, so d1 holds the top half of the
+          band and every further level the octave below. Coefficients past the ends of the signal come from the boundary
+          extension, which is why their number grows a little per level except with periodization.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default DwtPanel;
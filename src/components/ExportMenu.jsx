@@ -0,0 +1,185 @@
+import { useState } from 'react';
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Button } from "@/components/ui/button";
+import { encodeNpy, encodeNpz } from "@/io/npy";
+import { downloadFile } from "@/lib/download";
+import { scalogramSvg, svgToPng } from "@/lib/scalogramSvg";
+
+const EXPORTS = {
+  png: 'Scalogram Image (PNG)',
+  svg: 'Scalogram Image (SVG)',
+  csv: 'Coefficients (CSV)',
+  json: 'Coefficients (JSON)',
+  npz: 'Coefficients (NumPy .npz)',
+  signalCsv: 'Input Signal (CSV)',
+  signalJson: 'Input Signal (JSON)',
+  signalNpy: 'Input Signal (NumPy .npy)'
+};
+const RESOLUTIONS = {
+  1200: [1200, 600],
+  2400: [2400, 1200],
+  3600: [3600, 1800]
+};
+
+/**
+ * Saves the annotated scalogram, the transform with its time, scale and
+ * frequency vectors, or the input signal.
+ *
+ * `transform` holds `re` and `im` rows (one per scale), `complex`,
+ * `frequencies` (Hz), `scales` (seconds, or null for a synchrosqueezed
+ * transform, whose rows are frequency bins), `samplingRate`, `kind`,
+ * `wavelet`, `waveletParameters` and `mask` (rows of cone of influence
+ * flags, or null); masked coefficients are written as NaN, or as empty
+ * cells and null in CSV and JSON. `values` are the rows of the view on
+ * display, which is what the CSV holds. `figure` is
+ * passed on to `scalogramSvg`.
+ */
+const ExportMenu = ({ transform, values, viewLabel, signal, figure, onDebug }) => {
+  const [format, setFormat] = useState('png');
+  const [resolution, setResolution] = useState('2400');
+  const [error, setError] = useState(null);
+  const { re, im, complex, frequencies, scales, samplingRate, kind, wavelet, waveletParameters, mask } = transform;
+  const rows = re.length;
+  const signalLength = re[0].length;
+  const prefix = kind === 'synchrosqueezed' ? 'sst' : 'cwt';
+  const isMasked = (row, n) => Boolean(mask && mask[row][n]);
+  const time = () => Float64Array.from({ length: signalLength }, (_, n) => n / samplingRate);
+
+  const exportImage = async (type) => {
+    const [width, height] = RESOLUTIONS[resolution];
+    const svg = scalogramSvg({ ...figure, width, height });
+    if (type === 'svg') {
+      downloadFile(svg, prefix + '-scalogram.svg', 'image/svg+xml');
+    } else {
+      downloadFile(await svgToPng(svg, width, height), prefix + '-scalogram.png', 'image/png');
+    }
+  };
+
+  const exportCsv = () => {
+    const header = ['frequency_hz', 'scale_s'].concat(Array.from(time()));
+    const lines = [header.join(',')];
+    for (let row = 0; row < rows; row++) {
+      const line = [frequencies[row], scales ? scales[row] : ''];
+      for (let n = 0; n < signalLength; n++) {
+        line.push(isMasked(row, n) ? '' : values[row][n]);
+      }
+      lines.push(line.join(','));
+    }
+    downloadFile(lines.join('\n') + '\n', prefix + '-' + viewLabel.toLowerCase().replace(/\s+/g, '-') + '.csv', 'text/csv');
+  };
+
+  const exportJson = () => {
+    const part = (parts) => parts.map((row, j) => Array.from(row, (value, n) => (isMasked(j, n) ? null : value)));
+    downloadFile(JSON.stringify({
+      transform: kind,
+      wavelet,
+      waveletParameters,
+      samplingRate,
+      time: Array.from(time()),
+      scales: scales ? Array.from(scales) : null,
+      frequencies: Array.from(frequencies),
+      re: part(re),
+      im: complex ? part(im) : null
+    }), prefix + '.json', 'application/json');
+  };
+
+  const exportNpz = () => {
+    const coefficients = new Float64Array(rows * signalLength * (complex ? 2 : 1));
+    for (let row = 0; row < rows; row++) {
+      for (let n = 0; n < signalLength; n++) {
+        const i = row * signalLength + n;
+        const masked = isMasked(row, n);
+        if (complex) {
+          coefficients[2 * i] = masked ? NaN : re[row][n];
+          coefficients[2 * i + 1] = masked ? NaN : im[row][n];
+        } else {
+          coefficients[i] = masked ? NaN : re[row][n];
+        }
+      }
+    }
+    const arrays = {
+      coefficients: { data: coefficients, shape: [rows, signalLength], complex },
+      time: { data: time(), shape: [signalLength] },
+      frequencies: { data: frequencies, shape: [rows] }
+    };
+    if (scales) {
+      arrays.scales = { data: scales, shape: [rows] };
+    }
+    downloadFile(encodeNpz(arrays), prefix + '.npz', 'application/octet-stream');
+  };
+
+  const exportSignal = (type) => {
+    if (type === 'signalCsv') {
+      const lines = ['time,value'].concat(Array.from(signal, (value, n) => n / samplingRate + ',' + value));
+      downloadFile(lines.join('\n') + '\n', 'signal.csv', 'text/csv');
+    } else if (type === 'signalJson') {
+      downloadFile(JSON.stringify({ samplingRate, values: Array.from(signal) }), 'signal.json', 'application/json');
+    } else {
+      downloadFile(encodeNpy(signal, [signal.length]), 'signal.npy', 'application/octet-stream');
+    }
+  };
+
+  const handleExport = async () => {
+    setError(null);
+    try {
+      if (format === 'png' || format === 'svg') {
+        await exportImage(format);
+      } else if (format === 'csv') {
+        exportCsv();
+      } else if (format === 'json') {
+        exportJson();
+      } else if (format === 'npz') {
+        exportNpz();
+      } else {
+        exportSignal(format);
+      }
+      onDebug('Exported ' + EXPORTS[format]);
+    } catch (e) {
+      onDebug('Export failed: ' + e.message);
+      setError(e.message);
+    }
+  };
+
+  const isImage = format === 'png' || format === 'svg';
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4 sm:items-center">
+        <Select value={format} onValueChange={setFormat}>
+          <SelectTrigger className="w-full sm:w-[260px] bg-gray-800 text-gray-100 border-gray-700">
+            <SelectValue placeholder="Export" />
+          </SelectTrigger>
+          <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+            {Object.entries(EXPORTS).map(([value, label]) => (
+              <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={resolution} onValueChange={setResolution} disabled={!isImage}>
+          <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+            <SelectValue placeholder="Resolution" />
+          </SelectTrigger>
+          <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+            {Object.entries(RESOLUTIONS).map(([value, [width, height]]) => (
+              <SelectItem key={value} value={value} className="hover:bg-gray-700">{width} &times; {height}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button onClick={handleExport} className="bg-gray-700 text-gray-100 hover:bg-gray-600">
+          Export
+        </Button>
+      </div>
+      <p className="text-sm text-gray-400">
+        {isImage && 'Images show the current zoom, with axes and the colour bar.'}
+        {format === 'csv' && 'One row of ' + viewLabel.toLowerCase() + ' values per scale, preceded by its frequency and scale.'}
+        {format === 'json' && 'Complex coefficients with the time, scale and frequency vectors.'}
+        {format === 'npz' && 'One archive holding the coefficients, time, frequencies' + (scales ? ' and scales' : '') + ' by name.'}
+        {format.startsWith('signal') && 'The input signal with its sampling rate.'}
+        {mask && !isImage && !format.startsWith('signal') && ' Coefficients inside the cone of influence are left out.'}
+      </p>
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
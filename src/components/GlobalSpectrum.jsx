@@ -0,0 +1,88 @@
+import { useMemo } from 'react';
+
+// Decades of power shown below the strongest value of either spectrum.
+const DECADES = 4;
+
+// Fractional row of a frequency, interpolating in log-frequency between the
+// rows of a monotonic frequency grid; null outside it.
+const frequencyRow = (frequencies, frequency) => {
+  const rows = frequencies.length;
+  const descending = frequencies[0] > frequencies[rows - 1];
+  for (let row = 0; row + 1 < rows; row++) {
+    const upper = descending ? frequencies[row] : frequencies[row + 1];
+    const lower = descending ? frequencies[row + 1] : frequencies[row];
+    if (frequency <= upper && frequency >= lower) {
+      const fraction = Math.log(frequencies[row] / frequency) / Math.log(frequencies[row] / frequencies[row + 1]);
+      return row + fraction;
+    }
+  }
+  return null;
+};
+
+/**
+ * Global wavelet spectrum drawn sideways, one point per scalogram row so
+ * that it lines up with the image to its left, over the Fourier
+ * periodogram of the signal. Power runs left to right on a log axis.
+ * `rowRange` is the visible part of the image, as fractions of its height.
+ */
+const GlobalSpectrum = ({ frequencies, power, fourier, rowRange = [0, 1] }) => {
+  const rows = frequencies.length;
+  const [viewTop, viewBottom] = rowRange;
+
+  const plot = useMemo(() => {
+    let highest = 0;
+    for (const value of power) {
+      highest = Math.max(highest, value);
+    }
+    const fourierPoints = [];
+    fourier.frequencies.forEach((frequency, k) => {
+      const row = frequencyRow(frequencies, frequency);
+      if (row !== null) {
+        fourierPoints.push([row, fourier.power[k]]);
+        highest = Math.max(highest, fourier.power[k]);
+      }
+    });
+    const top = Math.ceil(Math.log10(highest || 1));
+    const bottom = top - DECADES;
+    const x = (value) => Math.max(0, Math.min(1, (Math.log10(value) - bottom) / DECADES));
+
+    const line = (points) => points
+      .map(([row, value], k) => (k === 0 ? 'M' : 'L') + x(value).toFixed(4) + ',' + (row + 0.5).toFixed(3))
+      .join('');
+    return {
+      wavelet: line(Array.from(power, (value, row) => [row, value])),
+      fourier: line(fourierPoints),
+      ticks: Array.from({ length: DECADES + 1 }, (_, k) => bottom + k)
+    };
+  }, [frequencies, power, fourier]);
+
+  return (
+    <div>
+      <div className="relative h-[300px] rounded-lg bg-gray-800">
+        <svg className="absolute left-0 top-0 w-full h-full" viewBox={'0 ' + (viewTop * rows) + ' 1 ' + ((viewBottom - viewTop) * rows)} preserveAspectRatio="none">
+          {plot.ticks.map((decade, k) => (
+            <line key={decade} x1={k / DECADES} x2={k / DECADES} y1="0" y2={rows} stroke="#374151" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+          ))}
+          <path d={plot.fourier} fill="none" stroke="#9ca3af" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+          <path d={plot.wavelet} fill="none" stroke="#60a5fa" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        </svg>
+      </div>
+      <div className="relative h-5 mt-1 text-xs text-gray-400">
+        {plot.ticks.filter((_, k) => k % 2 === 0).map((decade) => (
+          <span
+            key={decade}
+            className="absolute -translate-x-1/2 whitespace-nowrap"
+            style={{ left: ((decade - plot.ticks[0]) / DECADES * 100) + '%' }}
+          >
+            1e{decade}
+          </span>
+        ))}
+      </div>
+      <p className="mt-1 text-xs text-gray-400">
+        <span className="text-blue-400">Global wavelet</span> and <span className="text-gray-300">Fourier</span> power
+      </p>
+    </div>
+  );
+};
+
+export default GlobalSpectrum;
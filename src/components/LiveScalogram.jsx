@@ -0,0 +1,305 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { Button } from "@/components/ui/button";
+import { coefficientViews, coefficientView } from "@/dsp/views";
+import { liveInputs, isMicrophoneAvailable, decimationFactor, startLiveInput } from "@/audio/liveInput";
+import { scalogramColor } from "@/lib/colormap";
+import { formatFrequency, formatTime } from "@/lib/format";
+
+const WATERFALL_WIDTH = 1024;
+// Approximate history shown by the waterfall.
+const WATERFALL_SECONDS = 10;
+// The colour range follows the loudest recent block, relaxing by this
+// factor per block so that the display recovers after a transient.
+const GAIN_DECAY = 0.98;
+
+const LiveScalogram = ({ scales, samplingRate, waveletType, waveletParameters, coefficientViewType, colormap, onSamplingRate, onDebug }) => {
+  const [inputKind, setInputKind] = useState('oscillator');
+  const [audioFile, setAudioFile] = useState(null);
+  const [oscillatorFrequency, setOscillatorFrequency] = useState(100);
+  const [contextSampleRate, setContextSampleRate] = useState(null);
+  const [isStarting, setIsStarting] = useState(false);
+  const [stream, setStream] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const liveInputRef = useRef(null);
+  const canvasRef = useRef(null);
+  // Blocks arrive far more often than React should re-render, so the
+  // waterfall is drawn imperatively from refs.
+  const streamRef = useRef(null);
+  const viewRef = useRef(coefficientViewType);
+  const colormapRef = useRef(colormap);
+  const maxValueRef = useRef(0);
+
+  const clearWaterfall = useCallback((rows) => {
+    const canvas = canvasRef.current;
+    if (!canvas) {
+      return;
+    }
+    canvas.width = WATERFALL_WIDTH;
+    canvas.height = rows;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    maxValueRef.current = 0;
+  }, []);
+
+  const drawBlock = useCallback(({ streamId, start, re, im }) => {
+    const canvas = canvasRef.current;
+    const config = streamRef.current;
+    if (!canvas || !config || streamId !== config.streamId) {
+      return;
+    }
+    const { hopSize, stride } = config;
+    const rows = config.frequencies.length;
+    const values = coefficientView(new Float64Array(re), new Float64Array(im), viewRef.current);
+
+    let blockMax = 0;
+    for (const value of values) {
+      blockMax = Math.max(blockMax, Math.abs(value));
+    }
+    maxValueRef.current = Math.max(maxValueRef.current * GAIN_DECAY, blockMax);
+
+    // Column c shows sample c * stride, so a block covers the columns whose
+    // sample falls in [start, start + hopSize).
+    const first = Math.ceil(start / stride);
+    const columns = Math.ceil((start + hopSize) / stride) - first;
+    if (columns <= 0) {
+      return;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(canvas, -columns, 0);
+    const imageData = ctx.createImageData(columns, rows);
+    const view = coefficientViews[viewRef.current];
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < columns; x++) {
+        const i = (y * columns + x) * 4;
+        const sample = (first + x) * stride - start;
+        const [r, g, b] = scalogramColor(values[y * hopSize + sample], maxValueRef.current, view, colormapRef.current);
+        imageData.data[i] = r;
+        imageData.data[i + 1] = g;
+        imageData.data[i + 2] = b;
+        imageData.data[i + 3] = 255;
+      }
+    }
+    ctx.putImageData(imageData, canvas.width - columns, 0);
+  }, []);
+
+  useEffect(() => {
+    const worker = new Worker(new URL('../dsp/cwt.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      const { type, message } = e.data;
+      if (type === 'stream-ready') {
+        const { streamId, samplingRate: rate, hopSize, margin, fullContextFrequency } = e.data;
+        const config = {
+          streamId,
+          frequencies: new Float64Array(e.data.frequencies),
+          samplingRate: rate,
+          hopSize,
+          margin,
+          fullContextFrequency,
+          stride: Math.max(1, Math.ceil(rate * WATERFALL_SECONDS / WATERFALL_WIDTH))
+        };
+        streamRef.current = config;
+        clearWaterfall(config.frequencies.length);
+        setStream(config);
+      } else if (type === 'stream-block') {
+        drawBlock(e.data);
+      } else if (type === 'debug') {
+        onDebug(message);
+      } else if (type === 'error') {
+        onDebug('Error: ' + message);
+        setError(message);
+      }
+    };
+    worker.onerror = (error) => {
+      onDebug('Live worker error: ' + error.message);
+      setError(error.message);
+    };
+    workerRef.current = worker;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      if (liveInputRef.current) {
+        liveInputRef.current.stop();
+        liveInputRef.current = null;
+      }
+    };
+  }, [clearWaterfall, drawBlock, onDebug]);
+
+  useEffect(() => {
+    viewRef.current = coefficientViewType;
+    maxValueRef.current = 0;
+  }, [coefficientViewType]);
+
+  useEffect(() => {
+    colormapRef.current = colormap;
+  }, [colormap]);
+
+  // (Re)configures the audio thread and the worker whenever the analysis
+  // settings change. The sampling rate is first snapped to a whole
+  // decimation of the audio rate, which re-runs this effect.
+  useEffect(() => {
+    const liveInput = liveInputRef.current;
+    if (!liveInput || !contextSampleRate) {
+      return;
+    }
+    const decimation = decimationFactor(contextSampleRate, samplingRate);
+    const rate = Number((contextSampleRate / decimation).toPrecision(6));
+    if (rate !== samplingRate) {
+      onSamplingRate(rate);
+      return;
+    }
+
+    onDebug('Configuring live stream: ' + JSON.stringify({ contextSampleRate, decimation, samplingRate, scalesLength: scales.length }));
+    liveInput.configure(decimation, Math.max(16, Math.round(rate / 50)));
+    workerRef.current.postMessage({
+      type: 'stream-configure',
+      scales: new Float64Array(scales),
+      samplingRate,
+      waveletType,
+      waveletParameters
+    });
+  }, [contextSampleRate, samplingRate, scales, waveletType, waveletParameters, onSamplingRate, onDebug]);
+
+  useEffect(() => {
+    if (liveInputRef.current) {
+      liveInputRef.current.setFrequency(oscillatorFrequency);
+    }
+  }, [oscillatorFrequency]);
+
+  const start = async () => {
+    setError(null);
+    setIsStarting(true);
+    try {
+      const channel = new MessageChannel();
+      const liveInput = await startLiveInput({ kind: inputKind, port: channel.port1, file: audioFile, frequency: oscillatorFrequency });
+      workerRef.current.postMessage({ type: 'stream-start', port: channel.port2 }, [channel.port2]);
+      liveInputRef.current = liveInput;
+      setContextSampleRate(liveInput.contextSampleRate);
+      onDebug('Live input started: ' + JSON.stringify({ kind: inputKind, contextSampleRate: liveInput.contextSampleRate }));
+    } catch (e) {
+      onDebug('Live input failed: ' + e.message);
+      setError(e.message);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const stop = async () => {
+    const liveInput = liveInputRef.current;
+    liveInputRef.current = null;
+    setContextSampleRate(null);
+    workerRef.current.postMessage({ type: 'stream-stop' });
+    await liveInput.stop();
+    onDebug('Live input stopped');
+  };
+
+  const isRunning = contextSampleRate !== null;
+  const historySeconds = stream ? WATERFALL_WIDTH * stream.stride / stream.samplingRate : WATERFALL_SECONDS;
+  const frequencyTicks = [];
+  if (stream) {
+    const { frequencies } = stream;
+    const tickCount = Math.min(6, frequencies.length);
+    for (let k = 0; k < tickCount; k++) {
+      const row = tickCount > 1 ? Math.round(k * (frequencies.length - 1) / (tickCount - 1)) : 0;
+      frequencyTicks.push({ row, label: formatFrequency(frequencies[row]) });
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4 sm:items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Live Input</label>
+          <Select value={inputKind} onValueChange={setInputKind} disabled={isRunning}>
+            <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Live Input" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              {Object.entries(liveInputs).map(([value, { label }]) => (
+                <SelectItem
+                  key={value}
+                  value={value}
+                  disabled={value === 'microphone' && !isMicrophoneAvailable()}
+                  className="hover:bg-gray-700"
+                >
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        {inputKind === 'file' && (
+          <input
+            type="file"
+            accept="audio/*"
+            disabled={isRunning}
+            onChange={(e) => setAudioFile(e.target.files[0] ?? null)}
+            className="block text-sm text-gray-300 file:mr-4 file:rounded-md file:border-0 file:bg-gray-700 file:px-4 file:py-2 file:text-gray-100 hover:file:bg-gray-600"
+          />
+        )}
+        <Button
+          onClick={isRunning ? stop : start}
+          disabled={isStarting || (inputKind === 'file' && !audioFile && !isRunning)}
+          className="bg-blue-600 text-white hover:bg-blue-500"
+        >
+          {isRunning ? 'Stop' : 'Start'}
+        </Button>
+      </div>
+
+      {inputKind === 'oscillator' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Oscillator Frequency</label>
+          <Slider
+            value={[Math.log10(oscillatorFrequency)]}
+            onValueChange={([value]) => setOscillatorFrequency(10 ** value)}
+            min={0}
+            max={Math.log10(samplingRate / 2)}
+            step={0.01}
+            className="w-full"
+          />
+          <span className="text-sm text-gray-400 mt-1 block">{formatFrequency(oscillatorFrequency)}</span>
+        </div>
+      )}
+
+      {isRunning && stream && (
+        <p className="text-sm text-gray-400">
+          Analysing at {stream.samplingRate} Hz (audio at {contextSampleRate} Hz) in blocks of {stream.hopSize} samples
+          with {stream.margin} samples of overlap on each side; latency {formatTime((stream.hopSize + stream.margin) / stream.samplingRate)}.
+          {stream.frequencies.some((frequency) => frequency < stream.fullContextFrequency) && (
+            <> To keep the latency down, frequencies below {formatFrequency(stream.fullContextFrequency)} get less context
+            than their wavelets span and may show seams between blocks.</>
+          )}
+        </p>
+      )}
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <div className="relative">
+        <canvas ref={canvasRef} width={WATERFALL_WIDTH} height={1} className="w-full h-[300px] rounded-lg bg-black" />
+        {stream && (
+          <div className="absolute left-2 top-0 h-[300px] text-xs">
+            {frequencyTicks.map(({ row, label }) => (
+              <span
+                key={row}
+                className="absolute -translate-y-1/2 whitespace-nowrap bg-black bg-opacity-50 px-1 rounded"
+                style={{ top: ((row + 0.5) / stream.frequencies.length * 100) + '%' }}
+              >
+                {label}
+              </span>
+            ))}
+          </div>
+        )}
+        <div className="flex justify-between h-5 mt-1 text-xs text-gray-400">
+          <span>{formatTime(historySeconds)} ago</span>
+          <span>now</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LiveScalogram;
@@ -0,0 +1,148 @@
+import { useEffect, useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Slider } from "@/components/ui/slider";
+import { Button } from "@/components/ui/button";
+import { reconstructMode, detectModeBands } from "@/dsp/synchrosqueeze";
+import { seriesColors } from "@/lib/colormap";
+import { formatFrequency, formatTime } from "@/lib/format";
+
+const MAX_MODES = seriesColors.length;
+const MAX_CHART_POINTS = 2000;
+
+/**
+ * Frequency bands of a synchrosqueezed transform and the modes they
+ * reconstruct, plotted over the input signal. Bands start at the strongest
+ * rows and can be moved, added and removed.
+ */
+const ModeReconstruction = ({ transform, frequencies, signalLength, samplingRate, signal }) => {
+  const [bands, setBands] = useState([]);
+  const rowCount = frequencies.length;
+
+  useEffect(() => {
+    setBands(detectModeBands(transform, signalLength, { maxModes: 3 }));
+  }, [transform, signalLength]);
+
+  const modes = useMemo(
+    () => bands.map((rows) => reconstructMode(transform, signalLength, { rows })),
+    [transform, signalLength, bands]
+  );
+
+  const chartData = useMemo(() => {
+    const stride = Math.max(1, Math.ceil(signalLength / MAX_CHART_POINTS));
+    const data = [];
+    for (let n = 0; n < signalLength; n += stride) {
+      const point = { t: n / samplingRate, signal: signal[n] };
+      modes.forEach((mode, k) => {
+        point['mode' + k] = mode[n];
+      });
+      data.push(point);
+    }
+    return data;
+  }, [modes, signal, signalLength, samplingRate]);
+
+  // Share of the signal's energy left once every mode is taken out.
+  const residual = useMemo(() => {
+    let signalEnergy = 0;
+    let residualEnergy = 0;
+    for (let n = 0; n < signalLength; n++) {
+      const remainder = modes.reduce((value, mode) => value - mode[n], signal[n]);
+      signalEnergy += signal[n] * signal[n];
+      residualEnergy += remainder * remainder;
+    }
+    return signalEnergy > 0 ? residualEnergy / signalEnergy : 0;
+  }, [modes, signal, signalLength]);
+
+  const setBandEdge = (index, edge, row) => {
+    setBands((previous) => previous.map((band, k) => {
+      if (k !== index) {
+        return band;
+      }
+      // Rows run from high to low frequency; the band keeps first <= last.
+      return edge === 0 ? [Math.min(row, band[1]), band[1]] : [band[0], Math.max(row, band[0])];
+    }));
+  };
+
+  const addBand = () => {
+    const centre = Math.floor(rowCount / 2);
+    setBands((previous) => [...previous, [Math.max(0, centre - 2), Math.min(rowCount - 1, centre + 2)]]);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold">Mode Reconstruction</h3>
+        <Button
+          onClick={addBand}
+          disabled={bands.length >= MAX_MODES}
+          className="bg-blue-600 text-white hover:bg-blue-500"
+        >
+          Add Mode
+        </Button>
+      </div>
+
+      {bands.map(([first, last], k) => (
+        <div key={k} className="grid gap-4 sm:grid-cols-[auto_1fr_1fr_auto] sm:items-center">
+          <span className="text-sm font-medium" style={{ color: seriesColors[k] }}>Mode {k + 1}</span>
+          <div>
+            <label className="block text-sm text-gray-300 mb-2">Upper Edge: {formatFrequency(frequencies[first])}</label>
+            <Slider
+              value={[rowCount - 1 - first]}
+              onValueChange={([value]) => setBandEdge(k, 0, rowCount - 1 - value)}
+              min={0}
+              max={rowCount - 1}
+              step={1}
+              className="w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-300 mb-2">Lower Edge: {formatFrequency(frequencies[last])}</label>
+            <Slider
+              value={[rowCount - 1 - last]}
+              onValueChange={([value]) => setBandEdge(k, 1, rowCount - 1 - value)}
+              min={0}
+              max={rowCount - 1}
+              step={1}
+              className="w-full"
+            />
+          </div>
+          <Button
+            onClick={() => setBands((previous) => previous.filter((_, j) => j !== k))}
+            className="bg-gray-700 text-gray-100 hover:bg-gray-600"
+          >
+            Remove
+          </Button>
+        </div>
+      ))}
+
+      <div className="h-[250px] w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData}>
+            <XAxis dataKey="t" domain={['auto', 'auto']} tickCount={5} tickFormatter={formatTime} />
+            <YAxis width={50} domain={['auto', 'auto']} tickCount={5} tickFormatter={(value) => value.toFixed(2)} />
+            <Tooltip />
+            <Legend />
+            <Line type="monotone" dataKey="signal" name="Signal" stroke="#8884d8" dot={false} strokeWidth={1} />
+            {modes.map((_, k) => (
+              <Line
+                key={k}
+                type="monotone"
+                dataKey={'mode' + k}
+                name={'Mode ' + (k + 1)}
+                stroke={seriesColors[k]}
+                dot={false}
+                strokeWidth={2}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <p className="text-sm text-gray-400">
+        Each mode sums the synchrosqueezed coefficients in its band. The modes leave
+        {' '}{(residual * 100).toFixed(1)}% of the signal energy unexplained, including the ends of the signal where
+        the transform is biased.
+      </p>
+    </div>
+  );
+};
+
+export default ModeReconstruction;
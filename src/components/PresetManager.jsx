@@ -0,0 +1,198 @@
+import { useRef, useState } from 'react';
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Button } from "@/components/ui/button";
+import { downloadFile } from "@/lib/download";
+import { encodeSettings, validateSettings } from "@/lib/settings";
+
+const STORAGE_KEY = 'cwt-visualizer.presets';
+const FILE_VERSION = 1;
+
+// Saved presets by name, each validated against `schema`; storage that is
+// unavailable or holds something else reads as no presets.
+const loadPresets = (schema) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (typeof stored !== 'object' || stored === null || Array.isArray(stored)) {
+      return {};
+    }
+    return Object.fromEntries(Object.entries(stored).map(([name, values]) => [name, validateSettings(schema, values)]));
+  } catch {
+    return {};
+  }
+};
+
+const storePresets = (presets) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+};
+
+/**
+ * Named presets of the analysis settings, kept in local storage, together
+ * with a link that reproduces the current settings and JSON files for
+ * moving presets between browsers.
+ *
+ * `settings` are the current values, described by `schema` as for
+ * `validateSettings`; `onApply` receives validated settings to restore. An
+ * imported file may hold a whole collection as written by Export Presets,
+ * or a single set of settings.
+ */
+const PresetManager = ({ schema, settings, onApply, onDebug }) => {
+  const [presets, setPresets] = useState(() => loadPresets(schema));
+  const [selected, setSelected] = useState('');
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+
+  const report = (text) => {
+    onDebug(text);
+    setMessage(text);
+    setError(null);
+  };
+
+  const fail = (text) => {
+    onDebug(text);
+    setError(text);
+    setMessage(null);
+  };
+
+  const updatePresets = (next) => {
+    try {
+      storePresets(next);
+    } catch (e) {
+      fail('Could not save presets: ' + e.message);
+      return false;
+    }
+    setPresets(next);
+    return true;
+  };
+
+  const handleSave = () => {
+    const presetName = name.trim();
+    if (!presetName) {
+      fail('Enter a name for the preset');
+      return;
+    }
+    if (updatePresets({ ...presets, [presetName]: settings })) {
+      setSelected(presetName);
+      setName('');
+      report('Saved preset ' + presetName);
+    }
+  };
+
+  const handleLoad = () => {
+    if (presets[selected]) {
+      onApply(presets[selected]);
+      report('Loaded preset ' + selected);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!presets[selected]) {
+      return;
+    }
+    const rest = { ...presets };
+    delete rest[selected];
+    if (updatePresets(rest)) {
+      setSelected('');
+      report('Deleted preset ' + selected);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href.split('#')[0] + '#' + encodeSettings(schema, settings));
+      report('Copied a link to the current settings');
+    } catch (e) {
+      fail('Could not copy the link: ' + e.message);
+    }
+  };
+
+  const handleExport = () => {
+    downloadFile(
+      JSON.stringify({ version: FILE_VERSION, current: settings, presets }, null, 2),
+      'cwt-presets.json',
+      'application/json'
+    );
+    report('Exported ' + Object.keys(presets).length + ' presets');
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      const data = JSON.parse(await file.text());
+      if (data && typeof data.presets === 'object' && data.presets !== null) {
+        const imported = Object.fromEntries(
+          Object.entries(data.presets).map(([presetName, values]) => [presetName, validateSettings(schema, values)])
+        );
+        if (updatePresets({ ...presets, ...imported })) {
+          report('Imported ' + Object.keys(imported).length + ' presets from ' + file.name);
+        }
+        return;
+      }
+      const values = validateSettings(schema, data?.current ?? data);
+      if (Object.keys(values).length === 0) {
+        throw new Error('The file holds no recognised settings');
+      }
+      onApply(values);
+      report('Applied settings from ' + file.name);
+    } catch (e) {
+      fail('Could not import ' + file.name + ': ' + e.message);
+    }
+  };
+
+  const names = Object.keys(presets).sort();
+
+  return (
+    <div className="space-y-2 rounded-lg border border-gray-700 bg-gray-800 p-4">
+      <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4 sm:items-center">
+        <Select value={selected} onValueChange={setSelected} disabled={names.length === 0}>
+          <SelectTrigger className="w-full sm:w-[220px] bg-gray-800 text-gray-100 border-gray-700">
+            <SelectValue placeholder={names.length === 0 ? 'No Saved Presets' : 'Saved Presets'} />
+          </SelectTrigger>
+          <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+            {names.map((presetName) => (
+              <SelectItem key={presetName} value={presetName} className="hover:bg-gray-700">{presetName}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button onClick={handleLoad} disabled={!presets[selected]} className="bg-blue-600 text-white hover:bg-blue-500">
+          Load
+        </Button>
+        <Button onClick={handleDelete} disabled={!presets[selected]} className="bg-gray-700 text-gray-100 hover:bg-gray-600">
+          Delete
+        </Button>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder="Preset name"
+          className="w-full sm:w-[180px] rounded-md bg-gray-800 text-gray-100 border border-gray-700 px-3 py-2 text-sm"
+        />
+        <Button onClick={handleSave} className="bg-gray-700 text-gray-100 hover:bg-gray-600">
+          Save
+        </Button>
+      </div>
+      <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4">
+        <Button onClick={handleCopyLink} className="bg-gray-700 text-gray-100 hover:bg-gray-600">
+          Copy Link
+        </Button>
+        <Button onClick={handleExport} className="bg-gray-700 text-gray-100 hover:bg-gray-600">
+          Export Presets
+        </Button>
+        <Button onClick={() => fileRef.current.click()} className="bg-gray-700 text-gray-100 hover:bg-gray-600">
+          Import Presets
+        </Button>
+        <input ref={fileRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+      </div>
+      {message && <p className="text-sm text-gray-400">{message}</p>}
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default PresetManager;
@@ -0,0 +1,147 @@
+import { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { Button } from "@/components/ui/button";
+import { seriesColors } from "@/lib/colormap";
+import { formatFrequency, formatTime } from "@/lib/format";
+import { downloadFile } from "@/lib/download";
+
+const MAX_RIDGES = 4;
+const MAX_CHART_POINTS = 2000;
+
+/**
+ * Controls for ridge extraction, and the instantaneous frequency and
+ * amplitude of each ridge over time. `reference`, when given, maps a time
+ * to the frequency the signal is known to have there.
+ */
+const RidgePanel = ({ ridges, samplingRate, ridgeCount, onRidgeCount, penalty, onPenalty, reference }) => {
+  const signalLength = ridges.length > 0 ? ridges[0].frequency.length : 0;
+
+  const chartData = useMemo(() => {
+    const stride = Math.max(1, Math.ceil(signalLength / MAX_CHART_POINTS));
+    const data = [];
+    for (let n = 0; n < signalLength; n += stride) {
+      const t = n / samplingRate;
+      const point = { t };
+      ridges.forEach(({ frequency, amplitude }, k) => {
+        point['frequency' + k] = frequency[n];
+        point['amplitude' + k] = amplitude[n];
+      });
+      if (reference) {
+        point.reference = reference(t);
+      }
+      data.push(point);
+    }
+    return data;
+  }, [ridges, signalLength, samplingRate, reference]);
+
+  const exportCsv = () => {
+    const header = ['time'].concat(...ridges.map((_, k) => ['ridge' + (k + 1) + '_frequency', 'ridge' + (k + 1) + '_amplitude']));
+    const lines = [header.join(',')];
+    for (let n = 0; n < signalLength; n++) {
+      const row = [n / samplingRate];
+      ridges.forEach(({ frequency, amplitude }) => row.push(frequency[n], amplitude[n]));
+      lines.push(row.join(','));
+    }
+    downloadFile(lines.join('\n') + '\n', 'ridges.csv', 'text/csv');
+  };
+
+  const exportJson = () => {
+    downloadFile(JSON.stringify({
+      samplingRate,
+      penalty,
+      ridges: ridges.map(({ frequency, amplitude }) => ({
+        frequency: Array.from(frequency),
+        amplitude: Array.from(amplitude)
+      }))
+    }), 'ridges.json', 'application/json');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4 sm:items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Ridges</label>
+          <Select value={String(ridgeCount)} onValueChange={(value) => onRidgeCount(Number(value))}>
+            <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Ridges" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              <SelectItem value="0" className="hover:bg-gray-700">No Ridge Tracking</SelectItem>
+              {Array.from({ length: MAX_RIDGES }, (_, k) => (
+                <SelectItem key={k} value={String(k + 1)} className="hover:bg-gray-700">
+                  {k === 0 ? 'Dominant Ridge' : (k + 1) + ' Ridges'}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        {ridgeCount > 0 && (
+          <>
+            <div className="flex-1">
+              <label className="block text-sm font-medium text-gray-300 mb-2">Frequency Jump Penalty</label>
+              <Slider
+                value={[Math.log10(penalty)]}
+                onValueChange={([value]) => onPenalty(Number((10 ** value).toPrecision(2)))}
+                min={-2}
+                max={3}
+                step={0.05}
+                className="w-full"
+              />
+              <span className="text-sm text-gray-400 mt-1 block">{penalty} per row squared</span>
+            </div>
+            <Button onClick={exportCsv} disabled={signalLength === 0} className="bg-gray-700 text-gray-100 hover:bg-gray-600">
+              Export CSV
+            </Button>
+            <Button onClick={exportJson} disabled={signalLength === 0} className="bg-gray-700 text-gray-100 hover:bg-gray-600">
+              Export JSON
+            </Button>
+          </>
+        )}
+      </div>
+
+      {ridgeCount > 0 && signalLength > 0 && (
+        <div className="grid gap-6 lg:grid-cols-2">
+          <div>
+            <h3 className="text-lg font-semibold mb-2">Instantaneous Frequency</h3>
+            <div className="h-[200px] w-full">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData}>
+                  <XAxis dataKey="t" domain={['auto', 'auto']} tickCount={5} tickFormatter={formatTime} />
+                  <YAxis width={60} domain={['auto', 'auto']} tickCount={5} tickFormatter={formatFrequency} />
+                  <Tooltip formatter={(value) => formatFrequency(value)} labelFormatter={formatTime} />
+                  <Legend />
+                  {reference && (
+                    <Line type="monotone" dataKey="reference" name="Known Sweep" stroke="#9ca3af" strokeDasharray="6 3" dot={false} strokeWidth={1} />
+                  )}
+                  {ridges.map((_, k) => (
+                    <Line key={k} type="monotone" dataKey={'frequency' + k} name={'Ridge ' + (k + 1)} stroke={seriesColors[k]} dot={false} strokeWidth={2} />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold mb-2">Amplitude</h3>
+            <div className="h-[200px] w-full">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData}>
+                  <XAxis dataKey="t" domain={['auto', 'auto']} tickCount={5} tickFormatter={formatTime} />
+                  <YAxis width={50} domain={['auto', 'auto']} tickCount={5} tickFormatter={(value) => value.toFixed(2)} />
+                  <Tooltip formatter={(value) => value.toFixed(3)} labelFormatter={formatTime} />
+                  <Legend />
+                  {ridges.map((_, k) => (
+                    <Line key={k} type="monotone" dataKey={'amplitude' + k} name={'Ridge ' + (k + 1)} stroke={seriesColors[k]} dot={false} strokeWidth={2} />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RidgePanel;
@@ -0,0 +1,67 @@
+import { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { Slider } from "@/components/ui/slider";
+import { formatFrequency, formatTime } from "@/lib/format";
+
+const MAX_CHART_POINTS = 2000;
+
+/**
+ * Band controls and the scale-averaged power time series for that band.
+ * `band` holds the first and last scalogram rows; NaN powers (inside the
+ * cone of influence) leave gaps.
+ */
+const ScaleAveragedPower = ({ frequencies, band, onBand, power, samplingRate }) => {
+  const rowCount = frequencies.length;
+  const [first, last] = band;
+
+  const chartData = useMemo(() => {
+    const stride = Math.max(1, Math.ceil(power.length / MAX_CHART_POINTS));
+    const data = [];
+    for (let n = 0; n < power.length; n += stride) {
+      data.push({ t: n / samplingRate, power: Number.isNaN(power[n]) ? null : power[n] });
+    }
+    return data;
+  }, [power, samplingRate]);
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-lg font-semibold">Scale-Averaged Power</h3>
+      <div className="grid gap-4 sm:grid-cols-2">
+        <div>
+          <label className="block text-sm text-gray-300 mb-2">Upper Band Edge: {formatFrequency(frequencies[first])}</label>
+          <Slider
+            value={[rowCount - 1 - first]}
+            onValueChange={([value]) => onBand([Math.min(rowCount - 1 - value, last), last])}
+            min={0}
+            max={rowCount - 1}
+            step={1}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-300 mb-2">Lower Band Edge: {formatFrequency(frequencies[last])}</label>
+          <Slider
+            value={[rowCount - 1 - last]}
+            onValueChange={([value]) => onBand([first, Math.max(rowCount - 1 - value, first)])}
+            min={0}
+            max={rowCount - 1}
+            step={1}
+            className="w-full"
+          />
+        </div>
+      </div>
+      <div className="h-[200px] w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData}>
+            <XAxis dataKey="t" domain={['auto', 'auto']} tickCount={5} tickFormatter={formatTime} />
+            <YAxis width={60} domain={[0, 'auto']} tickCount={5} tickFormatter={(value) => value.toPrecision(2)} />
+            <Tooltip formatter={(value) => value.toPrecision(4)} labelFormatter={formatTime} />
+            <Line type="monotone" dataKey="power" name="Band variance" stroke="#60a5fa" dot={false} strokeWidth={2} connectNulls={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default ScaleAveragedPower;
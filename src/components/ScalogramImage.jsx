@@ -0,0 +1,366 @@
+import { useCallback, useEffect, useId, useMemo, useRef, useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { formatFrequency, formatTime } from "@/lib/format";
+import { coneOfInfluencePath } from "@/lib/contours";
+import { FULL_VIEW, clampView, visibleTicks, fractionToFrequency, frequencyToFraction } from "@/lib/viewport";
+
+// Zooming stops at this many columns or rows across the view.
+const MIN_COLUMNS = 8;
+const MIN_ROWS = 2;
+// Wheel zoom per pixel of scroll.
+const WHEEL_ZOOM_RATE = 0.0015;
+// Box zooms smaller than this, in pixels, are taken as clicks.
+const MIN_BOX = 4;
+
+/**
+ * A scalogram bitmap drawn into a 300px-high canvas, with frequency labels
+ * down the left, time labels underneath and an optional cone of influence.
+ * Further overlays can be passed as children; they are laid over the image
+ * area in its own coordinates and follow the view.
+ *
+ * The wheel zooms about the cursor (Shift for time only, Alt for frequency
+ * only), dragging pans and Shift-dragging zooms to a box. The view is
+ * controlled when `view` and `onViewChange` are given. Hovering shows the
+ * time, scale, frequency and value under the cursor, read from `values`
+ * (one row per scale) when given. The cursor can be shared between
+ * scalograms of different scale grids through `cursor`, a time and
+ * frequency in seconds and Hz (or null), and `onCursorChange`.
+ */
+const ScalogramImage = ({
+  image,
+  alt,
+  frequencies,
+  signalLength,
+  samplingRate,
+  scales,
+  values,
+  valueLabel = 'Value',
+  coi,
+  coiDisplay = 'hidden',
+  view: controlledView,
+  onViewChange,
+  cursor,
+  onCursorChange,
+  children
+}) => {
+  const id = useId().replace(/:/g, '');
+  const frameRef = useRef(null);
+  const canvasRef = useRef(null);
+  const gestureRef = useRef(null);
+  const [bitmap, setBitmap] = useState(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [ownView, setOwnView] = useState(FULL_VIEW);
+  const [ownHover, setOwnHover] = useState(null);
+  const [box, setBox] = useState(null);
+  const rows = frequencies.length;
+  const view = controlledView ?? ownView;
+
+  const minWidth = Math.min(1, MIN_COLUMNS / signalLength);
+  const minHeight = Math.min(1, MIN_ROWS / rows);
+  const setView = useCallback((next) => {
+    const clamped = clampView(next, minWidth, minHeight);
+    if (onViewChange) {
+      onViewChange(clamped);
+    } else {
+      setOwnView(clamped);
+    }
+  }, [onViewChange, minWidth, minHeight]);
+
+  // The pointer position as fractions of the frame (px, py) and of the
+  // image (fx, fy), taken from the shared cursor when there is one.
+  const hover = useMemo(() => {
+    if (!onCursorChange) {
+      return ownHover;
+    }
+    if (!cursor) {
+      return null;
+    }
+    const fx = cursor.time * samplingRate / signalLength;
+    const fy = frequencyToFraction(frequencies, cursor.frequency);
+    const px = (fx - view.x0) / (view.x1 - view.x0);
+    const py = (fy - view.y0) / (view.y1 - view.y0);
+    return px >= 0 && px <= 1 && py >= 0 && py <= 1 ? { px, py, fx, fy } : null;
+  }, [onCursorChange, ownHover, cursor, samplingRate, signalLength, frequencies, view]);
+
+  const setHover = useCallback((location) => {
+    if (onCursorChange) {
+      onCursorChange(location && {
+        time: location.fx * signalLength / samplingRate,
+        frequency: fractionToFrequency(frequencies, location.fy)
+      });
+    } else {
+      setOwnHover(location);
+    }
+  }, [onCursorChange, signalLength, samplingRate, frequencies]);
+
+  useEffect(() => {
+    const element = new Image();
+    element.onload = () => setBitmap(element);
+    element.src = image;
+    return () => {
+      element.onload = null;
+    };
+  }, [image]);
+
+  useEffect(() => {
+    const frame = frameRef.current;
+    const observer = new ResizeObserver(([entry]) => {
+      setSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(frame);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !bitmap || size.width === 0) {
+      return;
+    }
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(size.width * ratio);
+    canvas.height = Math.round(size.height * ratio);
+    const ctx = canvas.getContext('2d');
+    // Zoomed-in coefficients stay sharp cells rather than blurring.
+    ctx.imageSmoothingEnabled = view.x1 - view.x0 === 1 && view.y1 - view.y0 === 1;
+    ctx.drawImage(
+      bitmap,
+      view.x0 * bitmap.width,
+      view.y0 * bitmap.height,
+      (view.x1 - view.x0) * bitmap.width,
+      (view.y1 - view.y0) * bitmap.height,
+      0,
+      0,
+      canvas.width,
+      canvas.height
+    );
+  }, [bitmap, size, view]);
+
+  // Position of a pointer event as fractions of the frame and of the image.
+  const locate = useCallback((event) => {
+    const rect = frameRef.current.getBoundingClientRect();
+    const px = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    const py = Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height));
+    return {
+      px,
+      py,
+      fx: view.x0 + px * (view.x1 - view.x0),
+      fy: view.y0 + py * (view.y1 - view.y0)
+    };
+  }, [view]);
+
+  // React registers wheel listeners as passive, which cannot stop the page
+  // from scrolling, so this one is attached by hand.
+  useEffect(() => {
+    const frame = frameRef.current;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const { px, py, fx, fy } = locate(event);
+      const factor = Math.exp(event.deltaY * WHEEL_ZOOM_RATE);
+      const width = (view.x1 - view.x0) * (event.altKey ? 1 : factor);
+      const height = (view.y1 - view.y0) * (event.shiftKey ? 1 : factor);
+      setView({ x0: fx - px * width, x1: fx - px * width + width, y0: fy - py * height, y1: fy - py * height + height });
+    };
+    frame.addEventListener('wheel', handleWheel, { passive: false });
+    return () => frame.removeEventListener('wheel', handleWheel);
+  }, [locate, view, setView]);
+
+  const handlePointerDown = (event) => {
+    if (event.button !== 0) {
+      return;
+    }
+    frameRef.current.setPointerCapture(event.pointerId);
+    gestureRef.current = { start: locate(event), view, zoom: event.shiftKey };
+  };
+
+  const handlePointerMove = (event) => {
+    const location = locate(event);
+    const gesture = gestureRef.current;
+    if (gesture && gesture.zoom) {
+      setBox({ from: gesture.start, to: location });
+    } else if (gesture) {
+      const { start, view: from } = gesture;
+      const dx = (location.px - start.px) * (from.x1 - from.x0);
+      const dy = (location.py - start.py) * (from.y1 - from.y0);
+      setView({ x0: from.x0 - dx, x1: from.x1 - dx, y0: from.y0 - dy, y1: from.y1 - dy });
+    }
+    setHover(gesture && !gesture.zoom ? null : location);
+  };
+
+  const handlePointerUp = (event) => {
+    const gesture = gestureRef.current;
+    gestureRef.current = null;
+    setBox(null);
+    if (!gesture || !gesture.zoom) {
+      return;
+    }
+    const end = locate(event);
+    const rect = frameRef.current.getBoundingClientRect();
+    if (Math.abs(end.px - gesture.start.px) * rect.width < MIN_BOX || Math.abs(end.py - gesture.start.py) * rect.height < MIN_BOX) {
+      return;
+    }
+    setView({
+      x0: Math.min(gesture.start.fx, end.fx),
+      x1: Math.max(gesture.start.fx, end.fx),
+      y0: Math.min(gesture.start.fy, end.fy),
+      y1: Math.max(gesture.start.fy, end.fy)
+    });
+  };
+
+  const frequencyTicks = useMemo(
+    () => visibleTicks(rows, view.y0, view.y1, 6).map(({ cell, position }) => ({ row: cell, position, label: formatFrequency(frequencies[cell]) })),
+    [rows, frequencies, view.y0, view.y1]
+  );
+
+  const timeTicks = useMemo(
+    () => visibleTicks(signalLength, view.x0, view.x1, 5).map(({ cell, position }) => ({ column: cell, position, label: formatTime(cell / samplingRate) })),
+    [signalLength, samplingRate, view.x0, view.x1]
+  );
+
+  const coiPath = useMemo(() => (coi ? coneOfInfluencePath(coi, frequencies) : ''), [coi, frequencies]);
+
+  const readout = useMemo(() => {
+    if (!hover) {
+      return null;
+    }
+    const column = Math.min(signalLength - 1, Math.floor(hover.fx * signalLength));
+    const row = Math.min(rows - 1, Math.floor(hover.fy * rows));
+    const value = values && values[row] ? values[row][column] : NaN;
+    return {
+      time: formatTime(column / samplingRate),
+      frequency: formatFrequency(frequencies[row]),
+      scale: scales && scales.length === rows ? formatTime(scales[row] / samplingRate) : null,
+      value: Number.isFinite(value) ? value.toPrecision(4) : null
+    };
+  }, [hover, signalLength, rows, values, samplingRate, frequencies, scales]);
+
+  const isZoomed = view.x0 > 0 || view.x1 < 1 || view.y0 > 0 || view.y1 < 1;
+  // Overlays are drawn over the whole image and moved and stretched so that
+  // the part in view fills the frame.
+  const contentStyle = {
+    left: (-view.x0 / (view.x1 - view.x0) * 100) + '%',
+    top: (-view.y0 / (view.y1 - view.y0) * 100) + '%',
+    width: (100 / (view.x1 - view.x0)) + '%',
+    height: (100 / (view.y1 - view.y0)) + '%'
+  };
+
+  return (
+    <div>
+      <div
+        ref={frameRef}
+        className="relative h-[300px] overflow-hidden rounded-lg bg-black cursor-crosshair touch-none select-none"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={() => setHover(null)}
+      >
+        <canvas ref={canvasRef} role="img" aria-label={alt} className="absolute left-0 top-0 w-full h-full" />
+        <div className="absolute pointer-events-none" style={contentStyle}>
+          {coi && coiDisplay !== 'hidden' && (
+            <svg className="absolute left-0 top-0 w-full h-full">
+              <defs>
+                <pattern id={id + '-hatch'} width="8" height="8" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+                  <line x1="0" y1="0" x2="0" y2="8" stroke="white" strokeWidth="2" strokeOpacity="0.6" />
+                </pattern>
+                <clipPath id={id + '-coi'} clipPathUnits="objectBoundingBox">
+                  <path d={coiPath} />
+                </clipPath>
+              </defs>
+              <g clipPath={'url(#' + id + '-coi)'}>
+                <rect width="100%" height="100%" fill="black" fillOpacity={coiDisplay === 'dimmed' ? 0.55 : 0.3} />
+                {coiDisplay === 'hatched' && <rect width="100%" height="100%" fill={'url(#' + id + '-hatch)'} />}
+              </g>
+            </svg>
+          )}
+          {children}
+        </div>
+        <div className="absolute left-2 top-0 h-full text-xs pointer-events-none">
+          {frequencyTicks.map(({ row, position, label }) => (
+            <span
+              key={row}
+              className="absolute -translate-y-1/2 whitespace-nowrap bg-black bg-opacity-50 px-1 rounded"
+              style={{ top: (position * 100) + '%' }}
+            >
+              {label}
+            </span>
+          ))}
+        </div>
+        {hover && (
+          <>
+            <div className="absolute top-0 h-full w-px bg-white bg-opacity-60 pointer-events-none" style={{ left: (hover.px * 100) + '%' }} />
+            <div className="absolute left-0 w-full h-px bg-white bg-opacity-60 pointer-events-none" style={{ top: (hover.py * 100) + '%' }} />
+            <div
+              className="absolute z-10 rounded bg-gray-900 bg-opacity-90 px-2 py-1 text-xs text-gray-100 whitespace-nowrap pointer-events-none"
+              style={{
+                left: (hover.px * 100) + '%',
+                top: (hover.py * 100) + '%',
+                transform: 'translate(' + (hover.px > 0.7 ? 'calc(-100% - 8px)' : '8px') + ', ' + (hover.py > 0.7 ? 'calc(-100% - 8px)' : '8px') + ')'
+              }}
+            >
+              <div>Time {readout.time}</div>
+              <div>Frequency {readout.frequency}</div>
+              {readout.scale && <div>Scale {readout.scale}</div>}
+              {readout.value && <div>{valueLabel} {readout.value}</div>}
+            </div>
+          </>
+        )}
+        {box && (
+          <div
+            className="absolute border border-white bg-white bg-opacity-10 pointer-events-none"
+            style={{
+              left: (Math.min(box.from.px, box.to.px) * 100) + '%',
+              top: (Math.min(box.from.py, box.to.py) * 100) + '%',
+              width: (Math.abs(box.to.px - box.from.px) * 100) + '%',
+              height: (Math.abs(box.to.py - box.from.py) * 100) + '%'
+            }}
+          />
+        )}
+        {isZoomed && (
+          <Button
+            onClick={() => setView(FULL_VIEW)}
+            onPointerDown={(event) => event.stopPropagation()}
+            className="absolute right-2 top-2 h-8 px-3 bg-gray-800 bg-opacity-80 text-gray-100 hover:bg-gray-700"
+          >
+            Reset Zoom
+          </Button>
+        )}
+      </div>
+      <div className="relative h-5 mt-1 text-xs text-gray-400">
+        {timeTicks.map(({ column, position, label }) => (
+          <span
+            key={column}
+            className="absolute -translate-x-1/2 whitespace-nowrap"
+            style={{ left: (position * 100) + '%' }}
+          >
+            {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Contour lines over a scalogram, drawn in the grid coordinates of a
+ * `width` by `rows` image and stretched with it.
+ */
+export const ContourOverlay = ({ width, rows, contours }) => (
+  <svg
+    className="absolute left-0 top-0 w-full h-full pointer-events-none"
+    viewBox={'0 0 ' + width + ' ' + rows}
+    preserveAspectRatio="none"
+  >
+    {contours.map(({ key, path, stroke = 'white', strokeWidth, strokeDasharray }) => (
+      <path
+        key={key}
+        d={path}
+        fill="none"
+        stroke={stroke}
+        strokeWidth={strokeWidth}
+        strokeDasharray={strokeDasharray}
+        vectorEffect="non-scaling-stroke"
+      />
+    ))}
+  </svg>
+);
+
+export default ScalogramImage;
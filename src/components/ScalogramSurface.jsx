@@ -0,0 +1,295 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { Button } from "@/components/ui/button";
+import { colormapColor } from "@/lib/colormap";
+import { formatFrequency, formatTime } from "@/lib/format";
+
+// The surface is decimated to at most this many columns, keeping the
+// largest value of each block so that narrow peaks survive.
+const MAX_COLUMNS = 256;
+// Extent of the surface in scene units: time along x, frequency along z
+// (high frequencies at the back) and magnitude up y.
+const WIDTH = 2;
+const DEPTH = 1.5;
+const HEIGHT = 0.7;
+// A sweep of the slice from one end to the other takes this long.
+const SWEEP_SECONDS = 10;
+const SWEEP_INTERVAL_MS = 50;
+
+const SLICES = {
+  time: 'Time Slice',
+  scale: 'Scale Slice',
+  none: 'No Slice'
+};
+
+// Heights in [0, 1] and vertex colours of the decimated surface.
+const surfaceGrid = (values, scale, colormap) => {
+  const rows = values.length;
+  const signalLength = values[0].length;
+  const columns = Math.min(signalLength, MAX_COLUMNS);
+  const heights = new Float32Array(rows * columns);
+  const colors = new Float32Array(rows * columns * 3);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const start = Math.floor(column * signalLength / columns);
+      const end = Math.max(start + 1, Math.floor((column + 1) * signalLength / columns));
+      let peak = -Infinity;
+      for (let n = start; n < end; n++) {
+        peak = Math.max(peak, values[row][n]);
+      }
+      const level = Math.min(1, Math.max(0, scale.normalize(peak) || 0));
+      const i = row * columns + column;
+      heights[i] = level;
+      const [r, g, b] = colormapColor(colormap, level);
+      colors[i * 3] = r / 255;
+      colors[i * 3 + 1] = g / 255;
+      colors[i * 3 + 2] = b / 255;
+    }
+  }
+  return { rows, columns, heights, colors };
+};
+
+const surfaceX = (column, columns) => -WIDTH / 2 + WIDTH * column / Math.max(1, columns - 1);
+const surfaceZ = (row, rows) => -DEPTH / 2 + DEPTH * row / Math.max(1, rows - 1);
+
+const surfaceGeometry = ({ rows, columns, heights, colors }) => {
+  const positions = new Float32Array(rows * columns * 3);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const i = row * columns + column;
+      positions[i * 3] = surfaceX(column, columns);
+      positions[i * 3 + 1] = heights[i] * HEIGHT;
+      positions[i * 3 + 2] = surfaceZ(row, rows);
+    }
+  }
+  const indices = [];
+  for (let row = 0; row + 1 < rows; row++) {
+    for (let column = 0; column + 1 < columns; column++) {
+      const i = row * columns + column;
+      indices.push(i, i + columns, i + 1, i + 1, i + columns, i + columns + 1);
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+// Points of the surface along a time or scale slice at `position` in [0, 1].
+const slicePoints = (grid, slice, position) => {
+  const { rows, columns, heights } = grid;
+  const points = [];
+  if (slice === 'time') {
+    const column = Math.round(position * (columns - 1));
+    for (let row = 0; row < rows; row++) {
+      points.push(new THREE.Vector3(surfaceX(column, columns), heights[row * columns + column] * HEIGHT + 0.005, surfaceZ(row, rows)));
+    }
+  } else {
+    const row = Math.round(position * (rows - 1));
+    for (let column = 0; column < columns; column++) {
+      points.push(new THREE.Vector3(surfaceX(column, columns), heights[row * columns + column] * HEIGHT + 0.005, surfaceZ(row, rows)));
+    }
+  }
+  return points;
+};
+
+/**
+ * The scalogram as a 3D surface: time across, frequency into the screen and
+ * height and colour both following the colour scale. Drag to orbit, scroll
+ * to zoom and right-drag to pan. A translucent plane marks a time or scale
+ * slice, with the surface's profile along it traced in white; it can be
+ * moved by hand or swept through the transform.
+ */
+const ScalogramSurface = ({ values, scale, colormap, frequencies, signalLength, samplingRate }) => {
+  const containerRef = useRef(null);
+  const sceneRef = useRef(null);
+  const [error, setError] = useState(null);
+  const [slice, setSlice] = useState('time');
+  const [slicePosition, setSlicePosition] = useState(0.5);
+  const [isSweeping, setIsSweeping] = useState(false);
+
+  const grid = useMemo(() => surfaceGrid(values, scale, colormap), [values, scale, colormap]);
+
+  // Renderer, camera, controls and the fixed parts of the scene live as long
+  // as the component; the surface and slice are swapped in by the effects
+  // below.
+  useEffect(() => {
+    const container = containerRef.current;
+    let renderer;
+    try {
+      renderer = new THREE.WebGLRenderer({ antialias: true });
+    } catch (e) {
+      setError(e.message);
+      return undefined;
+    }
+    renderer.setPixelRatio(window.devicePixelRatio || 1);
+    renderer.setClearColor(0x111827);
+    container.appendChild(renderer.domElement);
+
+    const scene = new THREE.Scene();
+    scene.add(new THREE.AmbientLight(0xffffff, 1.6));
+    const light = new THREE.DirectionalLight(0xffffff, 1.4);
+    light.position.set(1, 2, 1.5);
+    scene.add(light);
+
+    const outline = new THREE.LineSegments(
+      new THREE.EdgesGeometry(new THREE.BoxGeometry(WIDTH, HEIGHT, DEPTH)),
+      new THREE.LineBasicMaterial({ color: 0x4b5563 })
+    );
+    outline.position.y = HEIGHT / 2;
+    scene.add(outline);
+
+    const camera = new THREE.PerspectiveCamera(40, 1, 0.01, 100);
+    camera.position.set(1.6, 1.5, 2.4);
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.target.set(0, HEIGHT / 3, 0);
+    controls.enableDamping = true;
+    controls.update();
+
+    const resize = () => {
+      const { clientWidth, clientHeight } = container;
+      renderer.setSize(clientWidth, clientHeight);
+      camera.aspect = clientWidth / Math.max(1, clientHeight);
+      camera.updateProjectionMatrix();
+    };
+    const observer = new ResizeObserver(resize);
+    observer.observe(container);
+    resize();
+
+    let frame;
+    const animate = () => {
+      controls.update();
+      renderer.render(scene, camera);
+      frame = requestAnimationFrame(animate);
+    };
+    animate();
+
+    sceneRef.current = scene;
+    return () => {
+      cancelAnimationFrame(frame);
+      observer.disconnect();
+      controls.dispose();
+      outline.geometry.dispose();
+      outline.material.dispose();
+      renderer.dispose();
+      container.removeChild(renderer.domElement);
+      sceneRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene) {
+      return undefined;
+    }
+    const mesh = new THREE.Mesh(
+      surfaceGeometry(grid),
+      new THREE.MeshLambertMaterial({ vertexColors: true, side: THREE.DoubleSide })
+    );
+    scene.add(mesh);
+    return () => {
+      scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    };
+  }, [grid]);
+
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene || slice === 'none') {
+      return undefined;
+    }
+    const plane = new THREE.Mesh(
+      new THREE.PlaneGeometry(slice === 'time' ? DEPTH : WIDTH, HEIGHT),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.18, side: THREE.DoubleSide, depthWrite: false })
+    );
+    plane.position.y = HEIGHT / 2;
+    if (slice === 'time') {
+      plane.rotation.y = Math.PI / 2;
+      plane.position.x = -WIDTH / 2 + WIDTH * slicePosition;
+    } else {
+      plane.position.z = -DEPTH / 2 + DEPTH * slicePosition;
+    }
+    const profile = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(slicePoints(grid, slice, slicePosition)),
+      new THREE.LineBasicMaterial({ color: 0xffffff })
+    );
+    scene.add(plane, profile);
+    return () => {
+      scene.remove(plane, profile);
+      plane.geometry.dispose();
+      plane.material.dispose();
+      profile.geometry.dispose();
+      profile.material.dispose();
+    };
+  }, [grid, slice, slicePosition]);
+
+  useEffect(() => {
+    if (!isSweeping) {
+      return undefined;
+    }
+    const step = SWEEP_INTERVAL_MS / 1000 / SWEEP_SECONDS;
+    const timer = setInterval(() => {
+      setSlicePosition((position) => (position + step > 1 ? 0 : position + step));
+    }, SWEEP_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isSweeping]);
+
+  const sliceLabel = slice === 'time'
+    ? 'Time ' + formatTime(Math.round(slicePosition * (signalLength - 1)) / samplingRate)
+    : 'Frequency ' + formatFrequency(frequencies[Math.round(slicePosition * (frequencies.length - 1))]);
+
+  return (
+    <div className="space-y-4">
+      {error ? (
+        <div className="flex items-center justify-center h-[400px] bg-gray-800 rounded-lg text-gray-400">
+          3D view unavailable: {error}
+        </div>
+      ) : (
+        <div ref={containerRef} className="h-[400px] w-full overflow-hidden rounded-lg" />
+      )}
+      <div className="grid gap-4 sm:grid-cols-[220px_1fr_auto] sm:items-center">
+        <Select value={slice} onValueChange={setSlice}>
+          <SelectTrigger className="w-full bg-gray-800 text-gray-100 border-gray-700">
+            <SelectValue placeholder="Slice" />
+          </SelectTrigger>
+          <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+            {Object.entries(SLICES).map(([value, label]) => (
+              <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <div>
+          <Slider
+            value={[slicePosition]}
+            onValueChange={([value]) => setSlicePosition(value)}
+            disabled={slice === 'none'}
+            min={0}
+            max={1}
+            step={0.001}
+            className="w-full"
+          />
+          {slice !== 'none' && <span className="text-sm text-gray-400 mt-1 block">{sliceLabel}</span>}
+        </div>
+        <Button
+          onClick={() => setIsSweeping((sweeping) => !sweeping)}
+          disabled={slice === 'none'}
+          className="bg-blue-600 text-white hover:bg-blue-500"
+        >
+          {isSweeping ? 'Stop Sweep' : 'Sweep'}
+        </Button>
+      </div>
+      <p className="text-sm text-gray-400">
+        Time runs left to right and frequency from the front (low) to the back (high). Height and colour follow the
+        colour scale of the 2D view. Drag to orbit, scroll to zoom and right-drag to pan.
+      </p>
+    </div>
+  );
+};
+
+export default ScalogramSurface;
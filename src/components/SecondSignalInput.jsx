@@ -0,0 +1,136 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import SignalImport from "@/components/SignalImport";
+import { waveforms, generateWaveform } from "@/signals/generators";
+
+/**
+ * Controls for the second series of a coherence analysis. It is sampled at
+ * the first signal's rate; a generated series also takes its length, and
+ * can be delayed against it by a phase lag. Its noise is drawn from `seed`.
+ */
+const SecondSignalInput = ({ samplingRate, sampleCount, maxSamples, seed, onChange, onDebug }) => {
+  const [source, setSource] = useState('generated');
+  const [importedSignal, setImportedSignal] = useState(null);
+  const [signalType, setSignalType] = useState('sine');
+  const [frequency, setFrequency] = useState(1);
+  const [amplitude, setAmplitude] = useState(1);
+  const [phaseLag, setPhaseLag] = useState(90);
+  const [noiseLevel, setNoiseLevel] = useState(0.2);
+
+  const handleImport = useCallback(({ name, values, samplingRate: fileSamplingRate }) => {
+    onDebug('Imported second signal ' + name + ': ' + JSON.stringify({ signalLength: values.length, samplingRate: fileSamplingRate }));
+    setImportedSignal({ name, values, samplingRate: fileSamplingRate });
+  }, [onDebug]);
+
+  useEffect(() => {
+    if (source === 'file') {
+      onChange(importedSignal ? importedSignal.values.subarray(0, maxSamples) : null);
+      return;
+    }
+    onChange(generateWaveform({
+      type: signalType,
+      frequency,
+      amplitude,
+      phase: -phaseLag * Math.PI / 180,
+      noiseLevel,
+      seed,
+      samplingRate,
+      sampleCount
+    }));
+  }, [source, importedSignal, signalType, frequency, amplitude, phaseLag, noiseLevel, seed, samplingRate, sampleCount, maxSamples, onChange]);
+
+  const rateMismatch = source === 'file' && importedSignal?.samplingRate
+    && Math.abs(importedSignal.samplingRate - samplingRate) > 1e-6 * samplingRate;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4">
+        <Select value={source} onValueChange={setSource}>
+          <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+            <SelectValue placeholder="Second Signal Source" />
+          </SelectTrigger>
+          <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+            <SelectItem value="generated" className="hover:bg-gray-700">Generated Signal</SelectItem>
+            <SelectItem value="file" className="hover:bg-gray-700">Imported File</SelectItem>
+          </SelectContent>
+        </Select>
+        <Select value={signalType} onValueChange={setSignalType} disabled={source !== 'generated'}>
+          <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+            <SelectValue placeholder="Signal Type" />
+          </SelectTrigger>
+          <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+            {Object.entries(waveforms).map(([value, { label }]) => (
+              <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className={source === 'file' ? '' : 'hidden'}>
+        <SignalImport onImport={handleImport} maxSamples={maxSamples} />
+        {rateMismatch && (
+          <p className="mt-2 text-sm text-yellow-400">
+            This file is sampled at {importedSignal.samplingRate} Hz; it is analysed at {samplingRate} Hz like the
+            first signal.
+          </p>
+        )}
+      </div>
+
+      {source === 'generated' && (
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Frequency</label>
+            <Slider
+              value={[frequency]}
+              onValueChange={([value]) => setFrequency(value)}
+              min={0.1}
+              max={10}
+              step={0.1}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">{frequency.toFixed(1)} Hz</span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Amplitude</label>
+            <Slider
+              value={[amplitude]}
+              onValueChange={([value]) => setAmplitude(value)}
+              min={0.1}
+              max={2}
+              step={0.1}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">{amplitude.toFixed(1)}</span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Phase Lag</label>
+            <Slider
+              value={[phaseLag]}
+              onValueChange={([value]) => setPhaseLag(value)}
+              min={-180}
+              max={180}
+              step={5}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">{phaseLag}&deg; behind the first signal</span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Noise Level</label>
+            <Slider
+              value={[noiseLevel]}
+              onValueChange={([value]) => setNoiseLevel(value)}
+              min={0}
+              max={1}
+              step={0.05}
+              className="w-full"
+            />
+            <span className="text-sm text-gray-400 mt-1 block">{noiseLevel.toFixed(2)}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SecondSignalInput;
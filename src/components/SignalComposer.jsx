@@ -0,0 +1,184 @@
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { Button } from "@/components/ui/button";
+import { formatFrequency, formatTime } from "@/lib/format";
+import { waveforms, transients } from "@/signals/generators";
+
+// A new component of `type`, keeping the frequency, amplitude, timing and
+// parameters of the one it replaces where they carry over.
+const defaultComponent = (type, duration, previous = {}) => {
+  const frequency = previous.frequency ?? 10;
+  const amplitude = previous.amplitude ?? 1;
+  const time = previous.time ?? previous.start ?? duration / 2;
+  if (waveforms[type]) {
+    const parameters = Object.fromEntries(
+      Object.entries(waveforms[type].parameters)
+        .map(([name, { min, max, default: value }]) => [name, Math.min(max, Math.max(min, previous[name] ?? value))])
+    );
+    const start = previous.start ?? 0;
+    return { type, frequency, amplitude, phase: previous.phase ?? 0, start, end: previous.end ?? duration, ...parameters };
+  }
+  if (type === 'burst') {
+    return { type, time, amplitude, frequency, width: previous.width ?? duration / 20 };
+  }
+  return { type, time, amplitude };
+};
+
+const ParameterSlider = ({ label, value, display, onChange, min, max, step }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
+    <Slider value={[value]} onValueChange={([next]) => onChange(next)} min={min} max={max} step={step} className="w-full" />
+    <span className="text-sm text-gray-400 mt-1 block">{display}</span>
+  </div>
+);
+
+/**
+ * Editor for a signal summed from any number of waveforms, each switched on
+ * between an onset and an offset, and transient events. `components` are as
+ * accepted by `composeSignal`; every edit passes a new array to `onChange`.
+ */
+const SignalComposer = ({ components, onChange, duration, samplingRate }) => {
+  const nyquist = samplingRate / 2;
+
+  const update = (index, changes) => {
+    onChange(components.map((component, i) => (i === index ? { ...component, ...changes } : component)));
+  };
+
+  const frequencySlider = (index, component) => (
+    <ParameterSlider
+      label={waveforms[component.type]?.frequencyLabel ?? 'Frequency'}
+      value={Math.log10(Math.min(component.frequency, nyquist))}
+      display={formatFrequency(component.frequency)}
+      onChange={(value) => update(index, { frequency: 10 ** value })}
+      min={-1}
+      max={Math.log10(nyquist)}
+      step={0.01}
+    />
+  );
+
+  const timeSlider = (index, label, field, component) => (
+    <ParameterSlider
+      label={label}
+      value={Math.min(component[field], duration)}
+      display={formatTime(component[field])}
+      onChange={(value) => update(index, { [field]: value })}
+      min={0}
+      max={duration}
+      step={1 / samplingRate}
+    />
+  );
+
+  return (
+    <div className="space-y-4">
+      {components.map((component, index) => (
+        <div key={index} className="space-y-4 rounded-lg border border-gray-700 bg-gray-800 p-4">
+          <div className="flex items-center justify-between space-x-4">
+            <Select
+              value={component.type}
+              onValueChange={(type) => onChange(components.map((c, i) => (i === index ? defaultComponent(type, duration, c) : c)))}
+            >
+              <SelectTrigger className="w-full sm:w-[220px] bg-gray-800 text-gray-100 border-gray-700">
+                <SelectValue placeholder="Component" />
+              </SelectTrigger>
+              <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+                {Object.entries({ ...waveforms, ...transients }).map(([value, { label }]) => (
+                  <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button
+              onClick={() => onChange(components.filter((_, i) => i !== index))}
+              className="bg-gray-700 text-gray-100 hover:bg-gray-600"
+            >
+              Remove
+            </Button>
+          </div>
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {waveforms[component.type] ? (
+              <>
+                {frequencySlider(index, component)}
+                <ParameterSlider
+                  label="Amplitude"
+                  value={component.amplitude}
+                  display={component.amplitude.toFixed(2)}
+                  onChange={(value) => update(index, { amplitude: value })}
+                  min={0}
+                  max={2}
+                  step={0.05}
+                />
+                <ParameterSlider
+                  label="Phase"
+                  value={component.phase * 180 / Math.PI}
+                  display={(component.phase * 180 / Math.PI).toFixed(0) + '°'}
+                  onChange={(value) => update(index, { phase: value * Math.PI / 180 })}
+                  min={-180}
+                  max={180}
+                  step={5}
+                />
+                {Object.entries(waveforms[component.type].parameters).map(([name, { label, min, max, step }]) => (
+                  <ParameterSlider
+                    key={name}
+                    label={label}
+                    value={component[name]}
+                    display={component[name].toFixed(step < 0.1 ? 2 : 1)}
+                    onChange={(value) => update(index, { [name]: value })}
+                    min={min}
+                    max={max}
+                    step={step}
+                  />
+                ))}
+                {timeSlider(index, 'Onset', 'start', component)}
+                {timeSlider(index, 'Offset', 'end', component)}
+              </>
+            ) : (
+              <>
+                {timeSlider(index, 'Time', 'time', component)}
+                <ParameterSlider
+                  label="Amplitude"
+                  value={component.amplitude}
+                  display={component.amplitude.toFixed(2)}
+                  onChange={(value) => update(index, { amplitude: value })}
+                  min={-2}
+                  max={2}
+                  step={0.05}
+                />
+                {component.type === 'burst' && frequencySlider(index, component)}
+                {component.type === 'burst' && (
+                  <ParameterSlider
+                    label="Width"
+                    value={Math.min(component.width, duration / 2)}
+                    display={(component.width * 1000).toFixed(0) + ' ms'}
+                    onChange={(value) => update(index, { width: value })}
+                    min={0.001}
+                    max={duration / 2}
+                    step={0.001}
+                  />
+                )}
+              </>
+            )}
+          </div>
+          {waveforms[component.type] && component.end <= component.start && (
+            <p className="text-sm text-yellow-400">The offset is not after the onset, so this component is silent.</p>
+          )}
+        </div>
+      ))}
+      {components.length === 0 && <p className="text-sm text-gray-400">No components; the signal is silent.</p>}
+      <div className="flex space-x-4">
+        <Button
+          onClick={() => onChange(components.concat(defaultComponent('sine', duration, { start: 0 })))}
+          className="bg-blue-600 text-white hover:bg-blue-500"
+        >
+          Add Component
+        </Button>
+        <Button
+          onClick={() => onChange(components.concat(defaultComponent('impulse', duration)))}
+          className="bg-gray-700 text-gray-100 hover:bg-gray-600"
+        >
+          Add Transient
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default SignalComposer;
@@ -0,0 +1,206 @@
+import { useEffect, useState } from 'react';
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { readSignalFile, extractSignal, decimateSignal } from "@/io/signalFile";
+import { formatFrequency, formatTime } from "@/lib/format";
+
+const TIME_COLUMN_PATTERN = /^(t|time|times|seconds?|secs?|s)$/i;
+const DECIMATION_FACTORS = [1, 2, 4, 8, 16, 32, 64];
+
+const SignalImport = ({ onImport, maxSamples }) => {
+  const [source, setSource] = useState(null);
+  const [error, setError] = useState(null);
+  const [column, setColumn] = useState(0);
+  const [timeColumn, setTimeColumn] = useState(-1);
+  const [channel, setChannel] = useState(0);
+  const [decimation, setDecimation] = useState(1);
+  // First sample analysed, counted at the file's own rate.
+  const [start, setStart] = useState(0);
+  const [summary, setSummary] = useState(null);
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      const parsed = await readSignalFile(file);
+      const detectedTimeColumn = parsed.kind === 'table'
+        ? parsed.columns.findIndex((name) => TIME_COLUMN_PATTERN.test(name))
+        : -1;
+      setColumn(parsed.kind === 'table' ? Math.max(0, parsed.columns.findIndex((_, i) => i !== detectedTimeColumn)) : 0);
+      setTimeColumn(detectedTimeColumn);
+      setChannel(0);
+      setDecimation(1);
+      setStart(0);
+      setError(null);
+      setSource(parsed);
+    } catch (e) {
+      setError(e.message);
+      setSource(null);
+      setSummary(null);
+    }
+  };
+
+  // Signals longer than `maxSamples` are analysed a window at a time, from
+  // `start`, and files with a sampling rate can be decimated to fit more
+  // of them into the window.
+  useEffect(() => {
+    if (!source) {
+      return;
+    }
+    try {
+      const extracted = extractSignal(source, { column, timeColumn, channel });
+      if (extracted.values.length === 0) {
+        throw new Error('The selected data contains no numeric samples');
+      }
+      const factor = extracted.samplingRate ? decimation : 1;
+      const decimated = decimateSignal(extracted.values, factor);
+      if (decimated.length === 0) {
+        throw new Error('Decimating by ' + factor + ' leaves no samples');
+      }
+      const first = Math.min(Math.floor(start / factor), Math.max(0, decimated.length - maxSamples));
+      const values = decimated.slice(first, first + maxSamples);
+      const samplingRate = extracted.samplingRate && extracted.samplingRate / factor;
+      setError(null);
+      setSummary({
+        sampleCount: extracted.values.length,
+        dropped: extracted.dropped,
+        fileSamplingRate: extracted.samplingRate,
+        factor,
+        decimatedCount: decimated.length,
+        first,
+        count: values.length,
+        samplingRate
+      });
+      onImport({ name: source.name, values, samplingRate });
+    } catch (e) {
+      setError(e.message);
+      setSummary(null);
+    }
+  }, [source, column, timeColumn, channel, decimation, start, maxSamples, onImport]);
+
+  // Sample positions as times where the file gives a rate.
+  const describeSample = (index) => (
+    summary.samplingRate ? formatTime(index / summary.samplingRate) : String(index)
+  );
+
+  return (
+    <div className="space-y-4 rounded-lg border border-gray-700 bg-gray-800 p-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">Signal File (CSV, JSON or WAV)</label>
+        <input
+          type="file"
+          accept=".csv,.tsv,.txt,.json,.wav,.wave"
+          onChange={handleFile}
+          className="block w-full text-sm text-gray-300 file:mr-4 file:rounded-md file:border-0 file:bg-gray-700 file:px-4 file:py-2 file:text-gray-100 hover:file:bg-gray-600"
+        />
+      </div>
+
+      {source?.kind === 'table' && (
+        <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Value Column</label>
+            <Select value={String(column)} onValueChange={(value) => setColumn(Number(value))}>
+              <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+                <SelectValue placeholder="Value Column" />
+              </SelectTrigger>
+              <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+                {source.columns.map((name, i) => (
+                  <SelectItem key={i} value={String(i)} className="hover:bg-gray-700">{name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Time Column (seconds)</label>
+            <Select value={String(timeColumn)} onValueChange={(value) => setTimeColumn(Number(value))}>
+              <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+                <SelectValue placeholder="Time Column" />
+              </SelectTrigger>
+              <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+                <SelectItem value="-1" className="hover:bg-gray-700">None</SelectItem>
+                {source.columns.map((name, i) => (
+                  <SelectItem key={i} value={String(i)} className="hover:bg-gray-700">{name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+      )}
+
+      {source?.kind === 'channels' && source.channels.length > 1 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Channel</label>
+          <Select value={String(channel)} onValueChange={(value) => setChannel(Number(value))}>
+            <SelectTrigger className="w-full sm:w-[180px] bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Channel" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              {source.channels.map((_, i) => (
+                <SelectItem key={i} value={String(i)} className="hover:bg-gray-700">Channel {i + 1}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+
+      {summary && summary.fileSamplingRate && summary.sampleCount > maxSamples && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Decimation</label>
+          <Select value={String(decimation)} onValueChange={(value) => setDecimation(Number(value))}>
+            <SelectTrigger className="w-full sm:w-[280px] bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Decimation" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              {DECIMATION_FACTORS.map((factor) => (
+                <SelectItem key={factor} value={String(factor)} className="hover:bg-gray-700">
+                  {factor === 1 ? 'None' : '1/' + factor}: {formatFrequency(summary.fileSamplingRate / factor)},{' '}
+                  {Math.floor(summary.sampleCount / factor)} samples
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+
+      {summary && summary.decimatedCount > maxSamples && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Window Start</label>
+          <Slider
+            value={[summary.first * summary.factor]}
+            onValueChange={([value]) => setStart(value)}
+            min={0}
+            max={(summary.decimatedCount - maxSamples) * summary.factor}
+            step={summary.factor}
+            className="w-full"
+          />
+        </div>
+      )}
+
+      {summary && (
+        <p className="text-sm text-gray-400">
+          {source.name}: {summary.sampleCount} samples
+          {summary.fileSamplingRate ? ', ' + summary.fileSamplingRate.toPrecision(6) + ' Hz from the file' : ', sampling rate taken from the slider'}
+          {summary.factor > 1 && ', averaged in groups of ' + summary.factor + ' to ' + summary.samplingRate.toPrecision(6) + ' Hz'}.
+          {summary.dropped > 0 && (
+            <span className="text-yellow-400">
+              {' '}{summary.dropped} {summary.dropped === 1 ? 'entry is' : 'entries are'} missing or not a number and{' '}
+              {summary.dropped === 1 ? 'was' : 'were'} left out, which closes up the gaps they leave in time.
+            </span>
+          )}
+          {summary.decimatedCount > maxSamples && (
+            <span className="text-yellow-400">
+              {' '}That is more than the {maxSamples} samples analysed at once, so only {describeSample(summary.first)} to{' '}
+              {describeSample(summary.first + summary.count)} of {describeSample(summary.decimatedCount)} is shown. Move the
+              window{summary.fileSamplingRate ? ' or decimate' : ''} to see the rest.
+            </span>
+          )}
+        </p>
+      )}
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default SignalImport;
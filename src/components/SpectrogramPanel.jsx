@@ -0,0 +1,255 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Loader } from 'lucide-react';
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import ScalogramImage from "@/components/ScalogramImage";
+import ColorBar from "@/components/ColorBar";
+import { coefficientViews, coefficientView } from "@/dsp/views";
+import { stftWindows } from "@/dsp/stft";
+import { colormapFor } from "@/lib/colormap";
+import { colorScale } from "@/lib/colorScale";
+import { formatFrequency } from "@/lib/format";
+import { renderScalogramImage } from "@/lib/scalogramImage";
+
+const MAX_IMAGE_WIDTH = 2048;
+const MIN_WINDOW_EXPONENT = 3;
+const MAX_WINDOW_EXPONENT = 13;
+// Settings are sent to the worker once they have stopped changing for this
+// long, so that dragging a slider does not queue a transform per step.
+const REQUEST_DELAY_MS = 250;
+
+const createWorker = () => new Worker(new URL('../dsp/cwt.worker.js', import.meta.url), { type: 'module' });
+
+// Splits a row-major buffer into one row per frequency.
+const toRows = (buffer, rows, signalLength) => {
+  const values = new Float64Array(buffer);
+  return Array.from({ length: rows }, (_, i) => values.subarray(i * signalLength, (i + 1) * signalLength));
+};
+
+const formatDuration = (seconds) => (seconds < 1 ? (seconds * 1000).toPrecision(3) + ' ms' : seconds.toPrecision(3) + ' s');
+
+/**
+ * Short-time Fourier transform of the signal, drawn on the frequency rows
+ * of the wavelet transform (`frequencies`, in Hz) so that the two can be
+ * compared row for row. `view` and `cursor` are those of the scalogram,
+ * which zooms and hovers together with this one. `settings` holds the
+ * `windowType`, `windowLength` and `hopSize` in samples; edits are passed
+ * to `onSettingsChange`.
+ */
+const SpectrogramPanel = ({
+  signal,
+  frequencies,
+  samplingRate,
+  settings,
+  onSettingsChange,
+  coefficientViewType,
+  colormap,
+  colorScaling,
+  percentiles,
+  view,
+  onViewChange,
+  cursor,
+  onCursorChange,
+  onDebug
+}) => {
+  const [result, setResult] = useState(null);
+  const [isCalculating, setIsCalculating] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const busyRef = useRef(false);
+  const requestIdRef = useRef(0);
+  const { windowType, windowLength } = settings;
+  const hopSize = Math.min(settings.hopSize, windowLength);
+
+  const attachWorker = useCallback((worker) => {
+    worker.onmessage = (e) => {
+      const { type, requestId, message } = e.data;
+      if (type === 'debug') {
+        onDebug(message);
+        return;
+      }
+      if (type === 'error') {
+        onDebug('Error: ' + message);
+        busyRef.current = false;
+        setError(message);
+        setIsCalculating(false);
+        return;
+      }
+      if (type !== 'stft-result' || requestId !== requestIdRef.current) {
+        return;
+      }
+      const { signalLength } = e.data;
+      const rowFrequencies = new Float64Array(e.data.frequencies);
+      const rows = rowFrequencies.length;
+      setResult({
+        re: toRows(e.data.re, rows, signalLength),
+        im: toRows(e.data.im, rows, signalLength),
+        frequencies: rowFrequencies,
+        frameCount: e.data.frameCount,
+        binCount: e.data.binCount,
+        windowLength: e.data.windowLength,
+        hopSize: e.data.hopSize,
+        signalLength,
+        samplingRate: e.data.samplingRate
+      });
+      busyRef.current = false;
+      setIsCalculating(false);
+    };
+    worker.onerror = (event) => {
+      onDebug('Spectrogram worker error: ' + event.message);
+      busyRef.current = false;
+      setError(event.message);
+      setIsCalculating(false);
+    };
+  }, [onDebug]);
+
+  useEffect(() => {
+    return () => {
+      if (workerRef.current) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    if (signal.length === 0 || frequencies.length === 0) {
+      setResult(null);
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      // Long signals with a small hop take a while; rather than wait for an
+      // outdated transform, a busy worker is replaced.
+      if (workerRef.current && busyRef.current) {
+        onDebug('Cancelling STFT calculation');
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+      if (!workerRef.current) {
+        workerRef.current = createWorker();
+        attachWorker(workerRef.current);
+      }
+      requestIdRef.current++;
+      busyRef.current = true;
+      setError(null);
+      setIsCalculating(true);
+      onDebug('Sending STFT request: ' + JSON.stringify({ signalLength: signal.length, windowType, windowLength, hopSize }));
+      workerRef.current.postMessage({
+        type: 'stft',
+        requestId: requestIdRef.current,
+        signal: Float64Array.from(signal),
+        frequencies: Float64Array.from(frequencies),
+        samplingRate,
+        window: windowType,
+        windowLength,
+        hopSize
+      });
+    }, REQUEST_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [signal, frequencies, samplingRate, windowType, windowLength, hopSize, attachWorker, onDebug]);
+
+  const [lowerPercentile, upperPercentile] = percentiles;
+  const spectrogram = useMemo(() => {
+    if (!result) {
+      return null;
+    }
+    const values = result.re.map((row, i) => coefficientView(row, result.im[i], coefficientViewType));
+    const viewType = coefficientViews[coefficientViewType];
+    const scale = colorScale(values, { view: viewType, scaling: colorScaling, percentiles: [lowerPercentile, upperPercentile] });
+    return {
+      values,
+      scale,
+      image: renderScalogramImage(values, { scale, colormap: colormapFor(viewType, colormap), maxWidth: MAX_IMAGE_WIDTH })
+    };
+  }, [result, coefficientViewType, colormap, colorScaling, lowerPercentile, upperPercentile]);
+
+  const nyquist = samplingRate / 2;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-4 sm:grid-cols-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">STFT Window</label>
+          <Select value={windowType} onValueChange={(type) => onSettingsChange({ ...settings, windowType: type })}>
+            <SelectTrigger className="w-full bg-gray-800 text-gray-100 border-gray-700">
+              <SelectValue placeholder="Window" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 text-gray-100 border-gray-700">
+              {Object.entries(stftWindows).map(([value, { label }]) => (
+                <SelectItem key={value} value={value} className="hover:bg-gray-700">{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Window Length</label>
+          <Slider
+            value={[Math.log2(windowLength)]}
+            onValueChange={([value]) => onSettingsChange({ ...settings, windowLength: 2 ** value, hopSize: Math.min(hopSize, 2 ** value) })}
+            min={MIN_WINDOW_EXPONENT}
+            max={MAX_WINDOW_EXPONENT}
+            step={1}
+            className="w-full"
+          />
+          <span className="text-sm text-gray-400 mt-1 block">
+            {windowLength} samples ({formatDuration(windowLength / samplingRate)}, bins {formatFrequency(samplingRate / windowLength)} apart)
+          </span>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Hop Size</label>
+          <Slider
+            value={[hopSize]}
+            onValueChange={([value]) => onSettingsChange({ ...settings, hopSize: value })}
+            min={1}
+            max={windowLength}
+            step={1}
+            className="w-full"
+          />
+          <span className="text-sm text-gray-400 mt-1 block">
+            {hopSize} samples ({formatDuration(hopSize / samplingRate)}, {Math.round(100 * (1 - hopSize / windowLength))}% overlap)
+          </span>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+      {spectrogram ? (
+        <div className="flex space-x-4">
+          <div className={'flex-1 min-w-0' + (isCalculating ? ' opacity-60' : '')}>
+            <ScalogramImage
+              image={spectrogram.image}
+              alt="STFT Spectrogram"
+              frequencies={result.frequencies}
+              signalLength={result.signalLength}
+              samplingRate={result.samplingRate}
+              values={spectrogram.values}
+              valueLabel={coefficientViews[coefficientViewType].label}
+              view={view}
+              onViewChange={onViewChange}
+              cursor={cursor}
+              onCursorChange={onCursorChange}
+            />
+          </div>
+          <div className="shrink-0">
+            <ColorBar colormap={colormapFor(coefficientViews[coefficientViewType], colormap)} scale={spectrogram.scale} />
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-center justify-center h-[300px] bg-gray-800 rounded-lg">
+          <Loader className="h-6 w-6 animate-spin text-blue-500" />
+          <span className="ml-2">Calculating STFT...</span>
+        </div>
+      )}
+      {result && (
+        <p className="text-sm text-gray-400">
+          {result.frameCount} frames of {result.binCount} bins from 0 to {formatFrequency(nyquist)}, each spread over the
+          scalogram&apos;s rows. Every frequency gets the same {formatDuration(result.windowLength / result.samplingRate)} window,
+          so blocks are {formatFrequency(result.samplingRate / result.windowLength)} tall throughout, whereas the wavelet
+          shortens with rising frequency: sharper in time but coarser in frequency at the top of the scalogram, and the
+          reverse at the bottom.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SpectrogramPanel;
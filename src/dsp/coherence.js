@@ -0,0 +1,216 @@
+import { rfft, irfft, nextFastLength } from './fft.js';
+import { cwt } from './cwt.js';
+import { coneOfInfluence } from './coi.js';
+import { mulberry32, gaussian, ar1Noise } from './random.js';
+
+// Half-width of the scale smoothing window, in octaves. Grinsted et al.
+// (2004) use a 0.6-octave boxcar, the decorrelation length of the Morlet
+// wavelet in scale.
+const SCALE_SMOOTHING_OCTAVES = 0.3;
+const HISTOGRAM_BINS = 1000;
+
+/**
+ * Cross-wavelet transform W_xy = W_x conj(W_y) of two transforms with the
+ * same shape. Its phase is positive where x leads y.
+ *
+ * @param {{ re: ArrayLike<number>, im: ArrayLike<number> }} wx
+ * @param {{ re: ArrayLike<number>, im: ArrayLike<number> }} wy
+ * @returns {{ re: Float64Array, im: Float64Array }}
+ */
+export function crossWavelet(wx, wy) {
+  const re = new Float64Array(wx.re.length);
+  const im = new Float64Array(wx.re.length);
+  for (let i = 0; i < re.length; i++) {
+    re[i] = wx.re[i] * wy.re[i] + wx.im[i] * wy.im[i];
+    im[i] = wx.im[i] * wy.re[i] - wx.re[i] * wy.im[i];
+  }
+  return { re, im };
+}
+
+// Builds the smoothing operator S for one scale grid and signal length, so
+// that its filters are computed once and reused.
+function createSmoother(scales, signalLength) {
+  const maxScale = Math.max(...scales);
+  // Padding of four scales keeps the circular convolution from wrapping,
+  // up to scales so large that the whole row lies in the cone of influence.
+  const paddedLength = nextFastLength(signalLength + Math.ceil(Math.min(4 * maxScale, signalLength)));
+  const bins = Math.floor(paddedLength / 2) + 1;
+
+  const gains = Array.from(scales, (scale) => Float64Array.from({ length: bins }, (_, k) =>
+    Math.exp(-0.5 * (scale * 2 * Math.PI * k / paddedLength) ** 2)
+  ));
+  const filter = (spectrum, gain) => {
+    const re = new Float64Array(bins);
+    const im = new Float64Array(bins);
+    for (let k = 0; k < bins; k++) {
+      re[k] = spectrum.re[k] * gain[k];
+      im[k] = spectrum.im[k] * gain[k];
+    }
+    return irfft(re, im, paddedLength);
+  };
+
+  // Near the edges the Gaussian is renormalised over the samples that exist.
+  const ones = new Float64Array(paddedLength);
+  ones.fill(1, 0, signalLength);
+  const onesSpectrum = rfft(ones);
+  const weights = gains.map((gain) => filter(onesSpectrum, gain).subarray(0, signalLength));
+
+  const neighbours = Array.from(scales, (scale) =>
+    Array.from(scales.keys(), (j) => j).filter((j) => Math.abs(Math.log2(scales[j] / scale)) <= SCALE_SMOOTHING_OCTAVES)
+  );
+
+  const row = new Float64Array(paddedLength);
+  return (values) => {
+    const timeSmoothed = new Float64Array(scales.length * signalLength);
+    for (let i = 0; i < scales.length; i++) {
+      for (let n = 0; n < signalLength; n++) {
+        row[n] = values[i * signalLength + n] / scales[i];
+      }
+      const smoothed = filter(rfft(row), gains[i]);
+      for (let n = 0; n < signalLength; n++) {
+        timeSmoothed[i * signalLength + n] = smoothed[n] / weights[i][n];
+      }
+    }
+
+    const out = new Float64Array(scales.length * signalLength);
+    for (let i = 0; i < scales.length; i++) {
+      for (const j of neighbours[i]) {
+        for (let n = 0; n < signalLength; n++) {
+          out[i * signalLength + n] += timeSmoothed[j * signalLength + n] / neighbours[i].length;
+        }
+      }
+    }
+    return out;
+  };
+}
+
+/**
+ * The smoothing operator S of wavelet coherence (Torrence & Webster, 1999;
+ * Grinsted et al., 2004), applied to `values / scale`: a Gaussian in time
+ * whose width is the scale, then a boxcar 0.6 octaves wide in scale.
+ *
+ * @param {ArrayLike<number>} values - Row-major, one row of `signalLength`
+ *   values per scale.
+ * @param {ArrayLike<number>} scales - In samples.
+ * @param {number} signalLength
+ * @returns {Float64Array}
+ */
+export function smoothScalogram(values, scales, signalLength) {
+  return createSmoother(scales, signalLength)(values);
+}
+
+function coherenceFromTransforms(wx, wy, smooth) {
+  const cross = crossWavelet(wx, wy);
+  const powerX = new Float64Array(wx.re.length);
+  const powerY = new Float64Array(wy.re.length);
+  for (let i = 0; i < powerX.length; i++) {
+    powerX[i] = wx.re[i] * wx.re[i] + wx.im[i] * wx.im[i];
+    powerY[i] = wy.re[i] * wy.re[i] + wy.im[i] * wy.im[i];
+  }
+
+  const smoothRe = smooth(cross.re);
+  const smoothIm = smooth(cross.im);
+  const smoothX = smooth(powerX);
+  const smoothY = smooth(powerY);
+
+  const coherence = new Float64Array(powerX.length);
+  const phase = new Float64Array(powerX.length);
+  for (let i = 0; i < coherence.length; i++) {
+    const denominator = smoothX[i] * smoothY[i];
+    coherence[i] = denominator > 0
+      ? Math.min(1, (smoothRe[i] * smoothRe[i] + smoothIm[i] * smoothIm[i]) / denominator)
+      : 0;
+    phase[i] = Math.atan2(smoothIm[i], smoothRe[i]);
+  }
+  return { cross, coherence, phase };
+}
+
+/**
+ * Wavelet coherence of two equally long signals,
+ *
+ *   R^2 = |S(W_xy / s)|^2 / (S(|W_x|^2 / s) S(|W_y|^2 / s)),
+ *
+ * which lies in [0, 1] and acts as a localised correlation coefficient.
+ * Phase is only meaningful for complex wavelets.
+ *
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {ArrayLike<number>} scales - In samples.
+ * @param {object} [options] - `wavelet` and `parameters`, as for `cwt`.
+ * @returns {{ cross: { re: Float64Array, im: Float64Array }, coherence: Float64Array, phase: Float64Array }}
+ *   The unsmoothed cross-wavelet transform, R^2, and the phase of the
+ *   smoothed cross spectrum in radians (positive where x leads y), all
+ *   row-major with one row per scale.
+ */
+export function waveletCoherence(x, y, scales, options = {}) {
+  if (x.length !== y.length) {
+    throw new Error('waveletCoherence needs signals of equal length');
+  }
+  const { wavelet = 'morlet', parameters } = options;
+  const wx = cwt(x, scales, { wavelet, parameters });
+  const wy = cwt(y, scales, { wavelet, parameters });
+  return coherenceFromTransforms(wx, wy, createSmoother(scales, x.length));
+}
+
+/**
+ * Monte Carlo significance of wavelet coherence (Grinsted et al., 2004):
+ * pairs of independent AR(1) series with the lag-1 autocorrelations of the
+ * real signals are generated and their coherence collected, per scale and
+ * outside the cone of influence, into histograms.
+ *
+ * @param {number} signalLength
+ * @param {ArrayLike<number>} scales - In samples.
+ * @param {object} options
+ * @param {number} options.alphaX - Lag-1 autocorrelation of x.
+ * @param {number} options.alphaY - Lag-1 autocorrelation of y.
+ * @param {string|object} [options.wavelet='morlet']
+ * @param {object} [options.parameters]
+ * @param {number} [options.runs=100]
+ * @param {number} [options.level=0.95]
+ * @param {number} [options.seed=1]
+ * @param {(run: number) => void} [options.onRun] - Called after each run.
+ * @returns {Float64Array} For each scale, the coherence that independent
+ *   noise exceeds with probability 1 - level.
+ */
+export function coherenceSignificance(signalLength, scales, options) {
+  const { alphaX, alphaY, wavelet = 'morlet', parameters, runs = 100, level = 0.95, seed = 1, onRun = () => {} } = options;
+  const normal = gaussian(mulberry32(seed));
+  const smooth = createSmoother(scales, signalLength);
+  const coi = coneOfInfluence(signalLength, wavelet, parameters);
+  const histograms = Array.from(scales, () => new Float64Array(HISTOGRAM_BINS));
+  const fallback = Array.from(scales, () => new Float64Array(HISTOGRAM_BINS));
+
+  for (let run = 0; run < runs; run++) {
+    const x = ar1Noise(signalLength, alphaX, normal);
+    const y = ar1Noise(signalLength, alphaY, normal);
+    const { coherence } = coherenceFromTransforms(
+      cwt(x, scales, { wavelet, parameters }),
+      cwt(y, scales, { wavelet, parameters }),
+      smooth
+    );
+    for (let i = 0; i < scales.length; i++) {
+      for (let n = 0; n < signalLength; n++) {
+        const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor(coherence[i * signalLength + n] * HISTOGRAM_BINS));
+        // Scales that lie entirely inside the cone fall back to every column.
+        fallback[i][bin]++;
+        if (scales[i] <= coi[n]) {
+          histograms[i][bin]++;
+        }
+      }
+    }
+    onRun(run + 1);
+  }
+
+  return Float64Array.from(scales, (_, i) => {
+    const counts = histograms[i].some((count) => count > 0) ? histograms[i] : fallback[i];
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    let cumulative = 0;
+    for (let bin = 0; bin < HISTOGRAM_BINS; bin++) {
+      cumulative += counts[bin];
+      if (cumulative >= level * total) {
+        return (bin + 1) / HISTOGRAM_BINS;
+      }
+    }
+    return 1;
+  });
+}
@@ -0,0 +1,43 @@
+import { getWavelet, resolveParameters } from './wavelets.js';
+
+/**
+ * Cone of influence of a transform of `signalLength` samples (Torrence &
+ * Compo, 1998). `cwt` zero-pads the signal, so a coefficient whose wavelet
+ * reaches past either end is biased towards zero. Column n is `min(n,
+ * signalLength - 1 - n)` samples from the nearest edge, and scales larger
+ * than that distance over the wavelet's e-folding factor fall inside the
+ * cone.
+ *
+ * @param {number} signalLength
+ * @param {string|object} wavelet
+ * @param {object} [parameters]
+ * @returns {Float64Array} For each column, the largest scale (in samples)
+ *   unaffected by the edges. It is 0 at the first and last samples.
+ */
+export function coneOfInfluence(signalLength, wavelet, parameters) {
+  const definition = getWavelet(wavelet);
+  const efolding = definition.efoldingFactor(resolveParameters(definition, parameters));
+  const coi = new Float64Array(signalLength);
+  for (let n = 0; n < signalLength; n++) {
+    coi[n] = Math.min(n, signalLength - 1 - n) / efolding;
+  }
+  return coi;
+}
+
+/**
+ * Flags the coefficients inside a cone of influence.
+ *
+ * @param {ArrayLike<number>} scales
+ * @param {ArrayLike<number>} coi - As returned by `coneOfInfluence`.
+ * @returns {Uint8Array} Row-major, one row of `coi.length` flags per scale;
+ *   1 marks a coefficient affected by the edges.
+ */
+export function coneOfInfluenceMask(scales, coi) {
+  const mask = new Uint8Array(scales.length * coi.length);
+  for (let i = 0; i < scales.length; i++) {
+    for (let n = 0; n < coi.length; n++) {
+      mask[i * coi.length + n] = scales[i] > coi[n] ? 1 : 0;
+    }
+  }
+  return mask;
+}
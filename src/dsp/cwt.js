@@ -0,0 +1,140 @@
+import { ifft, rfft, irfft, nextFastLength } from './fft.js';
+import { getWavelet, resolveParameters } from './wavelets.js';
+
+/**
+ * Continuous wavelet transform of a real signal, computed in the frequency
+ * domain following Torrence & Compo (1998):
+ *
+ *   W(s, n) = IFFT[ X(w_k) conj(psi^(s w_k)) sqrt(s) ]
+ *
+ * The signal is zero-padded to a fast FFT length of at least twice its size
+ * and transformed once. Each scale then costs one pointwise multiply with the
+ * wavelet's analytic Fourier transform and one inverse FFT, so the wavelet is
+ * neither aliased at small scales nor truncated at large ones. Real wavelets
+ * use half-spectrum transforms; complex wavelets keep the full spectrum so
+ * phase is preserved.
+ *
+ * Coefficients are energy-normalised, so white noise of variance sigma^2 has
+ * an expected power |W|^2 of sigma^2 at every scale.
+ *
+ * @param {ArrayLike<number>} signal - Input samples.
+ * @param {ArrayLike<number>} scales - Wavelet scales, in samples.
+ * @param {object} [options]
+ * @param {string|object} [options.wavelet='morlet'] - A name from
+ *   `wavelets` or a wavelet definition.
+ * @param {object} [options.parameters] - Wavelet parameters; missing ones
+ *   take the wavelet's defaults.
+ * @param {boolean} [options.derivative=false] - Also return the time
+ *   derivative of the coefficients, per sample, as `dre` and `dim`. It is
+ *   taken in the frequency domain, at the cost of a second inverse FFT per
+ *   scale.
+ * @param {(message: string) => void} [options.log] - Receives progress
+ *   messages.
+ * @returns {{ re: Float64Array, im: Float64Array, dre?: Float64Array, dim?: Float64Array }}
+ *   Complex coefficients, row-major with one row of `signal.length` values
+ *   per scale. `im` is all zeros for real wavelets.
+ */
+export function cwt(signal, scales, options = {}) {
+  const { wavelet = 'morlet', parameters, derivative = false, log = () => {} } = options;
+  const definition = getWavelet(wavelet);
+  const resolvedParameters = resolveParameters(definition, parameters);
+
+  log('Starting CWT calculation');
+  const N = signal.length;
+  log('Signal length: ' + N);
+  log('Number of scales: ' + scales.length);
+
+  const paddedLength = nextFastLength(N * 2);
+  log('Padded length: ' + paddedLength);
+
+  const paddedSignal = new Float64Array(paddedLength);
+  paddedSignal.set(signal);
+
+  log('Calculating signal FFT');
+  const signalSpectrum = rfft(paddedSignal);
+  const angularFrequencies = fftAngularFrequencies(paddedLength);
+
+  const re = new Float64Array(scales.length * N);
+  const im = new Float64Array(scales.length * N);
+  const dre = derivative ? new Float64Array(scales.length * N) : null;
+  const dim = derivative ? new Float64Array(scales.length * N) : null;
+
+  for (let i = 0; i < scales.length; i++) {
+    log('Processing scale ' + (i + 1) + ' of ' + scales.length);
+    const daughter = (k) => {
+      const [wr, wi] = definition.spectrum(scales[i] * angularFrequencies[k], resolvedParameters);
+      const norm = Math.sqrt(scales[i]);
+      return [wr * norm, wi * norm];
+    };
+    const correlate = definition.complex ? correlateComplex : correlateReal;
+    const row = correlate(signalSpectrum, daughter, paddedLength);
+    re.set(row.re.subarray(0, N), i * N);
+    im.set(row.im.subarray(0, N), i * N);
+
+    if (derivative) {
+      // d/dn exp(i w n) = i w exp(i w n).
+      const differentiated = (k) => {
+        const [wr, wi] = daughter(k);
+        return [wi * angularFrequencies[k], -wr * angularFrequencies[k]];
+      };
+      const rate = correlate(signalSpectrum, differentiated, paddedLength);
+      dre.set(rate.re.subarray(0, N), i * N);
+      dim.set(rate.im.subarray(0, N), i * N);
+    }
+  }
+
+  log('CWT calculation complete');
+  return derivative ? { re, im, dre, dim } : { re, im };
+}
+
+/**
+ * Angular frequency, in radians per sample, of every bin of a length-n FFT.
+ * Bins above n/2 hold negative frequencies.
+ *
+ * @param {number} n
+ * @returns {Float64Array}
+ */
+export function fftAngularFrequencies(n) {
+  const omega = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    omega[k] = 2 * Math.PI * (k <= n / 2 ? k : k - n) / n;
+  }
+  return omega;
+}
+
+// Multiplies X(w) by conj(psi^(w)) and inverts. A real wavelet has a
+// Hermitian spectrum, so the product is too and only half of it is needed.
+function correlateReal(signalSpectrum, daughter, paddedLength) {
+  const bins = signalSpectrum.re.length;
+  const productRe = new Float64Array(bins);
+  const productIm = new Float64Array(bins);
+
+  for (let k = 0; k < bins; k++) {
+    const sr = signalSpectrum.re[k];
+    const si = signalSpectrum.im[k];
+    const [wr, wi] = daughter(k);
+    productRe[k] = sr * wr + si * wi;
+    productIm[k] = si * wr - sr * wi;
+  }
+
+  return { re: irfft(productRe, productIm, paddedLength), im: new Float64Array(paddedLength) };
+}
+
+function correlateComplex(signalSpectrum, daughter, paddedLength) {
+  const bins = signalSpectrum.re.length;
+  const productRe = new Float64Array(paddedLength);
+  const productIm = new Float64Array(paddedLength);
+
+  for (let k = 0; k < paddedLength; k++) {
+    // The signal is real, so its upper half spectrum is the mirrored conjugate.
+    const mirrored = k >= bins;
+    const sr = mirrored ? signalSpectrum.re[paddedLength - k] : signalSpectrum.re[k];
+    const si = mirrored ? -signalSpectrum.im[paddedLength - k] : signalSpectrum.im[k];
+    const [wr, wi] = daughter(k);
+    productRe[k] = sr * wr + si * wi;
+    productIm[k] = si * wr - sr * wi;
+  }
+
+  ifft(productRe, productIm);
+  return { re: productRe, im: productIm };
+}
@@ -0,0 +1,270 @@
+import { cwt } from './cwt.js';
+import { scaleToFrequency } from './scales.js';
+import { coneOfInfluence, coneOfInfluenceMask } from './coi.js';
+import { getWavelet } from './wavelets.js';
+import { createStreamingCwt } from './stream.js';
+import { waveletCoherence, coherenceSignificance } from './coherence.js';
+import { noiseBackground } from './significance.js';
+import { synchrosqueeze, analyticMode } from './synchrosqueeze.js';
+import { extractRidges, ridgeFrequencies, cwtEnvelope, cwtRidgeAmplitude, cwtRidgeFrequency } from './ridges.js';
+import { stft, stftOnGrid } from './stft.js';
+
+function debugLog(message) {
+  self.postMessage({ type: 'debug', message: 'Worker: ' + message });
+}
+
+debugLog('Worker initialized');
+
+// Live mode: samples arrive on `streamPort` straight from the audio thread
+// and are transformed block by block.
+// `streamId` tags blocks so that ones queued before a reconfiguration can be
+// told apart.
+let stream = null;
+let streamPort = null;
+let streamId = 0;
+// Bound on the context either side of a live block, which keeps the display
+// within about two seconds of the input at the lowest frequencies.
+const MAX_STREAM_MARGIN_SECONDS = 1;
+
+// `requestId`, when given, is passed back with the result so that callers
+// with several transforms in flight can match them up.
+function transform({ signal, scales, samplingRate, waveletType, waveletParameters, synchrosqueezed = false, requestId }) {
+  debugLog('Message contents: ' + JSON.stringify({ signalLength: signal.length, scalesLength: scales.length, samplingRate, waveletType, waveletParameters, synchrosqueezed }));
+
+  const options = { wavelet: waveletType, parameters: waveletParameters, log: debugLog };
+  // The synchrosqueezed transform is sent alongside the CWT it came from.
+  const squeezed = synchrosqueezed ? synchrosqueeze(signal, scales, options) : null;
+  const result = squeezed ? squeezed.cwt : cwt(signal, scales, options);
+
+  const frequencies = scaleToFrequency(scales, waveletType, waveletParameters, samplingRate);
+
+  const coi = coneOfInfluence(signal.length, waveletType, waveletParameters);
+  const coiMask = coneOfInfluenceMask(scales, coi);
+  const coiFrequencies = scaleToFrequency(coi, waveletType, waveletParameters, samplingRate);
+
+  debugLog('CWT calculation complete. Result size: ' + result.re.length);
+  self.postMessage(
+    {
+      type: 'result',
+      requestId,
+      re: result.re.buffer,
+      im: result.im.buffer,
+      scales: scales.buffer,
+      waveletType,
+      waveletParameters,
+      frequencies: frequencies.buffer,
+      coi: coiFrequencies.buffer,
+      coiMask: coiMask.buffer,
+      complex: getWavelet(waveletType).complex,
+      synchrosqueezed: squeezed && {
+        re: squeezed.re.buffer,
+        im: squeezed.im.buffer,
+        normalization: squeezed.normalization
+      },
+      signalLength: signal.length,
+      samplingRate
+    },
+    [result.re.buffer, result.im.buffer, scales.buffer, frequencies.buffer, coiFrequencies.buffer, coiMask.buffer]
+      .concat(squeezed ? [squeezed.re.buffer, squeezed.im.buffer] : [])
+  );
+}
+
+// Ridges of a transform already sent back with `transform`: of the CWT in
+// `re` and `im`, or of its synchrosqueezed plane when `synchrosqueezed` is
+// given. On the synchrosqueezed plane a ridge's amplitude is that of the
+// mode reconstructed a couple of rows around it and its frequency that of
+// its rows; on the CWT both come from the coefficients along the ridge,
+// whose rows may not match the frequency of the component for every
+// wavelet.
+function ridges({ re, im, synchrosqueezed: squeezed, scales, frequencies, signalLength, samplingRate, waveletType, waveletParameters, count, penalty, requestId }) {
+  debugLog('Ridge request: ' + JSON.stringify({ signalLength, rows: scales.length, count, penalty, synchrosqueezed: Boolean(squeezed) }));
+  const coefficients = { re, im };
+  const magnitude = squeezed
+    ? squeezed.re.map((value, i) => Math.hypot(value, squeezed.im[i]))
+    : cwtEnvelope(coefficients, signalLength, waveletType, waveletParameters);
+  const result = extractRidges(magnitude, signalLength, { count, penalty }).map(({ rows, position }) => {
+    if (squeezed) {
+      const mode = analyticMode(squeezed, signalLength, { ridge: rows, halfWidth: 2 });
+      return {
+        position,
+        frequency: ridgeFrequencies(frequencies, position),
+        amplitude: mode.re.map((value, n) => Math.hypot(value, mode.im[n]))
+      };
+    }
+    return {
+      position,
+      frequency: cwtRidgeFrequency(coefficients, rows, waveletType, waveletParameters).map((frequency) => frequency * samplingRate),
+      amplitude: cwtRidgeAmplitude(coefficients, scales, rows, waveletType, waveletParameters)
+    };
+  });
+  self.postMessage(
+    { type: 'ridges-result', requestId, ridges: result },
+    result.flatMap(({ position, frequency, amplitude }) => [position.buffer, frequency.buffer, amplitude.buffer])
+  );
+}
+
+// Posts the cross-wavelet transform and coherence at once, then the
+// per-scale Monte Carlo threshold, which takes much longer.
+function coherence({ x, y, scales, samplingRate, waveletType, waveletParameters, monteCarloRuns, seed, requestId }) {
+  debugLog('Coherence request: ' + JSON.stringify({ signalLength: x.length, scalesLength: scales.length, monteCarloRuns }));
+  const options = { wavelet: waveletType, parameters: waveletParameters };
+  const result = waveletCoherence(x, y, scales, options);
+
+  const frequencies = scaleToFrequency(scales, waveletType, waveletParameters, samplingRate);
+  const coi = scaleToFrequency(coneOfInfluence(x.length, waveletType, waveletParameters), waveletType, waveletParameters, samplingRate);
+  self.postMessage(
+    {
+      type: 'coherence-result',
+      requestId,
+      crossRe: result.cross.re.buffer,
+      crossIm: result.cross.im.buffer,
+      coherence: result.coherence.buffer,
+      phase: result.phase.buffer,
+      frequencies: frequencies.buffer,
+      coi: coi.buffer,
+      complex: getWavelet(waveletType).complex,
+      signalLength: x.length,
+      samplingRate,
+      monteCarloPending: monteCarloRuns > 0
+    },
+    [result.cross.re.buffer, result.cross.im.buffer, result.coherence.buffer, result.phase.buffer, frequencies.buffer, coi.buffer]
+  );
+
+  if (!(monteCarloRuns > 0)) {
+    return;
+  }
+  const threshold = coherenceSignificance(x.length, scales, {
+    ...options,
+    alphaX: noiseBackground(x, 'red').alpha,
+    alphaY: noiseBackground(y, 'red').alpha,
+    runs: monteCarloRuns,
+    seed,
+    onRun: (run) => {
+      if (run % 10 === 0) {
+        debugLog('Coherence Monte Carlo run ' + run + ' of ' + monteCarloRuns);
+      }
+    }
+  });
+  self.postMessage({ type: 'coherence-significance', requestId, threshold: threshold.buffer }, [threshold.buffer]);
+}
+
+// Posts a short-time Fourier transform spread over the rows of a wavelet
+// transform, given by their `frequencies` in Hz, so the two can be drawn on
+// the same axes.
+function spectrogram({ signal, frequencies, samplingRate, window, windowLength, hopSize, requestId }) {
+  debugLog('STFT request: ' + JSON.stringify({ signalLength: signal.length, rows: frequencies.length, window, windowLength, hopSize }));
+  const transform = stft(signal, { window, windowLength, hopSize });
+  const grid = stftOnGrid(transform, frequencies.map((frequency) => frequency / samplingRate), signal.length);
+  self.postMessage(
+    {
+      type: 'stft-result',
+      requestId,
+      re: grid.re.buffer,
+      im: grid.im.buffer,
+      frequencies: frequencies.buffer,
+      frameCount: transform.frameCount,
+      binCount: transform.binCount,
+      windowLength,
+      hopSize,
+      signalLength: signal.length,
+      samplingRate
+    },
+    [grid.re.buffer, grid.im.buffer, frequencies.buffer]
+  );
+}
+
+function configureStream({ scales, samplingRate, waveletType, waveletParameters }) {
+  stream = createStreamingCwt(scales, {
+    wavelet: waveletType,
+    parameters: waveletParameters,
+    maxMargin: Math.ceil(MAX_STREAM_MARGIN_SECONDS * samplingRate)
+  });
+  streamId++;
+  const frequencies = scaleToFrequency(scales, waveletType, waveletParameters, samplingRate);
+  const [fullContextFrequency] = scaleToFrequency([stream.fullContextScale], waveletType, waveletParameters, samplingRate);
+  debugLog('Stream configured: ' + JSON.stringify({ scalesLength: scales.length, samplingRate, hopSize: stream.hopSize, margin: stream.margin }));
+  self.postMessage(
+    {
+      type: 'stream-ready',
+      streamId,
+      frequencies: frequencies.buffer,
+      samplingRate,
+      hopSize: stream.hopSize,
+      margin: stream.margin,
+      fullContextFrequency
+    },
+    [frequencies.buffer]
+  );
+}
+
+function pushStreamSamples(samples) {
+  if (!stream) {
+    return;
+  }
+  try {
+    for (const block of stream.push(samples)) {
+      self.postMessage(
+        {
+          type: 'stream-block',
+          streamId,
+          start: block.start,
+          samples: block.samples.buffer,
+          re: block.re.buffer,
+          im: block.im.buffer
+        },
+        [block.samples.buffer, block.re.buffer, block.im.buffer]
+      );
+    }
+  } catch (error) {
+    debugLog('Error in stream: ' + error.message);
+    self.postMessage({ type: 'error', message: error.message });
+  }
+}
+
+function stopStream() {
+  if (streamPort) {
+    streamPort.close();
+  }
+  streamPort = null;
+  stream = null;
+  debugLog('Stream stopped');
+}
+
+self.onmessage = function(e) {
+  debugLog('Worker received ' + e.data.type + ' message');
+
+  try {
+    switch (e.data.type) {
+      case 'transform':
+        transform(e.data);
+        break;
+      case 'coherence':
+        coherence(e.data);
+        break;
+      case 'stft':
+        spectrogram(e.data);
+        break;
+      case 'ridges':
+        ridges(e.data);
+        break;
+      case 'stream-start':
+        stopStream();
+        streamPort = e.data.port;
+        streamPort.onmessage = (event) => pushStreamSamples(event.data);
+        break;
+      case 'stream-configure':
+        configureStream(e.data);
+        break;
+      case 'stream-stop':
+        stopStream();
+        break;
+      default:
+        throw new Error('Unknown message type: ' + e.data.type);
+    }
+  } catch (error) {
+    debugLog('Error in worker: ' + error.message);
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
+
+debugLog('Worker setup complete');
@@ -0,0 +1,286 @@
+import { scalingFilter, waveletFilter } from './dwtFilters.js';
+
+/**
+ * Ways of extending a signal beyond its ends before filtering. Samples
+ * are taken from `value(x, i)` for any integer index i. `periodization`
+ * has no extension of its own: the signal is treated as one period of a
+ * periodic one, which gives exactly half as many coefficients per level.
+ */
+export const extensionModes = {
+  symmetric: {
+    label: 'Symmetric',
+    value: (x, i) => {
+      const N = x.length;
+      const j = ((i % (2 * N)) + 2 * N) % (2 * N);
+      return x[j < N ? j : 2 * N - 1 - j];
+    },
+  },
+  reflect: {
+    label: 'Reflect',
+    value: (x, i) => {
+      const N = x.length;
+      if (N === 1) {
+        return x[0];
+      }
+      const period = 2 * N - 2;
+      const j = ((i % period) + period) % period;
+      return x[j < N ? j : period - j];
+    },
+  },
+  zero: {
+    label: 'Zero Padding',
+    value: (x, i) => (i >= 0 && i < x.length ? x[i] : 0),
+  },
+  constant: {
+    label: 'Constant',
+    value: (x, i) => x[Math.min(x.length - 1, Math.max(0, i))],
+  },
+  smooth: {
+    label: 'Smooth',
+    value: (x, i) => {
+      const N = x.length;
+      if (i >= 0 && i < N) {
+        return x[i];
+      }
+      if (N === 1) {
+        return x[0];
+      }
+      return i < 0 ? x[0] + i * (x[1] - x[0]) : x[N - 1] + (i - N + 1) * (x[N - 1] - x[N - 2]);
+    },
+  },
+  periodic: {
+    label: 'Periodic',
+    value: (x, i) => x[((i % x.length) + x.length) % x.length],
+  },
+  antisymmetric: {
+    label: 'Antisymmetric',
+    value: (x, i) => {
+      const N = x.length;
+      const j = ((i % (2 * N)) + 2 * N) % (2 * N);
+      return j < N ? x[j] : -x[2 * N - 1 - j];
+    },
+  },
+  periodization: {
+    label: 'Periodization',
+    value: null,
+  },
+};
+
+// The filters reversed, so that both transforms index them as a convolution.
+const decompositionFilters = (wavelet) => [scalingFilter(wavelet).slice().reverse(), waveletFilter(wavelet).slice().reverse()];
+
+const checkMode = (mode) => {
+  if (!extensionModes[mode]) {
+    throw new Error('Unknown extension mode: ' + mode);
+  }
+};
+
+/**
+ * The deepest level at which the filters still span no more than the
+ * coefficients they are applied to, as PyWavelets' `dwt_max_level`.
+ *
+ * @param {number} signalLength
+ * @param {string} wavelet - Filter bank name, such as `db4`.
+ * @returns {number}
+ */
+export function dwtMaxLevel(signalLength, wavelet) {
+  const filterLength = scalingFilter(wavelet).length;
+  if (signalLength < filterLength - 1) {
+    return 0;
+  }
+  return Math.max(0, Math.floor(Math.log2(signalLength / (filterLength - 1))));
+}
+
+/**
+ * One level of the discrete wavelet transform: the signal correlated with
+ * the scaling and wavelet filters and kept at every other sample,
+ *
+ *   a[k] = sum_n h[n] x(2k + 2 - L + n),   d[k] = sum_n g[n] x(2k + 2 - L + n),
+ *
+ * with x extended by `mode`. Each output has floor((N + L - 1) / 2)
+ * coefficients for a signal of N samples and filters of L taps, or
+ * ceil(N / 2) with `periodization`, which repeats the last sample of an
+ * odd-length signal and centres the filters by starting from index
+ * 2k + 1 - L / 2 instead. The filters are ordered and indexed as in
+ * PyWavelets, whose `dec_lo` and `dec_hi` are h and g reversed, so for
+ * every family the results agree with `pywt.dwt`.
+ *
+ * @param {ArrayLike<number>} signal
+ * @param {object} [options]
+ * @param {string} [options.wavelet='db4']
+ * @param {keyof extensionModes} [options.mode='symmetric']
+ * @returns {{ approximation: Float64Array, detail: Float64Array }}
+ */
+export function dwt(signal, { wavelet = 'db4', mode = 'symmetric' } = {}) {
+  checkMode(mode);
+  if (signal.length === 0) {
+    throw new Error('DWT needs at least one sample');
+  }
+  const [h, g] = decompositionFilters(wavelet);
+  const L = h.length;
+
+  if (mode === 'periodization') {
+    const N = signal.length + (signal.length % 2);
+    const x = Float64Array.from({ length: N }, (_, i) => signal[Math.min(i, signal.length - 1)]);
+    const K = N / 2;
+    const approximation = new Float64Array(K);
+    const detail = new Float64Array(K);
+    for (let k = 0; k < K; k++) {
+      let a = 0;
+      let d = 0;
+      for (let n = 0; n < L; n++) {
+        const value = x[(((2 * k + L / 2 - n) % N) + N) % N];
+        a += h[n] * value;
+        d += g[n] * value;
+      }
+      approximation[k] = a;
+      detail[k] = d;
+    }
+    return { approximation, detail };
+  }
+
+  // The signal with L - 1 extended samples on either side.
+  const { value } = extensionModes[mode];
+  const x = Float64Array.from({ length: signal.length + 2 * (L - 1) }, (_, i) => value(signal, i - (L - 1)));
+  const K = Math.floor((signal.length + L - 1) / 2);
+  const approximation = new Float64Array(K);
+  const detail = new Float64Array(K);
+  for (let k = 0; k < K; k++) {
+    let a = 0;
+    let d = 0;
+    for (let n = 0; n < L; n++) {
+      const sample = x[2 * k + 1 - n + L - 1];
+      a += h[n] * sample;
+      d += g[n] * sample;
+    }
+    approximation[k] = a;
+    detail[k] = d;
+  }
+  return { approximation, detail };
+}
+
+/**
+ * Inverse of `dwt`: the coefficients upsampled and filtered by the
+ * scaling and wavelet filters,
+ *
+ *   x(m) = sum_k a[k] h[m + L - 2 - 2k] + d[k] g[m + L - 2 - 2k].
+ *
+ * Since the filters are orthogonal this returns the signal given to `dwt`
+ * for any extension mode.
+ *
+ * @param {ArrayLike<number>} approximation
+ * @param {ArrayLike<number>} detail - As many coefficients as `approximation`.
+ * @param {object} [options]
+ * @param {string} [options.wavelet='db4']
+ * @param {keyof extensionModes} [options.mode='symmetric']
+ * @param {number} [options.length] - Samples to return; by default as many
+ *   as the coefficients determine, which for `periodization` may be one
+ *   more than an odd-length signal had.
+ * @returns {Float64Array}
+ */
+export function idwt(approximation, detail, { wavelet = 'db4', mode = 'symmetric', length } = {}) {
+  checkMode(mode);
+  if (approximation.length !== detail.length) {
+    throw new Error('Approximation and detail coefficients differ in length');
+  }
+  const [h, g] = decompositionFilters(wavelet);
+  const L = h.length;
+  const K = approximation.length;
+  const fullLength = mode === 'periodization' ? 2 * K : Math.max(0, 2 * K - L + 2);
+  const N = length ?? fullLength;
+  if (!(Number.isInteger(N) && N >= 0 && N <= fullLength)) {
+    throw new Error('IDWT cannot give ' + length + ' samples from ' + K + ' coefficients');
+  }
+  const signal = new Float64Array(N);
+
+  if (mode === 'periodization') {
+    const period = 2 * K;
+    const full = new Float64Array(period);
+    for (let k = 0; k < K; k++) {
+      for (let n = 0; n < L; n++) {
+        const m = (((2 * k + L / 2 - n) % period) + period) % period;
+        full[m] += approximation[k] * h[n] + detail[k] * g[n];
+      }
+    }
+    signal.set(full.subarray(0, N));
+    return signal;
+  }
+
+  for (let k = 0; k < K; k++) {
+    for (let n = 0; n < L; n++) {
+      const m = 2 * k + 1 - n;
+      if (m >= 0 && m < N) {
+        signal[m] += approximation[k] * h[n] + detail[k] * g[n];
+      }
+    }
+  }
+  return signal;
+}
+
+/**
+ * Multilevel decomposition: `dwt` applied again to each approximation.
+ *
+ * @param {ArrayLike<number>} signal
+ * @param {object} [options]
+ * @param {string} [options.wavelet='db4']
+ * @param {keyof extensionModes} [options.mode='symmetric']
+ * @param {number} [options.level] - Levels to decompose into; by default
+ *   `dwtMaxLevel`.
+ * @returns {{ approximation: Float64Array, details: Float64Array[],
+ *   lengths: number[] }} The coarsest approximation, the details from
+ *   level 1 (the finest) down, and the length of the input to each level,
+ *   which `waverec` needs to undo the padding.
+ */
+export function wavedec(signal, { wavelet = 'db4', mode = 'symmetric', level = dwtMaxLevel(signal.length, wavelet) } = {}) {
+  if (!(Number.isInteger(level) && level >= 0)) {
+    throw new Error('DWT level must be a non-negative integer');
+  }
+  let approximation = Float64Array.from(signal);
+  const details = [];
+  const lengths = [];
+  for (let j = 0; j < level; j++) {
+    lengths.push(approximation.length);
+    const coefficients = dwt(approximation, { wavelet, mode });
+    approximation = coefficients.approximation;
+    details.push(coefficients.detail);
+  }
+  return { approximation, details, lengths };
+}
+
+/**
+ * Rebuilds a signal from its `wavedec` decomposition.
+ *
+ * @param {ReturnType<typeof wavedec>} decomposition
+ * @param {object} [options]
+ * @param {string} [options.wavelet='db4']
+ * @param {keyof extensionModes} [options.mode='symmetric']
+ * @returns {Float64Array}
+ */
+export function waverec({ approximation, details, lengths }, { wavelet = 'db4', mode = 'symmetric' } = {}) {
+  let signal = Float64Array.from(approximation);
+  for (let j = details.length - 1; j >= 0; j--) {
+    signal = idwt(signal, details[j], { wavelet, mode, length: lengths[j] });
+  }
+  return signal;
+}
+
+/**
+ * Where the coefficients of a level sit in the signal, in samples: each is
+ * placed at the centre of the filter taps it was computed from, followed
+ * back through the coarser levels, so that coefficient k of level j lies
+ * at 2^j k + (2^j - 1) c, where c = (3 - L) / 2, or 1 / 2 with
+ * `periodization`.
+ *
+ * @param {number} level - 1 for the first details.
+ * @param {number} count - Coefficients at that level.
+ * @param {object} [options]
+ * @param {string} [options.wavelet='db4']
+ * @param {keyof extensionModes} [options.mode='symmetric']
+ * @returns {Float64Array}
+ */
+export function dwtCoefficientPositions(level, count, { wavelet = 'db4', mode = 'symmetric' } = {}) {
+  const L = scalingFilter(wavelet).length;
+  const step = 2 ** level;
+  const offset = (step - 1) * (mode === 'periodization' ? 1 / 2 : (3 - L) / 2);
+  return Float64Array.from({ length: count }, (_, k) => step * k + offset);
+}
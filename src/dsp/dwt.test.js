@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dwtWavelets, scalingFilter, waveletFilter } from './dwtFilters.js';
+import { extensionModes, dwtMaxLevel, dwt, idwt, wavedec, waverec } from './dwt.js';
+import { mulberry32 } from './random.js';
+
+const randomSignal = (seed, length) => {
+  const random = mulberry32(seed);
+  return Float64Array.from({ length }, () => 2 * random() - 1);
+};
+
+const maxError = (a, b) => a.reduce((worst, value, i) => Math.max(worst, Math.abs(value - b[i])), 0);
+
+test('filter banks are orthonormal', () => {
+  for (const wavelet of Object.keys(dwtWavelets)) {
+    const h = scalingFilter(wavelet);
+    const g = waveletFilter(wavelet);
+    assert.ok(Math.abs(h.reduce((sum, value) => sum + value, 0) - Math.SQRT2) < 1e-10, wavelet + ': sum of h');
+    for (let shift = 0; shift < h.length; shift += 2) {
+      let hh = 0;
+      let gg = 0;
+      let hg = 0;
+      for (let n = 0; n + shift < h.length; n++) {
+        hh += h[n] * h[n + shift];
+        gg += g[n] * g[n + shift];
+        hg += h[n] * g[n + shift] + g[n] * h[n + shift];
+      }
+      assert.ok(Math.abs(hh - (shift === 0 ? 1 : 0)) < 1e-10, wavelet + ': h at shift ' + shift);
+      assert.ok(Math.abs(gg - (shift === 0 ? 1 : 0)) < 1e-10, wavelet + ': g at shift ' + shift);
+      assert.ok(Math.abs(hg) < 1e-10, wavelet + ': h against g at shift ' + shift);
+    }
+  }
+});
+
+test('idwt undoes dwt for every filter bank and extension mode', () => {
+  for (const wavelet of Object.keys(dwtWavelets)) {
+    for (const mode of Object.keys(extensionModes)) {
+      for (const length of [1, 7, 64, 101]) {
+        const signal = randomSignal(length, length);
+        const { approximation, detail } = dwt(signal, { wavelet, mode });
+        const rebuilt = idwt(approximation, detail, { wavelet, mode, length });
+        assert.ok(maxError(rebuilt, signal) < 1e-10, wavelet + ', ' + mode + ', ' + length + ' samples');
+      }
+    }
+  }
+});
+
+test('waverec undoes wavedec at the deepest level', () => {
+  for (const wavelet of Object.keys(dwtWavelets)) {
+    for (const mode of Object.keys(extensionModes)) {
+      const signal = randomSignal(7, 1000);
+      const level = dwtMaxLevel(signal.length, wavelet);
+      const decomposition = wavedec(signal, { wavelet, mode, level });
+      assert.equal(decomposition.details.length, level);
+      assert.ok(maxError(waverec(decomposition, { wavelet, mode }), signal) < 1e-9, wavelet + ', ' + mode);
+    }
+  }
+});
+
+test('periodization keeps the energy of the signal', () => {
+  const signal = randomSignal(11, 256);
+  const energy = (values) => values.reduce((sum, value) => sum + value * value, 0);
+  for (const wavelet of Object.keys(dwtWavelets)) {
+    const { approximation, details } = wavedec(signal, { wavelet, mode: 'periodization', level: 3 });
+    const total = details.reduce((sum, detail) => sum + energy(detail), energy(approximation));
+    assert.ok(Math.abs(total - energy(signal)) < 1e-9 * energy(signal), wavelet);
+  }
+});
@@ -0,0 +1,267 @@
+/**
+ * Orthogonal filter banks for the discrete wavelet transform. Daubechies
+ * and symlet filters are derived on first use by spectral factorisation;
+ * coiflets, which have no such construction, are tabulated.
+ *
+ * Every bank is given by its scaling (lowpass) filter h, normalised so
+ * that sum(h) = sqrt(2) and h is orthonormal to its even shifts, and
+ * ordered as PyWavelets' `rec_lo`; the wavelet (highpass) filter is
+ * g[n] = (-1)^n h[L - 1 - n], its `rec_hi`.
+ */
+
+// Coiflet scaling filters of orders 1 to 5, in PyWavelets' orientation:
+// moments of h about index 4K - 1 vanish up to order 2K - 1, as do those
+// of g.
+// Solved from the orthonormality and moment equations in 80-digit
+// arithmetic, starting from Daubechies' published values.
+const COIFLETS = {
+  1: [
+    -0.015655728135791993, -0.07273261951252645, 0.3848648468648577, 0.8525720202116004,
+    0.33789766245748176, -0.07273261951252645,
+  ],
+  2: [
+    -0.000720549445520347, -0.001823208870911032, 0.005611434819368834, 0.02368017194684777,
+    -0.059434418646431085, -0.07648859907828076, 0.41700518442323903, 0.8127236354494135,
+    0.38611006682276283, -0.0673725547237256, -0.04146493678687178, 0.01638733646320364,
+  ],
+  3: [
+    -0.000034599773197272774, -0.000070983302506379, 0.0004662169598204029, 0.0011175187708306303,
+    -0.002574517688136797, -0.009007976136730624, 0.015880544863669452, 0.03455502757329773,
+    -0.08230192710629981, -0.07179982161915484, 0.42848347637737, 0.7937772226260872,
+    0.4051769024091182, -0.06112339000297254, -0.06577191128146936, 0.023452696142077165,
+    0.0077825964256727454, -0.0037935128643808015,
+  ],
+  4: [
+    -0.0000017849909144933466, -0.0000032596479400307506, 0.000031229861599195265, 0.00006233885431278718,
+    -0.0002599743371222568, -0.0005890202246332164, 0.0012665610789256603, 0.003751434697146086,
+    -0.0056582838001308835, -0.015211728187697211, 0.025082253337949608, 0.03933442260558915,
+    -0.09622042453595264, -0.06662747236681715, 0.43438603311435653, 0.7822389344242826,
+    0.41530842700068227, -0.05607731960356926, -0.08126671024919373, 0.026682304669604834,
+    0.016068947131575025, -0.00734616793626805, -0.0016294924252267858, 0.000892313902537003,
+  ],
+  5: [
+    -9.604010112767892e-8, -1.6237995172048335e-7, 0.0000020612203985788783, 0.0000037007277113394796,
+    -0.000021270221672515614, -0.0000412198619242655, 0.00014035632812373243, 0.00030185794166824473,
+    -0.0006375589261258812, -0.0016616273039298788, 0.0024315754425382886, 0.006761520220620417,
+    -0.009159507338676163, -0.019758391600965465, 0.03267479946705735, 0.041287530472117834,
+    -0.10556315130733723, -0.06203775157498195, 0.4379823066591633, 0.7742936228603274,
+    0.42157126673075435, -0.05204667025355476, -0.09192158806008609, 0.028169744270532353,
+    0.023408322118927783, -0.010131584846900275, -0.004159312627578639, 0.0021782943778456947,
+    0.0003585777411617577, -0.000212081862067494,
+  ],
+};
+
+const familyOrders = (first, last) => Array.from({ length: last - first + 1 }, (_, i) => first + i);
+
+/**
+ * Families of filter banks, with the orders each is available in. A bank
+ * is named by the family key followed by the order, as in `db4`, apart
+ * from `haar`.
+ */
+export const dwtFamilies = {
+  haar: { label: 'Haar', memberLabel: 'Haar', orders: [1] },
+  db: { label: 'Daubechies', memberLabel: 'Daubechies', orders: familyOrders(2, 10) },
+  sym: { label: 'Symlets', memberLabel: 'Symlet', orders: familyOrders(2, 10) },
+  coif: { label: 'Coiflets', memberLabel: 'Coiflet', orders: familyOrders(1, 5) },
+};
+
+/**
+ * Filter bank names with their labels, such as `{ db4: 'Daubechies 4' }`.
+ */
+export const dwtWavelets = Object.fromEntries(
+  Object.entries(dwtFamilies).flatMap(([family, { memberLabel, orders }]) =>
+    family === 'haar' ? [['haar', memberLabel]] : orders.map((order) => [family + order, memberLabel + ' ' + order]))
+);
+
+const multiply = ([ar, ai], [br, bi]) => [ar * br - ai * bi, ar * bi + ai * br];
+const divide = ([ar, ai], [br, bi]) => {
+  const norm = br * br + bi * bi;
+  return [(ar * br + ai * bi) / norm, (ai * br - ar * bi) / norm];
+};
+const squareRoot = ([re, im]) => {
+  const modulus = Math.hypot(re, im);
+  return [Math.sqrt((modulus + re) / 2), (im < 0 ? -1 : 1) * Math.sqrt((modulus - re) / 2)];
+};
+
+// Complex roots of a real polynomial, coefficients in ascending powers, by
+// Durand-Kerner iteration.
+function polynomialRoots(coefficients) {
+  const degree = coefficients.length - 1;
+  const monic = coefficients.map((c) => c / coefficients[degree]);
+  const evaluate = (z) => {
+    let value = [1, 0];
+    for (let k = degree - 1; k >= 0; k--) {
+      value = multiply(value, z);
+      value[0] += monic[k];
+    }
+    return value;
+  };
+  let roots = Array.from({ length: degree }, (_, k) => {
+    let z = [1, 0];
+    for (let j = 0; j <= k; j++) {
+      z = multiply(z, [0.4, 0.9]);
+    }
+    return z;
+  });
+  for (let iteration = 0; iteration < 1000; iteration++) {
+    let change = 0;
+    roots = roots.map((z, k) => {
+      let denominator = [1, 0];
+      roots.forEach((other, j) => {
+        if (j !== k) {
+          denominator = multiply(denominator, [z[0] - other[0], z[1] - other[1]]);
+        }
+      });
+      const step = divide(evaluate(z), denominator);
+      change = Math.max(change, Math.hypot(step[0], step[1]));
+      return [z[0] - step[0], z[1] - step[1]];
+    });
+    if (change < 1e-15) {
+      break;
+    }
+  }
+  return roots;
+}
+
+const binomial = (n, k) => {
+  let value = 1;
+  for (let j = 1; j <= k; j++) {
+    value = value * (n - k + j) / j;
+  }
+  return value;
+};
+
+// Daubechies' factorisation |H|^2 = cos^2N(w/2) P(sin^2(w/2)) with P(y) =
+// sum_k C(N - 1 + k, k) y^k. Each root y of P gives a reciprocal pair of
+// zeros z, 1/z of H through z + 1/z = 2 - 4y, and a filter takes one zero
+// of every pair (both of a complex conjugate pair of y together, to keep
+// h real). Returns those choices as groups of [inside, outside] zeros.
+function zeroGroups(order) {
+  const roots = polynomialRoots(Array.from({ length: order }, (_, k) => binomial(order - 1 + k, k)));
+  const groups = [];
+  const taken = new Set();
+  roots.forEach((y, k) => {
+    if (taken.has(k) || y[1] < -1e-10) {
+      return;
+    }
+    taken.add(k);
+    const c = [1 - 2 * y[0], -2 * y[1]];
+    const root = squareRoot([c[0] * c[0] - c[1] * c[1] - 1, 2 * c[0] * c[1]]);
+    let inside = [c[0] + root[0], c[1] + root[1]];
+    if (Math.hypot(inside[0], inside[1]) > 1) {
+      inside = [c[0] - root[0], c[1] - root[1]];
+    }
+    const outside = divide([1, 0], inside);
+    groups.push(Math.abs(y[1]) < 1e-10
+      ? [[[inside[0], 0]], [[outside[0], 0]]]
+      : [[inside, [inside[0], -inside[1]]], [outside, [outside[0], -outside[1]]]]);
+  });
+  return groups;
+}
+
+// Zeros of the filter for one choice per group: bit i of `choice` set
+// takes the outside zeros of group i.
+const chosenZeros = (groups, choice) => groups.flatMap((group, i) => group[(choice >> i) & 1]);
+
+// Scaling filter with N zeros at z = -1 and the given others.
+function filterFromZeros(order, zeros) {
+  let polynomial = [[1, 0]];
+  for (const zero of Array(order).fill([-1, 0]).concat(zeros)) {
+    const next = Array.from({ length: polynomial.length + 1 }, () => [0, 0]);
+    polynomial.forEach((c, i) => {
+      next[i][0] += c[0];
+      next[i][1] += c[1];
+      const product = multiply(c, zero);
+      next[i + 1][0] -= product[0];
+      next[i + 1][1] -= product[1];
+    });
+    polynomial = next;
+  }
+  const h = Float64Array.from(polynomial, ([re]) => re);
+  const sum = h.reduce((total, value) => total + value, 0);
+  return h.map((value) => value * Math.SQRT2 / sum);
+}
+
+// Mean squared departure of the phase of H over (0, pi) from the straight
+// line joining its ends; the zeros at z = -1 are linear phase and left out.
+function phaseNonlinearity(zeros) {
+  const steps = 512;
+  const phase = [];
+  let previous = 0;
+  for (let m = 1; m < steps; m++) {
+    const omega = Math.PI * m / steps;
+    let value = [1, 0];
+    for (const [re, im] of zeros) {
+      // 1 - zero * exp(-i omega)
+      value = multiply(value, [1 - re * Math.cos(omega) - im * Math.sin(omega), re * Math.sin(omega) - im * Math.cos(omega)]);
+    }
+    let angle = Math.atan2(value[1], value[0]);
+    angle += 2 * Math.PI * Math.round((previous - angle) / (2 * Math.PI));
+    phase.push(angle);
+    previous = angle;
+  }
+  const slope = (phase[phase.length - 1] - phase[0]) / (phase.length - 1);
+  return phase.reduce((total, value, i) => total + (value - phase[0] - slope * i) ** 2, 0) / phase.length;
+}
+
+// Energy-weighted mean tap index.
+const centroid = (h) => h.reduce((total, value, n) => total + n * value * value, 0);
+
+// Daubechies' extremal phase filter: every zero inside the unit circle.
+const daubechies = (order) => filterFromZeros(order, chosenZeros(zeroGroups(order), 0));
+
+// Daubechies' least asymmetric filter: the choice of zeros whose phase is
+// closest to linear. Each choice ties with its mirror image (all zeros
+// flipped, the filter reversed). As in PyWavelets' tables, sym2 and sym3
+// are db2 and db3, and from sym4 on the mirror whose energy comes later
+// is taken.
+function symlet(order) {
+  const groups = zeroGroups(order);
+  const later = order > 3 ? 1 : -1;
+  let best = null;
+  for (let choice = 0; choice < 2 ** groups.length; choice++) {
+    const zeros = chosenZeros(groups, choice);
+    const score = phaseNonlinearity(zeros);
+    const h = filterFromZeros(order, zeros);
+    if (!best || score < best.score - 1e-9 || (Math.abs(score - best.score) <= 1e-9 && later * (centroid(h) - centroid(best.h)) > 0)) {
+      best = { score, h };
+    }
+  }
+  return best.h;
+}
+
+const cache = new Map();
+
+/**
+ * Scaling filter of a filter bank.
+ *
+ * @param {keyof dwtWavelets} wavelet
+ * @returns {Float64Array} Not to be modified; filters are cached.
+ */
+export function scalingFilter(wavelet) {
+  if (!dwtWavelets[wavelet]) {
+    throw new Error('Unknown DWT wavelet: ' + wavelet);
+  }
+  if (!cache.has(wavelet)) {
+    const [, family, order] = wavelet.match(/^([a-z]+)(\d*)$/);
+    const build = {
+      haar: () => Float64Array.of(Math.SQRT1_2, Math.SQRT1_2),
+      db: () => daubechies(Number(order)),
+      sym: () => symlet(Number(order)),
+      coif: () => Float64Array.from(COIFLETS[order]),
+    }[family];
+    cache.set(wavelet, build());
+  }
+  return cache.get(wavelet);
+}
+
+/**
+ * Wavelet filter g[n] = (-1)^n h[L - 1 - n] of a filter bank.
+ *
+ * @param {keyof dwtWavelets} wavelet
+ * @returns {Float64Array}
+ */
+export function waveletFilter(wavelet) {
+  const h = scalingFilter(wavelet);
+  return h.map((_, n) => (n % 2 ? -1 : 1) * h[h.length - 1 - n]);
+}
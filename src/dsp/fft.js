@@ -0,0 +1,476 @@
+// Largest prime factor handled by the mixed-radix path. Lengths with a larger
+// prime factor go through Bluestein's algorithm instead.
+const MAX_RADIX = 31;
+
+const complexPlans = new Map();
+const realPlans = new Map();
+
+function isPowerOfTwo(n) {
+  return n > 0 && (n & (n - 1)) === 0;
+}
+
+function factorize(n) {
+  const factors = [];
+  let p = 4;
+  while (n > 1) {
+    while (n % p !== 0) {
+      if (p === 4) {
+        p = 2;
+      } else if (p === 2) {
+        p = 3;
+      } else {
+        p += 2;
+      }
+      if (p * p > n) {
+        p = n;
+      }
+    }
+    n /= p;
+    factors.push(p, n);
+  }
+  return factors;
+}
+
+function createRadix2Plan(n) {
+  const bits = Math.log2(n);
+  const bitReversal = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let index = i;
+    let reversed = 0;
+    for (let b = 0; b < bits; b++) {
+      reversed = (reversed << 1) | (index & 1);
+      index >>= 1;
+    }
+    bitReversal[i] = reversed;
+  }
+
+  const cos = new Float64Array(n / 2);
+  const sin = new Float64Array(n / 2);
+  for (let k = 0; k < n / 2; k++) {
+    cos[k] = Math.cos(2 * Math.PI * k / n);
+    sin[k] = Math.sin(2 * Math.PI * k / n);
+  }
+
+  return { type: 'radix2', n, bitReversal, cos, sin };
+}
+
+function createMixedRadixPlan(n, factors) {
+  const twRe = new Float64Array(n);
+  const twIm = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    twRe[k] = Math.cos(2 * Math.PI * k / n);
+    twIm[k] = -Math.sin(2 * Math.PI * k / n);
+  }
+  const maxRadix = Math.max(...factors.filter((_, i) => i % 2 === 0));
+
+  return {
+    type: 'mixed',
+    n,
+    factors,
+    twRe,
+    twIm,
+    inRe: new Float64Array(n),
+    inIm: new Float64Array(n),
+    scratchRe: new Float64Array(maxRadix),
+    scratchIm: new Float64Array(maxRadix),
+  };
+}
+
+function createBluesteinPlan(n) {
+  let m = 1;
+  while (m < 2 * n - 1) {
+    m *= 2;
+  }
+
+  // Chirp w[j] = exp(-i*pi*j^2/n); j^2 is reduced mod 2n to keep the angle small.
+  const chirpRe = new Float64Array(n);
+  const chirpIm = new Float64Array(n);
+  for (let j = 0; j < n; j++) {
+    const angle = Math.PI * ((j * j) % (2 * n)) / n;
+    chirpRe[j] = Math.cos(angle);
+    chirpIm[j] = -Math.sin(angle);
+  }
+
+  const kernelRe = new Float64Array(m);
+  const kernelIm = new Float64Array(m);
+  kernelRe[0] = chirpRe[0];
+  kernelIm[0] = -chirpIm[0];
+  for (let j = 1; j < n; j++) {
+    kernelRe[j] = kernelRe[m - j] = chirpRe[j];
+    kernelIm[j] = kernelIm[m - j] = -chirpIm[j];
+  }
+  fft(kernelRe, kernelIm);
+
+  return {
+    type: 'bluestein',
+    n,
+    m,
+    chirpRe,
+    chirpIm,
+    kernelRe,
+    kernelIm,
+    workRe: new Float64Array(m),
+    workIm: new Float64Array(m),
+  };
+}
+
+function getPlan(n) {
+  let plan = complexPlans.get(n);
+  if (!plan) {
+    if (isPowerOfTwo(n)) {
+      plan = createRadix2Plan(n);
+    } else {
+      const factors = factorize(n);
+      const largest = Math.max(...factors.filter((_, i) => i % 2 === 0));
+      plan = largest <= MAX_RADIX ? createMixedRadixPlan(n, factors) : createBluesteinPlan(n);
+    }
+    complexPlans.set(n, plan);
+  }
+  return plan;
+}
+
+function radix2(plan, re, im) {
+  const { n, bitReversal, cos, sin } = plan;
+  for (let i = 0; i < n; i++) {
+    const j = bitReversal[i];
+    if (i < j) {
+      let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+      tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+    }
+  }
+
+  for (let size = 2; size <= n; size *= 2) {
+    const halfsize = size / 2;
+    const tablestep = n / size;
+    for (let i = 0; i < n; i += size) {
+      for (let j = i, k = 0; j < i + halfsize; j++, k += tablestep) {
+        const l = j + halfsize;
+        const tpre =  re[l] * cos[k] + im[l] * sin[k];
+        const tpim = -re[l] * sin[k] + im[l] * cos[k];
+        re[l] = re[j] - tpre;
+        im[l] = im[j] - tpim;
+        re[j] += tpre;
+        im[j] += tpim;
+      }
+    }
+  }
+}
+
+function butterfly2(plan, re, im, offset, fstride, m) {
+  const { twRe, twIm } = plan;
+  for (let k = 0; k < m; k++) {
+    const a = offset + k;
+    const b = a + m;
+    const wr = twRe[k * fstride];
+    const wi = twIm[k * fstride];
+    const tr = re[b] * wr - im[b] * wi;
+    const ti = re[b] * wi + im[b] * wr;
+    re[b] = re[a] - tr;
+    im[b] = im[a] - ti;
+    re[a] += tr;
+    im[a] += ti;
+  }
+}
+
+function butterfly4(plan, re, im, offset, fstride, m) {
+  const { twRe, twIm } = plan;
+  for (let k = 0; k < m; k++) {
+    const i0 = offset + k;
+    const i1 = i0 + m;
+    const i2 = i1 + m;
+    const i3 = i2 + m;
+    const w1 = k * fstride;
+    const w2 = 2 * w1;
+    const w3 = 3 * w1;
+
+    const s0r = re[i1] * twRe[w1] - im[i1] * twIm[w1];
+    const s0i = re[i1] * twIm[w1] + im[i1] * twRe[w1];
+    const s1r = re[i2] * twRe[w2] - im[i2] * twIm[w2];
+    const s1i = re[i2] * twIm[w2] + im[i2] * twRe[w2];
+    const s2r = re[i3] * twRe[w3] - im[i3] * twIm[w3];
+    const s2i = re[i3] * twIm[w3] + im[i3] * twRe[w3];
+
+    const s5r = re[i0] - s1r;
+    const s5i = im[i0] - s1i;
+    const f0r = re[i0] + s1r;
+    const f0i = im[i0] + s1i;
+    const s3r = s0r + s2r;
+    const s3i = s0i + s2i;
+    const s4r = s0r - s2r;
+    const s4i = s0i - s2i;
+
+    re[i2] = f0r - s3r;
+    im[i2] = f0i - s3i;
+    re[i0] = f0r + s3r;
+    im[i0] = f0i + s3i;
+    re[i1] = s5r + s4i;
+    im[i1] = s5i - s4r;
+    re[i3] = s5r - s4i;
+    im[i3] = s5i + s4r;
+  }
+}
+
+function butterflyGeneric(plan, re, im, offset, fstride, m, p) {
+  const { n, twRe, twIm, scratchRe, scratchIm } = plan;
+  for (let u = 0; u < m; u++) {
+    for (let q = 0, k = u; q < p; q++, k += m) {
+      scratchRe[q] = re[offset + k];
+      scratchIm[q] = im[offset + k];
+    }
+    for (let q1 = 0, k = u; q1 < p; q1++, k += m) {
+      let sumRe = scratchRe[0];
+      let sumIm = scratchIm[0];
+      let twIndex = 0;
+      for (let q = 1; q < p; q++) {
+        twIndex += fstride * k;
+        if (twIndex >= n) {
+          twIndex %= n;
+        }
+        sumRe += scratchRe[q] * twRe[twIndex] - scratchIm[q] * twIm[twIndex];
+        sumIm += scratchRe[q] * twIm[twIndex] + scratchIm[q] * twRe[twIndex];
+      }
+      re[offset + k] = sumRe;
+      im[offset + k] = sumIm;
+    }
+  }
+}
+
+function mixedRadixWork(plan, re, im, offset, inOffset, fstride, factorIndex) {
+  const { inRe, inIm, factors } = plan;
+  const p = factors[factorIndex];
+  const m = factors[factorIndex + 1];
+
+  if (m === 1) {
+    for (let k = 0; k < p; k++) {
+      re[offset + k] = inRe[inOffset + k * fstride];
+      im[offset + k] = inIm[inOffset + k * fstride];
+    }
+  } else {
+    for (let q = 0; q < p; q++) {
+      mixedRadixWork(plan, re, im, offset + q * m, inOffset + q * fstride, fstride * p, factorIndex + 2);
+    }
+  }
+
+  if (p === 2) {
+    butterfly2(plan, re, im, offset, fstride, m);
+  } else if (p === 4) {
+    butterfly4(plan, re, im, offset, fstride, m);
+  } else {
+    butterflyGeneric(plan, re, im, offset, fstride, m, p);
+  }
+}
+
+function mixedRadix(plan, re, im) {
+  plan.inRe.set(re);
+  plan.inIm.set(im);
+  mixedRadixWork(plan, re, im, 0, 0, 1, 0);
+}
+
+function bluestein(plan, re, im) {
+  const { n, m, chirpRe, chirpIm, kernelRe, kernelIm, workRe, workIm } = plan;
+  workRe.fill(0);
+  workIm.fill(0);
+  for (let j = 0; j < n; j++) {
+    workRe[j] = re[j] * chirpRe[j] - im[j] * chirpIm[j];
+    workIm[j] = re[j] * chirpIm[j] + im[j] * chirpRe[j];
+  }
+
+  fft(workRe, workIm);
+  for (let k = 0; k < m; k++) {
+    const r = workRe[k] * kernelRe[k] - workIm[k] * kernelIm[k];
+    workIm[k] = workRe[k] * kernelIm[k] + workIm[k] * kernelRe[k];
+    workRe[k] = r;
+  }
+  ifft(workRe, workIm);
+
+  for (let k = 0; k < n; k++) {
+    re[k] = workRe[k] * chirpRe[k] - workIm[k] * chirpIm[k];
+    im[k] = workRe[k] * chirpIm[k] + workIm[k] * chirpRe[k];
+  }
+}
+
+/**
+ * In-place forward FFT of any length. Powers of two use an iterative radix-2
+ * transform, lengths whose prime factors are all at most 31 use a recursive
+ * mixed-radix transform, and everything else falls back to Bluestein's
+ * algorithm. Plans (twiddles, bit-reversal tables, scratch space) are cached
+ * per length.
+ *
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ */
+export function fft(re, im) {
+  const n = re.length;
+  if (n <= 1) {
+    return;
+  }
+  const plan = getPlan(n);
+  if (plan.type === 'radix2') {
+    radix2(plan, re, im);
+  } else if (plan.type === 'mixed') {
+    mixedRadix(plan, re, im);
+  } else {
+    bluestein(plan, re, im);
+  }
+}
+
+/**
+ * In-place inverse FFT, scaled by 1/n.
+ *
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ */
+export function ifft(re, im) {
+  const n = re.length;
+  for (let i = 0; i < n; i++) {
+    im[i] = -im[i];
+  }
+  fft(re, im);
+  for (let i = 0; i < n; i++) {
+    re[i] /= n;
+    im[i] = -im[i] / n;
+  }
+}
+
+function getRealPlan(n) {
+  let plan = realPlans.get(n);
+  if (!plan) {
+    const half = n / 2;
+    const cos = new Float64Array(half + 1);
+    const sin = new Float64Array(half + 1);
+    for (let k = 0; k <= half; k++) {
+      cos[k] = Math.cos(2 * Math.PI * k / n);
+      sin[k] = Math.sin(2 * Math.PI * k / n);
+    }
+    plan = {
+      cos,
+      sin,
+      zRe: new Float64Array(half),
+      zIm: new Float64Array(half),
+    };
+    realPlans.set(n, plan);
+  }
+  return plan;
+}
+
+/**
+ * Forward FFT of a real signal. Only the non-redundant half of the spectrum
+ * is returned. Even lengths are computed with a half-length complex FFT.
+ *
+ * @param {ArrayLike<number>} input
+ * @returns {{ re: Float64Array, im: Float64Array }} Bins 0..floor(n/2).
+ */
+export function rfft(input) {
+  const n = input.length;
+  const bins = Math.floor(n / 2) + 1;
+  const re = new Float64Array(bins);
+  const im = new Float64Array(bins);
+
+  if (n % 2 !== 0 || n < 2) {
+    const fullRe = Float64Array.from(input);
+    const fullIm = new Float64Array(n);
+    fft(fullRe, fullIm);
+    re.set(fullRe.subarray(0, bins));
+    im.set(fullIm.subarray(0, bins));
+    return { re, im };
+  }
+
+  const half = n / 2;
+  const { cos, sin, zRe, zIm } = getRealPlan(n);
+  for (let k = 0; k < half; k++) {
+    zRe[k] = input[2 * k];
+    zIm[k] = input[2 * k + 1];
+  }
+  fft(zRe, zIm);
+
+  for (let k = 0; k <= half; k++) {
+    const a = k % half;
+    const b = (half - k) % half;
+    // E = (Z[k] + conj(Z[h-k])) / 2, O = (Z[k] - conj(Z[h-k])) / 2i
+    const eRe = (zRe[a] + zRe[b]) / 2;
+    const eIm = (zIm[a] - zIm[b]) / 2;
+    const oRe = (zIm[a] + zIm[b]) / 2;
+    const oIm = -(zRe[a] - zRe[b]) / 2;
+    // X[k] = E + exp(-2*pi*i*k/n) * O
+    re[k] = eRe + oRe * cos[k] + oIm * sin[k];
+    im[k] = eIm + oIm * cos[k] - oRe * sin[k];
+  }
+  return { re, im };
+}
+
+/**
+ * Inverse of `rfft`: rebuilds a real signal of length `n` from its
+ * half spectrum.
+ *
+ * @param {ArrayLike<number>} re - Real parts of bins 0..floor(n/2).
+ * @param {ArrayLike<number>} im - Imaginary parts of bins 0..floor(n/2).
+ * @param {number} n - Output length.
+ * @returns {Float64Array}
+ */
+export function irfft(re, im, n) {
+  const output = new Float64Array(n);
+
+  if (n % 2 !== 0 || n < 2) {
+    const fullRe = new Float64Array(n);
+    const fullIm = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      if (k <= n / 2) {
+        fullRe[k] = re[k];
+        fullIm[k] = im[k];
+      } else {
+        fullRe[k] = re[n - k];
+        fullIm[k] = -im[n - k];
+      }
+    }
+    ifft(fullRe, fullIm);
+    output.set(fullRe);
+    return output;
+  }
+
+  const half = n / 2;
+  const { cos, sin, zRe, zIm } = getRealPlan(n);
+  for (let k = 0; k < half; k++) {
+    const b = half - k;
+    // E = (X[k] + conj(X[h-k])) / 2, O = (X[k] - conj(X[h-k])) / 2 * exp(2*pi*i*k/n)
+    const eRe = (re[k] + re[b]) / 2;
+    const eIm = (im[k] - im[b]) / 2;
+    const dRe = (re[k] - re[b]) / 2;
+    const dIm = (im[k] + im[b]) / 2;
+    const oRe = dRe * cos[k] - dIm * sin[k];
+    const oIm = dRe * sin[k] + dIm * cos[k];
+    // Z = E + i*O
+    zRe[k] = eRe - oIm;
+    zIm[k] = eIm + oRe;
+  }
+  ifft(zRe, zIm);
+
+  for (let k = 0; k < half; k++) {
+    output[2 * k] = zRe[k];
+    output[2 * k + 1] = zIm[k];
+  }
+  return output;
+}
+
+/**
+ * Smallest length >= n whose only prime factors are 2, 3 and 5, which the
+ * mixed-radix path transforms efficiently.
+ *
+ * @param {number} n
+ * @returns {number}
+ */
+export function nextFastLength(n) {
+  if (n <= 1) {
+    return 1;
+  }
+  for (let candidate = n; ; candidate++) {
+    let m = candidate;
+    for (const p of [2, 3, 5]) {
+      while (m % p === 0) {
+        m /= p;
+      }
+    }
+    if (m === 1) {
+      return candidate;
+    }
+  }
+}
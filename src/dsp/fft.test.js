@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fft, ifft, rfft, irfft } from './fft.js';
+import { mulberry32 } from './random.js';
+
+// Powers of two, 2-3-5 smooth lengths, other small primes and a length
+// with a large prime factor, so that every path of `fft` is taken.
+const LENGTHS = [1, 2, 3, 5, 7, 8, 12, 17, 30, 31, 64, 97, 100, 210, 256, 1000, 2 * 211];
+
+function naiveDft(re, im) {
+  const n = re.length;
+  const outRe = new Float64Array(n);
+  const outIm = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    for (let j = 0; j < n; j++) {
+      const angle = -2 * Math.PI * ((j * k) % n) / n;
+      outRe[k] += re[j] * Math.cos(angle) - im[j] * Math.sin(angle);
+      outIm[k] += re[j] * Math.sin(angle) + im[j] * Math.cos(angle);
+    }
+  }
+  return { re: outRe, im: outIm };
+}
+
+function randomArray(random, n) {
+  return Float64Array.from({ length: n }, () => 2 * random() - 1);
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.equal(actual.length, expected.length, message);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= tolerance, message + ' at ' + i + ': ' + actual[i] + ' vs ' + expected[i]);
+  }
+}
+
+test('fft matches a naive DFT', () => {
+  const random = mulberry32(1);
+  for (const n of LENGTHS) {
+    const re = randomArray(random, n);
+    const im = randomArray(random, n);
+    const expected = naiveDft(re, im);
+    fft(re, im);
+    assertClose(re, expected.re, 1e-9 * n, 'real part, n = ' + n);
+    assertClose(im, expected.im, 1e-9 * n, 'imaginary part, n = ' + n);
+  }
+});
+
+test('ifft undoes fft', () => {
+  const random = mulberry32(2);
+  for (const n of LENGTHS) {
+    const re = randomArray(random, n);
+    const im = randomArray(random, n);
+    const copyRe = re.slice();
+    const copyIm = im.slice();
+    fft(re, im);
+    ifft(re, im);
+    assertClose(re, copyRe, 1e-12 * n, 'real part, n = ' + n);
+    assertClose(im, copyIm, 1e-12 * n, 'imaginary part, n = ' + n);
+  }
+});
+
+test('rfft gives the first half of the DFT and irfft inverts it', () => {
+  const random = mulberry32(3);
+  for (const n of LENGTHS) {
+    const signal = randomArray(random, n);
+    const expected = naiveDft(signal, new Float64Array(n));
+    const half = rfft(signal);
+    const bins = Math.floor(n / 2) + 1;
+    assertClose(half.re, expected.re.subarray(0, bins), 1e-9 * n, 'real part, n = ' + n);
+    assertClose(half.im, expected.im.subarray(0, bins), 1e-9 * n, 'imaginary part, n = ' + n);
+    assertClose(irfft(half.re, half.im, n), signal, 1e-12 * n, 'round trip, n = ' + n);
+  }
+});
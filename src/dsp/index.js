@@ -0,0 +1,37 @@
+export { fft, ifft, rfft, irfft, nextFastLength } from './fft.js';
+export {
+  morlet,
+  mexicanHat,
+  paul,
+  dog,
+  gabor,
+  shannon,
+  fbsp,
+  cgau,
+  wavelets,
+  getWavelet,
+  defaultParameters,
+  resolveParameters,
+  scaleToPeriod,
+} from './wavelets.js';
+export { cwt, fftAngularFrequencies } from './cwt.js';
+export { scaleGrid, scaleToFrequency } from './scales.js';
+export { coefficientViews, coefficientView } from './views.js';
+export { createStreamingCwt } from './stream.js';
+export { coneOfInfluence, coneOfInfluenceMask } from './coi.js';
+export {
+  chiSquaredCdf,
+  chiSquaredQuantile,
+  noiseBackgrounds,
+  noiseBackground,
+  redNoiseSpectrum,
+  significanceThresholds,
+} from './significance.js';
+export { mulberry32, gaussian, ar1Noise } from './random.js';
+export { crossWavelet, smoothScalogram, waveletCoherence, coherenceSignificance } from './coherence.js';
+export { synchrosqueeze, analyticMode, reconstructMode, reconstructionFactor, detectModeBands } from './synchrosqueeze.js';
+export { extractRidges, ridgeFrequencies, cwtEnvelope, cwtRidgeAmplitude, cwtRidgeFrequency } from './ridges.js';
+export { reconstructionConstant, globalWaveletSpectrum, fourierSpectrum, scaleAveragedPower } from './spectra.js';
+export { stftWindows, stftWindow, stft, stftOnGrid } from './stft.js';
+export { dwtFamilies, dwtWavelets, scalingFilter, waveletFilter } from './dwtFilters.js';
+export { extensionModes, dwtMaxLevel, dwt, idwt, wavedec, waverec, dwtCoefficientPositions } from './dwt.js';
@@ -0,0 +1,63 @@
+/**
+ * Seedable random numbers, so that noise and Monte Carlo tests can be
+ * reproduced.
+ */
+
+/**
+ * Mulberry32 generator.
+ *
+ * @param {number} seed - Any 32-bit integer.
+ * @returns {() => number} Uniform deviates in [0, 1).
+ */
+export function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal deviates by the Box-Muller transform.
+ *
+ * @param {() => number} random - Uniform deviates in [0, 1).
+ * @returns {() => number}
+ */
+export function gaussian(random) {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    const radius = Math.sqrt(-2 * Math.log(1 - random()));
+    const angle = 2 * Math.PI * random();
+    spare = radius * Math.sin(angle);
+    return radius * Math.cos(angle);
+  };
+}
+
+/**
+ * Unit-variance lag-1 autoregressive noise,
+ * x[n] = alpha x[n - 1] + sqrt(1 - alpha^2) e[n], started from its
+ * stationary distribution. alpha = 0 gives white noise.
+ *
+ * @param {number} length
+ * @param {number} alpha
+ * @param {() => number} normal - Standard normal deviates.
+ * @returns {Float64Array}
+ */
+export function ar1Noise(length, alpha, normal) {
+  const noise = new Float64Array(length);
+  const innovation = Math.sqrt(1 - alpha * alpha);
+  let previous = normal();
+  for (let n = 0; n < length; n++) {
+    noise[n] = previous;
+    previous = alpha * previous + innovation * normal();
+  }
+  return noise;
+}
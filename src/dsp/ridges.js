@@ -0,0 +1,268 @@
+import { fft, ifft, nextFastLength } from './fft.js';
+import { getWavelet, resolveParameters } from './wavelets.js';
+
+// Floor for log-energies, relative to the strongest coefficient, so that
+// empty cells of a synchrosqueezed transform stay finite.
+const LOG_FLOOR = 1e-12;
+
+/**
+ * Follows the strongest ridges of a time-frequency plane by dynamic
+ * programming (Carmona, Hwang & Torresani, 1997): each ridge is the path
+ * through one row per column that maximises
+ *
+ *   sum_n log |M(row_n, n)|^2 - penalty * (row_n - row_{n-1})^2,
+ *
+ * so a larger penalty gives smoother ridges that resist jumping between
+ * components. Further ridges are found after clearing the previous ones:
+ * at least `halfWidth` rows either side, and on down the slopes of their
+ * peaks, since a wavelet spreads each component over many scales.
+ *
+ * @param {ArrayLike<number>} magnitude - Row-major moduli, one row of
+ *   `signalLength` values per scale or frequency bin.
+ * @param {number} signalLength
+ * @param {object} [options]
+ * @param {number} [options.count=1] - Number of ridges.
+ * @param {number} [options.penalty=1] - Cost of a jump, per row squared.
+ * @param {number} [options.halfWidth=2] - Rows cleared around each ridge.
+ * @returns {Array<{ rows: Int32Array, position: Float64Array }>} Per ridge,
+ *   the row in each column and a sub-row position refined by fitting a
+ *   parabola to the log-energy around it.
+ */
+export function extractRidges(magnitude, signalLength, options = {}) {
+  const { count = 1, penalty = 1, halfWidth = 2 } = options;
+  const rowCount = magnitude.length / signalLength;
+  let strongest = 0;
+  for (let i = 0; i < magnitude.length; i++) {
+    strongest = Math.max(strongest, Math.abs(magnitude[i]));
+  }
+  const floor = Math.log((LOG_FLOOR * strongest) ** 2 || Number.MIN_VALUE);
+  const energy = Float64Array.from(magnitude, (value) => Math.max(floor, Math.log(value * value)));
+  const cleared = new Float64Array(energy);
+
+  // A jump of d rows costs penalty d^2, more than any single column can
+  // repay once d exceeds this, so longer transitions need not be tried.
+  let highest = floor;
+  for (const value of energy) {
+    highest = Math.max(highest, value);
+  }
+  const maxJump = penalty > 0
+    ? Math.min(rowCount - 1, Math.ceil(Math.sqrt((highest - floor) / penalty)))
+    : rowCount - 1;
+
+  const ridges = [];
+  const score = new Float64Array(rowCount);
+  const next = new Float64Array(rowCount);
+  const from = new Int32Array(rowCount * signalLength);
+  for (let k = 0; k < Math.min(count, rowCount); k++) {
+    for (let row = 0; row < rowCount; row++) {
+      score[row] = cleared[row * signalLength];
+    }
+    for (let n = 1; n < signalLength; n++) {
+      for (let row = 0; row < rowCount; row++) {
+        let best = -Infinity;
+        let bestRow = row;
+        for (let previous = Math.max(0, row - maxJump); previous <= Math.min(rowCount - 1, row + maxJump); previous++) {
+          const candidate = score[previous] - penalty * (row - previous) ** 2;
+          if (candidate > best) {
+            best = candidate;
+            bestRow = previous;
+          }
+        }
+        next[row] = best + cleared[row * signalLength + n];
+        from[row * signalLength + n] = bestRow;
+      }
+      score.set(next);
+    }
+
+    const rows = new Int32Array(signalLength);
+    let row = 0;
+    for (let r = 1; r < rowCount; r++) {
+      if (score[r] > score[row]) {
+        row = r;
+      }
+    }
+    for (let n = signalLength - 1; n >= 0; n--) {
+      rows[n] = row;
+      row = from[row * signalLength + n];
+    }
+
+    const position = Float64Array.from(rows, (r, n) => {
+      if (r === 0 || r === rowCount - 1) {
+        return r;
+      }
+      const above = energy[(r - 1) * signalLength + n];
+      const centre = energy[r * signalLength + n];
+      const below = energy[(r + 1) * signalLength + n];
+      const curvature = above - 2 * centre + below;
+      return curvature < 0 ? r + Math.max(-0.5, Math.min(0.5, 0.5 * (above - below) / curvature)) : r;
+    });
+    ridges.push({ rows, position });
+
+    for (let n = 0; n < signalLength; n++) {
+      const at = (r) => energy[r * signalLength + n];
+      let first = Math.max(0, rows[n] - halfWidth);
+      while (first > 0 && at(first - 1) <= at(first)) {
+        first--;
+      }
+      let last = Math.min(rowCount - 1, rows[n] + halfWidth);
+      while (last < rowCount - 1 && at(last + 1) <= at(last)) {
+        last++;
+      }
+      for (let r = first; r <= last; r++) {
+        cleared[r * signalLength + n] = floor;
+      }
+    }
+  }
+  return ridges;
+}
+
+/**
+ * Frequency at fractional row positions, interpolated geometrically between
+ * the frequencies of neighbouring rows.
+ *
+ * @param {ArrayLike<number>} frequencies - One per row.
+ * @param {ArrayLike<number>} position - Fractional rows.
+ * @returns {Float64Array}
+ */
+export function ridgeFrequencies(frequencies, position) {
+  return Float64Array.from(position, (p) => {
+    const row = Math.min(frequencies.length - 2, Math.max(0, Math.floor(p)));
+    if (frequencies.length < 2) {
+      return frequencies[0];
+    }
+    return frequencies[row] * (frequencies[row + 1] / frequencies[row]) ** (p - row);
+  });
+}
+
+// Peak of |psi^| over positive frequencies, and whether any of the
+// spectrum reaches negative ones, on a log grid wide enough for every
+// wavelet in `wavelets`.
+function spectrumExtent(definition, parameters) {
+  let peak = 0;
+  let negative = 0;
+  for (let u = -12; u <= 8; u += 0.001) {
+    const [wr, wi] = definition.spectrum(Math.exp(u), parameters);
+    const [nr, ni] = definition.spectrum(-Math.exp(u), parameters);
+    peak = Math.max(peak, Math.hypot(wr, wi));
+    negative = Math.max(negative, Math.hypot(nr, ni));
+  }
+  return { peak, analytic: negative <= 1e-9 * peak };
+}
+
+// The positive-frequency part of one row of CWT coefficients. For an
+// analytic wavelet that is the row itself. Other wavelets also respond to
+// the negative frequency of each sinusoid, which beats against the
+// positive one and makes the modulus and phase swing with the signal, so
+// their rows are filtered, zero-padded to twice their length to keep the
+// ends from wrapping into each other.
+function positiveRow(transform, row, signalLength, analytic) {
+  const from = row * signalLength;
+  if (analytic) {
+    return {
+      re: transform.re.subarray(from, from + signalLength),
+      im: transform.im.subarray(from, from + signalLength),
+    };
+  }
+  const n = nextFastLength(2 * signalLength);
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  re.set(transform.re.subarray(from, from + signalLength));
+  im.set(transform.im.subarray(from, from + signalLength));
+  fft(re, im);
+  for (let k = 0; k < n; k++) {
+    const gain = k === 0 || k === n / 2 ? 0.5 : k < n / 2 ? 1 : 0;
+    re[k] *= gain;
+    im[k] *= gain;
+  }
+  ifft(re, im);
+  return { re: re.subarray(0, signalLength), im: im.subarray(0, signalLength) };
+}
+
+// The positive-frequency parts of the rows that a ridge passes through.
+const positiveRows = (transform, rows, analytic) => new Map(
+  Array.from(new Set(rows), (row) => [row, positiveRow(transform, row, rows.length, analytic)]),
+);
+
+/**
+ * Envelope of the CWT coefficients: the modulus of the positive-frequency
+ * part of each row. For analytic wavelets that is just the modulus; the
+ * coefficients of a real wavelet would otherwise swing between zero and
+ * twice the envelope with the signal. Ridges are followed on this.
+ *
+ * @param {{ re: ArrayLike<number>, im: ArrayLike<number> }} transform
+ *   Row-major CWT coefficients.
+ * @param {number} signalLength
+ * @param {string|object} wavelet
+ * @param {object} [parameters]
+ * @returns {Float64Array}
+ */
+export function cwtEnvelope(transform, signalLength, wavelet, parameters) {
+  const definition = getWavelet(wavelet);
+  const { analytic } = spectrumExtent(definition, resolveParameters(definition, parameters));
+  const envelope = new Float64Array(transform.re.length);
+  for (let row = 0; row < envelope.length / signalLength; row++) {
+    const { re, im } = positiveRow(transform, row, signalLength, analytic);
+    for (let n = 0; n < signalLength; n++) {
+      envelope[row * signalLength + n] = Math.hypot(re[n], im[n]);
+    }
+  }
+  return envelope;
+}
+
+/**
+ * Amplitude of the component along a CWT ridge. A sinusoid of amplitude A
+ * and angular frequency w contributes A sqrt(s) |psi^(s w)| / 2 to the
+ * positive-frequency part of the coefficients at scale s, whatever the
+ * wavelet, and |psi^| peaks on the ridge, so there
+ * A = 2 |W+| / (sqrt(s) max |psi^|).
+ *
+ * @param {{ re: ArrayLike<number>, im: ArrayLike<number> }} transform
+ *   Row-major CWT coefficients.
+ * @param {ArrayLike<number>} scales - In samples, one per row.
+ * @param {ArrayLike<number>} rows - Ridge row in each column.
+ * @param {string|object} wavelet
+ * @param {object} [parameters]
+ * @returns {Float64Array}
+ */
+export function cwtRidgeAmplitude(transform, scales, rows, wavelet, parameters) {
+  const definition = getWavelet(wavelet);
+  const { peak, analytic } = spectrumExtent(definition, resolveParameters(definition, parameters));
+  const positive = positiveRows(transform, rows, analytic);
+  return Float64Array.from(rows, (row, n) => {
+    const { re, im } = positive.get(row);
+    return 2 * Math.hypot(re[n], im[n]) / (Math.sqrt(scales[row]) * peak);
+  });
+}
+
+/**
+ * Instantaneous frequency along a CWT ridge, in cycles per sample, from
+ * the rate at which the phase of the ridge coefficients turns. Unlike the
+ * frequency of the ridge row this does not depend on where the wavelet's
+ * spectrum peaks, so it also holds for flat-topped spectra such as
+ * Shannon's, whose ridge may settle on any row of the passband.
+ *
+ * @param {{ re: ArrayLike<number>, im: ArrayLike<number> }} transform
+ *   Row-major CWT coefficients.
+ * @param {ArrayLike<number>} rows - Ridge row in each column.
+ * @param {string|object} wavelet
+ * @param {object} [parameters]
+ * @returns {Float64Array}
+ */
+export function cwtRidgeFrequency(transform, rows, wavelet, parameters) {
+  const definition = getWavelet(wavelet);
+  const { analytic } = spectrumExtent(definition, resolveParameters(definition, parameters));
+  const positive = positiveRows(transform, rows, analytic);
+  const last = rows.length - 1;
+  return Float64Array.from(rows, (row, n) => {
+    const { re, im } = positive.get(row);
+    const before = Math.max(0, n - 1);
+    const after = Math.min(last, n + 1);
+    if (after === before) {
+      return 0;
+    }
+    // arg(W(n + 1) conj(W(n - 1))) is the phase turned over the gap.
+    const turnRe = re[after] * re[before] + im[after] * im[before];
+    const turnIm = im[after] * re[before] - re[after] * im[before];
+    return Math.atan2(turnIm, turnRe) / (2 * Math.PI * (after - before));
+  });
+}
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cwt } from './cwt.js';
+import { scaleGrid } from './scales.js';
+import { wavelets } from './wavelets.js';
+import { extractRidges, cwtEnvelope, cwtRidgeAmplitude, cwtRidgeFrequency } from './ridges.js';
+
+const SAMPLING_RATE = 200;
+const LENGTH = 2048;
+const AMPLITUDE = 1.5;
+// Not a divisor of the sampling rate, so that samples do not keep landing
+// on the zeros of the tone.
+const FREQUENCY = 17.3;
+// Ends of the signal left out, where the transform sees the zero padding.
+const EDGE = 400;
+
+test('ridge amplitude and frequency of a tone, for every wavelet', () => {
+  const signal = Float64Array.from({ length: LENGTH }, (_, n) => AMPLITUDE * Math.sin(2 * Math.PI * FREQUENCY * n / SAMPLING_RATE));
+  for (const wavelet of Object.keys(wavelets)) {
+    const scales = scaleGrid({ minFrequency: 2, maxFrequency: 90, voicesPerOctave: 16, samplingRate: SAMPLING_RATE, wavelet });
+    const transform = cwt(signal, scales, { wavelet });
+    const [ridge] = extractRidges(cwtEnvelope(transform, LENGTH, wavelet), LENGTH, { count: 1 });
+    const amplitude = cwtRidgeAmplitude(transform, scales, ridge.rows, wavelet);
+    const frequency = cwtRidgeFrequency(transform, ridge.rows, wavelet);
+    for (let n = EDGE; n < LENGTH - EDGE; n++) {
+      // Rows a sixteenth of an octave apart can miss the peak of |psi^|
+      // by a little, and the sharp edges of Shannon's spectrum ripple.
+      assert.ok(Math.abs(amplitude[n] / AMPLITUDE - 1) < 0.05, wavelet + ': amplitude ' + amplitude[n] + ' at ' + n);
+      assert.ok(Math.abs(frequency[n] * SAMPLING_RATE / FREQUENCY - 1) < 0.01, wavelet + ': frequency ' + frequency[n] * SAMPLING_RATE + ' at ' + n);
+    }
+  }
+});
+
+test('ridges follow the stronger of two tones first', () => {
+  const signal = Float64Array.from({ length: LENGTH }, (_, n) => (
+    2 * Math.sin(2 * Math.PI * 10 * n / SAMPLING_RATE) + Math.sin(2 * Math.PI * 40 * n / SAMPLING_RATE)
+  ));
+  const scales = scaleGrid({ minFrequency: 2, maxFrequency: 90, voicesPerOctave: 12, samplingRate: SAMPLING_RATE });
+  const transform = cwt(signal, scales);
+  const ridges = extractRidges(cwtEnvelope(transform, LENGTH, 'morlet'), LENGTH, { count: 2 });
+  const expected = [[10, 2], [40, 1]];
+  ridges.forEach(({ rows }, k) => {
+    const amplitude = cwtRidgeAmplitude(transform, scales, rows, 'morlet');
+    const frequency = cwtRidgeFrequency(transform, rows, 'morlet');
+    const n = LENGTH / 2;
+    assert.ok(Math.abs(frequency[n] * SAMPLING_RATE - expected[k][0]) < 0.1, 'ridge ' + k + ': frequency ' + frequency[n] * SAMPLING_RATE);
+    assert.ok(Math.abs(amplitude[n] - expected[k][1]) < 0.05 * expected[k][1], 'ridge ' + k + ': amplitude ' + amplitude[n]);
+  });
+});
@@ -0,0 +1,75 @@
+import { getWavelet, resolveParameters, scaleToPeriod } from './wavelets.js';
+
+/**
+ * Builds a scale grid covering [minFrequency, maxFrequency] for a wavelet.
+ *
+ * With `spacing: 'log'` the scales are powers of two apart in
+ * `voicesPerOctave` steps, as in Torrence & Compo (1998). With
+ * `spacing: 'linear'` the same number of scales is spread evenly in
+ * frequency. Scales are ordered from the highest frequency (smallest scale)
+ * to the lowest.
+ *
+ * @param {object} options
+ * @param {number} options.minFrequency - Lowest frequency, in Hz.
+ * @param {number} options.maxFrequency - Highest frequency, in Hz.
+ * @param {number} [options.voicesPerOctave=12]
+ * @param {'log'|'linear'} [options.spacing='log']
+ * @param {number} [options.samplingRate=1] - Samples per second.
+ * @param {string|object} [options.wavelet='morlet']
+ * @param {object} [options.parameters] - Wavelet parameters.
+ * @returns {Float64Array} Scales, in samples.
+ */
+export function scaleGrid({
+  minFrequency,
+  maxFrequency,
+  voicesPerOctave = 12,
+  spacing = 'log',
+  samplingRate = 1,
+  wavelet = 'morlet',
+  parameters,
+}) {
+  if (!(minFrequency > 0) || !(maxFrequency > minFrequency)) {
+    throw new Error('Scale grid needs 0 < minFrequency < maxFrequency');
+  }
+  if (!(voicesPerOctave >= 1)) {
+    throw new Error('Scale grid needs at least one voice per octave');
+  }
+
+  const definition = getWavelet(wavelet);
+  const factor = definition.fourierFactor(resolveParameters(definition, parameters));
+  const frequencyToScale = (frequency) => samplingRate / (frequency * factor);
+
+  const octaves = Math.log2(maxFrequency / minFrequency);
+  const count = Math.floor(octaves * voicesPerOctave) + 1;
+  const scales = new Float64Array(count);
+
+  if (spacing === 'log') {
+    const smallest = frequencyToScale(maxFrequency);
+    for (let j = 0; j < count; j++) {
+      scales[j] = smallest * 2 ** (j / voicesPerOctave);
+    }
+  } else if (spacing === 'linear') {
+    const step = count > 1 ? (maxFrequency - minFrequency) / (count - 1) : 0;
+    for (let j = 0; j < count; j++) {
+      scales[j] = frequencyToScale(maxFrequency - j * step);
+    }
+  } else {
+    throw new Error('Unknown scale spacing: ' + spacing);
+  }
+
+  return scales;
+}
+
+/**
+ * Converts scales (in samples) to the wavelet's equivalent Fourier
+ * frequencies, in Hz.
+ *
+ * @param {ArrayLike<number>} scales
+ * @param {string|object} wavelet
+ * @param {object} [parameters]
+ * @param {number} [samplingRate=1]
+ * @returns {Float64Array}
+ */
+export function scaleToFrequency(scales, wavelet, parameters, samplingRate = 1) {
+  return scaleToPeriod(scales, wavelet, parameters).map((period) => samplingRate / period);
+}
@@ -0,0 +1,191 @@
+/**
+ * Significance testing of wavelet power against a noise background, after
+ * Torrence & Compo (1998), section 4.
+ */
+
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7,
+];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  x -= 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) {
+    sum += LANCZOS[i] / (x + i);
+  }
+  const t = x + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Regularised lower incomplete gamma function P(a, x): a power series below
+// a + 1 and a continued fraction above, as in Numerical Recipes.
+function regularizedGammaP(a, x) {
+  if (x <= 0) {
+    return 0;
+  }
+  const logPrefactor = a * Math.log(x) - x - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return sum * Math.exp(logPrefactor);
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 500; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) {
+      break;
+    }
+  }
+  return 1 - Math.exp(logPrefactor) * h;
+}
+
+/**
+ * Cumulative distribution function of the chi-squared distribution.
+ *
+ * @param {number} x
+ * @param {number} dof - Degrees of freedom; need not be an integer.
+ * @returns {number}
+ */
+export function chiSquaredCdf(x, dof) {
+  return regularizedGammaP(dof / 2, x / 2);
+}
+
+/**
+ * Inverse of `chiSquaredCdf`: the value a chi-squared variable with `dof`
+ * degrees of freedom stays below with probability `p`.
+ *
+ * @param {number} p - Probability in (0, 1).
+ * @param {number} dof
+ * @returns {number}
+ */
+export function chiSquaredQuantile(p, dof) {
+  if (!(p > 0 && p < 1) || !(dof > 0)) {
+    throw new Error('chiSquaredQuantile needs 0 < p < 1 and dof > 0');
+  }
+  let low = 0;
+  let high = Math.max(1, dof);
+  while (chiSquaredCdf(high, dof) < p) {
+    low = high;
+    high *= 2;
+  }
+  for (let i = 0; i < 200 && high - low > 1e-12 * high; i++) {
+    const mid = (low + high) / 2;
+    if (chiSquaredCdf(mid, dof) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+export const noiseBackgrounds = {
+  white: { label: 'White Noise' },
+  red: { label: 'Red Noise (AR1)' },
+};
+
+function autocorrelation(values, mean, variance, lag) {
+  let sum = 0;
+  for (let i = lag; i < values.length; i++) {
+    sum += (values[i] - mean) * (values[i - lag] - mean);
+  }
+  return sum / ((values.length - lag) * variance);
+}
+
+/**
+ * Estimates a noise background from the signal itself.
+ *
+ * The red-noise (lag-1 autoregressive) coefficient follows Torrence &
+ * Compo: alpha = (alpha1 + sqrt(alpha2)) / 2 from the lag-1 and lag-2
+ * autocorrelations, falling back to alpha1 when alpha2 is negative.
+ * Negative estimates are treated as white noise.
+ *
+ * @param {ArrayLike<number>} signal
+ * @param {keyof noiseBackgrounds} [type='red']
+ * @returns {{ type: string, variance: number, alpha: number }}
+ */
+export function noiseBackground(signal, type = 'red') {
+  if (!noiseBackgrounds[type]) {
+    throw new Error('Unknown noise background: ' + type);
+  }
+  const n = signal.length;
+  let mean = 0;
+  for (let i = 0; i < n; i++) {
+    mean += signal[i];
+  }
+  mean /= n;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    variance += (signal[i] - mean) ** 2;
+  }
+  variance /= n;
+
+  if (type === 'white' || variance === 0 || n < 3) {
+    return { type, variance, alpha: 0 };
+  }
+  const alpha1 = autocorrelation(signal, mean, variance, 1);
+  const alpha2 = autocorrelation(signal, mean, variance, 2);
+  const alpha = alpha2 > 0 ? (alpha1 + Math.sqrt(alpha2)) / 2 : alpha1;
+  return { type, variance, alpha: Math.min(Math.max(alpha, 0), 0.99) };
+}
+
+/**
+ * Fourier power spectrum of unit-variance AR(1) noise,
+ * (1 - alpha^2) / (1 + alpha^2 - 2 alpha cos(2 pi / period)), which
+ * averages to one over frequency and is flat for alpha = 0.
+ *
+ * @param {ArrayLike<number>} periods - In samples.
+ * @param {number} alpha - Lag-1 autocorrelation.
+ * @returns {Float64Array}
+ */
+export function redNoiseSpectrum(periods, alpha) {
+  return Float64Array.from(periods, (period) =>
+    (1 - alpha * alpha) / (1 + alpha * alpha - 2 * alpha * Math.cos(2 * Math.PI / period))
+  );
+}
+
+/**
+ * Wavelet power that noise from `background` exceeds with probability
+ * 1 - level, at each period: variance * P(period) * chi2(level, dof) / dof.
+ * Complex wavelets have two degrees of freedom, real ones one.
+ *
+ * @param {ArrayLike<number>} periods - Equivalent Fourier periods of the
+ *   scales, in samples.
+ * @param {{ variance: number, alpha: number }} background - As returned by
+ *   `noiseBackground`.
+ * @param {object} [options]
+ * @param {number} [options.dof=2]
+ * @param {number[]} [options.levels=[0.9, 0.95, 0.99]]
+ * @returns {Array<{ level: number, power: Float64Array }>}
+ */
+export function significanceThresholds(periods, background, options = {}) {
+  const { dof = 2, levels = [0.9, 0.95, 0.99] } = options;
+  const spectrum = redNoiseSpectrum(periods, background.alpha);
+  return levels.map((level) => {
+    const factor = background.variance * chiSquaredQuantile(level, dof) / dof;
+    return { level, power: spectrum.map((value) => value * factor) };
+  });
+}
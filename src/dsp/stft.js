@@ -0,0 +1,123 @@
+import { rfft } from './fft.js';
+
+/**
+ * Tapers for the short-time Fourier transform, as w(n) for n = 0..N-1. The
+ * periodic forms are used, so that overlapping windows add up evenly.
+ */
+export const stftWindows = {
+  hann: {
+    label: 'Hann',
+    value: (n, N) => 0.5 - 0.5 * Math.cos(2 * Math.PI * n / N),
+  },
+  hamming: {
+    label: 'Hamming',
+    value: (n, N) => 0.54 - 0.46 * Math.cos(2 * Math.PI * n / N),
+  },
+  blackman: {
+    label: 'Blackman',
+    value: (n, N) => 0.42 - 0.5 * Math.cos(2 * Math.PI * n / N) + 0.08 * Math.cos(4 * Math.PI * n / N),
+  },
+  rectangular: {
+    label: 'Rectangular',
+    value: () => 1,
+  },
+};
+
+/**
+ * Samples of a window.
+ *
+ * @param {keyof stftWindows} type
+ * @param {number} length
+ * @returns {Float64Array}
+ */
+export function stftWindow(type, length) {
+  const definition = stftWindows[type];
+  if (!definition) {
+    throw new Error('Unknown window: ' + type);
+  }
+  return Float64Array.from({ length }, (_, n) => definition.value(n, length));
+}
+
+/**
+ * Short-time Fourier transform. Frame k is centred on sample k * hopSize,
+ * with the signal taken as zero beyond its ends, so the first frame is
+ * centred on the first sample. Each frame is scaled by 2 / sum(w), which
+ * makes a sinusoid of amplitude A peak at modulus A in its bin.
+ *
+ * @param {ArrayLike<number>} signal
+ * @param {object} [options]
+ * @param {keyof stftWindows} [options.window='hann']
+ * @param {number} [options.windowLength=256] - In samples.
+ * @param {number} [options.hopSize] - Samples between frames, at most the
+ *   window length; a quarter of it by default.
+ * @returns {{ re: Float64Array, im: Float64Array, frameCount: number,
+ *   binCount: number, frequencies: Float64Array, windowLength: number,
+ *   hopSize: number }} Row-major, one row of `frameCount` coefficients per
+ *   frequency bin; frequencies in cycles per sample.
+ */
+export function stft(signal, { window = 'hann', windowLength = 256, hopSize = Math.max(1, Math.floor(windowLength / 4)) } = {}) {
+  if (!(Number.isInteger(windowLength) && windowLength >= 2)) {
+    throw new Error('STFT needs a window of at least 2 samples');
+  }
+  if (!(Number.isInteger(hopSize) && hopSize >= 1 && hopSize <= windowLength)) {
+    throw new Error('STFT needs a hop size between 1 and the window length');
+  }
+  const taper = stftWindow(window, windowLength);
+  const gain = 2 / taper.reduce((sum, value) => sum + value, 0);
+  const half = Math.floor(windowLength / 2);
+  const frameCount = Math.floor((signal.length - 1) / hopSize) + 1;
+  const binCount = half + 1;
+  const re = new Float64Array(binCount * frameCount);
+  const im = new Float64Array(binCount * frameCount);
+  const frame = new Float64Array(windowLength);
+
+  for (let k = 0; k < frameCount; k++) {
+    const start = k * hopSize - half;
+    for (let n = 0; n < windowLength; n++) {
+      const i = start + n;
+      frame[n] = i >= 0 && i < signal.length ? signal[i] * taper[n] : 0;
+    }
+    const spectrum = rfft(frame);
+    for (let bin = 0; bin < binCount; bin++) {
+      re[bin * frameCount + k] = spectrum.re[bin] * gain;
+      im[bin * frameCount + k] = spectrum.im[bin] * gain;
+    }
+  }
+
+  return {
+    re,
+    im,
+    frameCount,
+    binCount,
+    frequencies: Float64Array.from({ length: binCount }, (_, bin) => bin / windowLength),
+    windowLength,
+    hopSize,
+  };
+}
+
+/**
+ * Spreads an STFT over a time-frequency grid, so that it can be drawn on
+ * the same axes as a wavelet transform: each grid frequency takes the
+ * nearest bin, and each sample the frame centred nearest to it. The blocks
+ * this leaves show the transform's fixed resolution as it is.
+ *
+ * @param {ReturnType<typeof stft>} transform
+ * @param {ArrayLike<number>} frequencies - Grid rows, in cycles per sample.
+ * @param {number} signalLength - Grid columns, one per sample.
+ * @returns {{ re: Float64Array, im: Float64Array }} Row-major, one row of
+ *   `signalLength` values per grid frequency.
+ */
+export function stftOnGrid(transform, frequencies, signalLength) {
+  const { frameCount, binCount, windowLength, hopSize } = transform;
+  const frames = Int32Array.from({ length: signalLength }, (_, n) => Math.min(frameCount - 1, Math.round(n / hopSize)));
+  const re = new Float64Array(frequencies.length * signalLength);
+  const im = new Float64Array(frequencies.length * signalLength);
+  for (let row = 0; row < frequencies.length; row++) {
+    const bin = Math.min(binCount - 1, Math.max(0, Math.round(frequencies[row] * windowLength)));
+    for (let n = 0; n < signalLength; n++) {
+      re[row * signalLength + n] = transform.re[bin * frameCount + frames[n]];
+      im[row * signalLength + n] = transform.im[bin * frameCount + frames[n]];
+    }
+  }
+  return { re, im };
+}
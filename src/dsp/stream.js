@@ -0,0 +1,105 @@
+import { cwt } from './cwt.js';
+import { getWavelet, resolveParameters } from './wavelets.js';
+
+// Context kept on each side of a block, in multiples of the largest scale.
+// Four scales keeps blocks within 1e-3 of a one-shot transform for every
+// wavelet in `wavelets`, including the wide-tailed derivatives of Gaussian.
+const MARGIN_SCALES = 4;
+
+/**
+ * Continuous wavelet transform of an unbounded stream, computed block by
+ * block with overlap-save.
+ *
+ * Samples are buffered until a window of `margin + hopSize + margin`
+ * samples is available. The window is transformed with `cwt` and only its
+ * central `hopSize` columns are kept, so each emitted coefficient saw
+ * `margin` samples of context on both sides and consecutive blocks join
+ * without seams. The window then slides on by `hopSize`. The stream starts
+ * with `margin` samples of silence, matching the zero padding of `cwt`.
+ *
+ * Output therefore lags the input by `hopSize + margin` samples. Since the
+ * default margin grows with the largest scale, `maxMargin` can bound the
+ * lag; scales above `fullContextScale` then see less context than they
+ * need and may show seams at block joins.
+ *
+ * @param {ArrayLike<number>} scales - Wavelet scales, in samples.
+ * @param {object} [options]
+ * @param {string|object} [options.wavelet='morlet']
+ * @param {object} [options.parameters]
+ * @param {number} [options.margin] - Context on each side of a block, in
+ *   samples. Defaults to four times the largest scale, but no more than
+ *   `maxMargin`.
+ * @param {number} [options.maxMargin=Infinity] - Upper bound on the default
+ *   margin, in samples.
+ * @param {number} [options.hopSize] - Columns per block. Defaults to the
+ *   margin, and at least 256, so that each window costs at most three times
+ *   the samples it emits.
+ * @returns {{
+ *   hopSize: number,
+ *   margin: number,
+ *   fullContextScale: number,
+ *   push: (samples: ArrayLike<number>) => Array<{ start: number, samples: Float64Array, re: Float64Array, im: Float64Array }>,
+ *   reset: () => void
+ * }} `push` returns the blocks completed by the new samples. Each block
+ *   holds its input samples, the stream index of the first one, and
+ *   row-major coefficients with one row of `hopSize` values per scale.
+ *   `fullContextScale` is the largest scale whose blocks get the full
+ *   context they need.
+ */
+export function createStreamingCwt(scales, options = {}) {
+  const definition = getWavelet(options.wavelet ?? 'morlet');
+  const parameters = resolveParameters(definition, options.parameters);
+  const maxScale = Math.max(...scales);
+  const margin = options.margin ?? Math.min(Math.ceil(MARGIN_SCALES * maxScale), options.maxMargin ?? Infinity);
+  const hopSize = options.hopSize ?? Math.max(margin, 256);
+  const windowLength = margin + hopSize + margin;
+
+  const buffer = new Float64Array(windowLength);
+  let filled;
+  let position;
+
+  const reset = () => {
+    buffer.fill(0);
+    filled = margin;
+    position = 0;
+  };
+  reset();
+
+  const transformWindow = () => {
+    const { re, im } = cwt(buffer, scales, { wavelet: definition, parameters });
+    const block = {
+      start: position,
+      samples: buffer.slice(margin, margin + hopSize),
+      re: new Float64Array(scales.length * hopSize),
+      im: new Float64Array(scales.length * hopSize),
+    };
+    for (let i = 0; i < scales.length; i++) {
+      const from = i * windowLength + margin;
+      block.re.set(re.subarray(from, from + hopSize), i * hopSize);
+      block.im.set(im.subarray(from, from + hopSize), i * hopSize);
+    }
+    position += hopSize;
+    return block;
+  };
+
+  const push = (samples) => {
+    const blocks = [];
+    for (let offset = 0; offset < samples.length;) {
+      const count = Math.min(samples.length - offset, windowLength - filled);
+      for (let k = 0; k < count; k++) {
+        buffer[filled + k] = samples[offset + k];
+      }
+      filled += count;
+      offset += count;
+
+      if (filled === windowLength) {
+        blocks.push(transformWindow());
+        buffer.copyWithin(0, hopSize);
+        filled -= hopSize;
+      }
+    }
+    return blocks;
+  };
+
+  return { hopSize, margin, fullContextScale: margin / MARGIN_SCALES, push, reset };
+}
@@ -0,0 +1,257 @@
+import { cwt } from './cwt.js';
+import { getWavelet, resolveParameters } from './wavelets.js';
+
+// Coefficients weaker than this fraction of the largest are too noisy to
+// carry a frequency estimate and are left out (the gamma threshold of
+// Thakur et al., 2013).
+const DEFAULT_THRESHOLD = 1e-3;
+
+/**
+ * K = integral over xi > 0 of conj(psi^(xi)) / xi, which relates a sum of
+ * coefficients over log-scale back to the analytic signal.
+ *
+ * @param {string|object} wavelet
+ * @param {object} [parameters]
+ * @returns {{ re: number, im: number }}
+ */
+export function reconstructionFactor(wavelet, parameters) {
+  const definition = getWavelet(wavelet);
+  const resolvedParameters = resolveParameters(definition, parameters);
+  // Trapezoidal rule in u = ln(xi), over a range wide enough for every
+  // wavelet's passband.
+  const steps = 8000;
+  const low = -12;
+  const high = 8;
+  const du = (high - low) / steps;
+  let re = 0;
+  let im = 0;
+  for (let k = 0; k <= steps; k++) {
+    const weight = k === 0 || k === steps ? du / 2 : du;
+    const [wr, wi] = definition.spectrum(Math.exp(low + k * du), resolvedParameters);
+    re += wr * weight;
+    im -= wi * weight;
+  }
+  return { re, im };
+}
+
+// Width of each scale in ln(scale), so that sums over scales approximate
+// integrals for any spacing.
+function logScaleSteps(scales) {
+  const logs = Array.from(scales, Math.log);
+  return Float64Array.from(logs, (_, j) => {
+    if (logs.length < 2) {
+      return 1;
+    }
+    const previous = logs[Math.max(0, j - 1)];
+    const next = logs[Math.min(logs.length - 1, j + 1)];
+    return Math.abs(next - previous) / (j === 0 || j === logs.length - 1 ? 1 : 2);
+  });
+}
+
+// Index of the entry of a monotonic array nearest to `value` on a log axis.
+function nearestBin(bins, value) {
+  const descending = bins[0] > bins[bins.length - 1];
+  let low = 0;
+  let high = bins.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if ((bins[mid] > value) === descending) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return Math.abs(Math.log(value / bins[low])) <= Math.abs(Math.log(value / bins[high])) ? low : high;
+}
+
+/**
+ * Wavelet synchrosqueezed transform (Daubechies, Lu & Wu, 2011). Each CWT
+ * coefficient is moved from its scale to the instantaneous frequency
+ * Im(dW/dn / W) / 2 pi it measures, which collapses the smeared band of a
+ * tone or chirp onto a sharp line. Coefficients are weighted by
+ * dln(s) / sqrt(s), so that modes can be recovered by `reconstructMode`.
+ *
+ * Frequencies are binned onto the equivalent Fourier frequencies of the
+ * scales, so the result has the same shape as the CWT.
+ *
+ * @param {ArrayLike<number>} signal
+ * @param {ArrayLike<number>} scales - In samples.
+ * @param {object} [options]
+ * @param {string|object} [options.wavelet='morlet'] - Must be complex.
+ * @param {object} [options.parameters]
+ * @param {number} [options.threshold=1e-3] - Coefficients below this
+ *   fraction of the largest modulus are dropped.
+ * @param {(message: string) => void} [options.log]
+ * @returns {{ re: Float64Array, im: Float64Array, frequencies: Float64Array, normalization: { re: number, im: number }, cwt: { re: Float64Array, im: Float64Array } }}
+ *   The synchrosqueezed transform, row-major with one row per scale; the
+ *   frequency of each row in cycles per sample; the factor K from
+ *   `reconstructionFactor`; and the underlying CWT.
+ */
+export function synchrosqueeze(signal, scales, options = {}) {
+  const { wavelet = 'morlet', parameters, threshold = DEFAULT_THRESHOLD, log = () => {} } = options;
+  const definition = getWavelet(wavelet);
+  if (!definition.complex) {
+    throw new Error('Synchrosqueezing needs a complex wavelet');
+  }
+  const resolvedParameters = resolveParameters(definition, parameters);
+  const N = signal.length;
+  const transform = cwt(signal, scales, { wavelet: definition, parameters: resolvedParameters, derivative: true, log });
+
+  const factor = definition.fourierFactor(resolvedParameters);
+  const frequencies = Float64Array.from(scales, (scale) => 1 / (factor * scale));
+  const steps = logScaleSteps(scales);
+
+  let maxModulus = 0;
+  for (let i = 0; i < transform.re.length; i++) {
+    maxModulus = Math.max(maxModulus, Math.hypot(transform.re[i], transform.im[i]));
+  }
+  const floor = threshold * maxModulus;
+
+  log('Synchrosqueezing ' + scales.length + ' scales');
+  const re = new Float64Array(scales.length * N);
+  const im = new Float64Array(scales.length * N);
+  const lowest = Math.min(frequencies[0], frequencies[frequencies.length - 1]);
+  const highest = Math.max(frequencies[0], frequencies[frequencies.length - 1]);
+  for (let j = 0; j < scales.length; j++) {
+    const weight = steps[j] / Math.sqrt(scales[j]);
+    for (let n = 0; n < N; n++) {
+      const i = j * N + n;
+      const wr = transform.re[i];
+      const wi = transform.im[i];
+      const power = wr * wr + wi * wi;
+      if (power === 0 || Math.sqrt(power) < floor) {
+        continue;
+      }
+      const frequency = (transform.dim[i] * wr - transform.dre[i] * wi) / power / (2 * Math.PI);
+      // Energy measured outside the analysed band has nowhere to go.
+      if (!(frequency > lowest / Math.SQRT2 && frequency < highest * Math.SQRT2)) {
+        continue;
+      }
+      const row = nearestBin(frequencies, frequency);
+      re[row * N + n] += wr * weight;
+      im[row * N + n] += wi * weight;
+    }
+  }
+
+  return {
+    re,
+    im,
+    frequencies,
+    normalization: reconstructionFactor(definition, resolvedParameters),
+    cwt: { re: transform.re, im: transform.im }
+  };
+}
+
+/**
+ * Recovers one mode from a synchrosqueezed transform as an analytic signal,
+ * by summing its rows over a frequency band: z(n) = 2 sum T(row, n) / K.
+ * Its real part is the mode and its modulus the mode's amplitude.
+ *
+ * @param {{ re: ArrayLike<number>, im: ArrayLike<number>, normalization: { re: number, im: number } }} transform
+ *   As returned by `synchrosqueeze`.
+ * @param {number} signalLength
+ * @param {object} band - Either `rows: [first, last]`, a fixed band of
+ *   rows, or `ridge`, a row index per sample (negative where the mode is
+ *   absent), with `halfWidth` rows either side.
+ * @returns {{ re: Float64Array, im: Float64Array }}
+ */
+export function analyticMode(transform, signalLength, band) {
+  const rowCount = transform.re.length / signalLength;
+  const { re: kr, im: ki } = transform.normalization;
+  const scale = 2 / (kr * kr + ki * ki);
+  const re = new Float64Array(signalLength);
+  const im = new Float64Array(signalLength);
+
+  for (let n = 0; n < signalLength; n++) {
+    let first;
+    let last;
+    if (band.ridge) {
+      if (!(band.ridge[n] >= 0)) {
+        continue;
+      }
+      first = band.ridge[n] - (band.halfWidth ?? 0);
+      last = band.ridge[n] + (band.halfWidth ?? 0);
+    } else {
+      [first, last] = band.rows;
+    }
+    let sr = 0;
+    let si = 0;
+    for (let row = Math.max(0, first); row <= Math.min(rowCount - 1, last); row++) {
+      sr += transform.re[row * signalLength + n];
+      si += transform.im[row * signalLength + n];
+    }
+    // S / K = S conj(K) / |K|^2.
+    re[n] = (sr * kr + si * ki) * scale;
+    im[n] = (si * kr - sr * ki) * scale;
+  }
+  return { re, im };
+}
+
+/**
+ * Recovers one mode from a synchrosqueezed transform: the real part of
+ * `analyticMode`, x(n) = 2 Re(sum T(row, n) / K).
+ *
+ * @param {object} transform - As returned by `synchrosqueeze`.
+ * @param {number} signalLength
+ * @param {object} band - As for `analyticMode`.
+ * @returns {Float64Array}
+ */
+export function reconstructMode(transform, signalLength, band) {
+  return analyticMode(transform, signalLength, band).re;
+}
+
+/**
+ * Splits a synchrosqueezed transform into frequency bands around its
+ * strongest rows, for use with `reconstructMode`. Each band runs from one
+ * peak of the time-averaged energy down to the troughs on either side.
+ *
+ * @param {{ re: ArrayLike<number>, im: ArrayLike<number> }} transform
+ * @param {number} signalLength
+ * @param {object} [options]
+ * @param {number} [options.maxModes=3]
+ * @param {number} [options.minRelativeEnergy=0.05] - Peaks weaker than this
+ *   fraction of the strongest are ignored.
+ * @returns {Array<[number, number]>} Row ranges, strongest first.
+ */
+export function detectModeBands(transform, signalLength, options = {}) {
+  const { maxModes = 3, minRelativeEnergy = 0.05 } = options;
+  const rowCount = transform.re.length / signalLength;
+  const energy = Float64Array.from({ length: rowCount }, (_, row) => {
+    let sum = 0;
+    for (let n = 0; n < signalLength; n++) {
+      const i = row * signalLength + n;
+      sum += transform.re[i] * transform.re[i] + transform.im[i] * transform.im[i];
+    }
+    return sum;
+  });
+  const strongest = Math.max(...energy);
+  if (!(strongest > 0)) {
+    return [];
+  }
+
+  const peaks = [];
+  for (let row = 0; row < rowCount; row++) {
+    const isPeak = (row === 0 || energy[row] > energy[row - 1]) && (row === rowCount - 1 || energy[row] >= energy[row + 1]);
+    if (isPeak && energy[row] >= minRelativeEnergy * strongest) {
+      peaks.push(row);
+    }
+  }
+  // A trough between two peaks goes to the stronger one, so bands never
+  // share a row.
+  const claimed = new Uint8Array(rowCount);
+  return peaks
+    .sort((a, b) => energy[b] - energy[a])
+    .slice(0, maxModes)
+    .map((peak) => {
+      let first = peak;
+      while (first > 0 && !claimed[first - 1] && energy[first - 1] > 0 && energy[first - 1] <= energy[first]) {
+        first--;
+      }
+      let last = peak;
+      while (last < rowCount - 1 && !claimed[last + 1] && energy[last + 1] > 0 && energy[last + 1] <= energy[last]) {
+        last++;
+      }
+      claimed.fill(1, first, last + 1);
+      return [first, last];
+    });
+}
@@ -0,0 +1,47 @@
+/**
+ * Ways of looking at complex CWT coefficients. `cyclic` views wrap around
+ * and should be drawn with a cyclic colormap; `signed` views are centred on
+ * zero. Views with a `decibels` factor (10 for power, 20 for amplitude) can
+ * be shown on a log scale.
+ */
+export const coefficientViews = {
+  modulus: { label: 'Modulus', cyclic: false, signed: false, decibels: 20 },
+  power: { label: 'Power', cyclic: false, signed: false, decibels: 10 },
+  phase: { label: 'Phase', cyclic: true, signed: true },
+  real: { label: 'Real Part', cyclic: false, signed: true },
+  imag: { label: 'Imaginary Part', cyclic: false, signed: true },
+};
+
+/**
+ * Reduces complex coefficients to one real value per coefficient.
+ *
+ * @param {ArrayLike<number>} re
+ * @param {ArrayLike<number>} im
+ * @param {keyof coefficientViews} view
+ * @returns {Float64Array} Phase is in radians, in [-pi, pi].
+ */
+export function coefficientView(re, im, view) {
+  const out = new Float64Array(re.length);
+  for (let i = 0; i < re.length; i++) {
+    switch (view) {
+      case 'modulus':
+        out[i] = Math.hypot(re[i], im[i]);
+        break;
+      case 'power':
+        out[i] = re[i] * re[i] + im[i] * im[i];
+        break;
+      case 'phase':
+        out[i] = Math.atan2(im[i], re[i]);
+        break;
+      case 'real':
+        out[i] = re[i];
+        break;
+      case 'imag':
+        out[i] = im[i];
+        break;
+      default:
+        throw new Error('Unknown coefficient view: ' + view);
+    }
+  }
+  return out;
+}
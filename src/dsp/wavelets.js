@@ -0,0 +1,287 @@
+/**
+ * Mother wavelets, defined by their Fourier transforms as in Torrence &
+ * Compo (1998). `spectrum(omega, parameters)` returns `[re, im]` of
+ * psi^(omega) = integral of psi(x) exp(-i omega x) dx at angular frequency
+ * `omega` (radians per unit of dimensionless time), normalised so that psi
+ * has unit L2 norm. Each definition also lists its tunable `parameters`
+ * (with slider ranges and defaults), and provides the `fourierFactor` that
+ * converts a scale into the equivalent Fourier period
+ * (period = fourierFactor * scale) and the `efoldingFactor` that gives the
+ * e-folding time used for the cone of influence: the distance from an edge,
+ * in units of scale, at which the wavelet's power envelope has dropped by
+ * e^-2 (time = efoldingFactor * scale).
+ *
+ * Wavelets flagged `complex` are complex in the time domain; the others are
+ * real, so their spectra are Hermitian.
+ */
+
+const SQRT_2PI = Math.sqrt(2 * Math.PI);
+
+function factorial(n) {
+  let result = 1;
+  for (let k = 2; k <= n; k++) {
+    result *= k;
+  }
+  return result;
+}
+
+// Gamma(m + 1/2) for integer m >= 0.
+function gammaHalfInteger(m) {
+  let result = Math.sqrt(Math.PI);
+  for (let k = 1; k <= m; k++) {
+    result *= k - 0.5;
+  }
+  return result;
+}
+
+// i^m as [re, im].
+function powerOfI(m) {
+  return [[1, 0], [0, 1], [-1, 0], [0, -1]][((m % 4) + 4) % 4];
+}
+
+// Centred cardinal B-spline of the given degree, which has unit area.
+function centredBSpline(degree, u) {
+  // Outside its support the truncated powers below cancel only up to
+  // rounding, which grows as |u|^degree.
+  if (Math.abs(u) >= (degree + 1) / 2) {
+    return 0;
+  }
+  let sum = 0;
+  for (let k = 0; k <= degree + 1; k++) {
+    const x = u + (degree + 1) / 2 - k;
+    if (x > 0) {
+      const binomial = factorial(degree + 1) / (factorial(k) * factorial(degree + 1 - k));
+      sum += (k % 2 === 0 ? 1 : -1) * binomial * x ** degree;
+    }
+  }
+  return sum / factorial(degree);
+}
+
+// Integral of w^(2m) exp(-(w - 1)^2 / 2) dw = sqrt(2 pi) E[(1 + Z)^(2m)].
+function complexGaussianEnergy(order) {
+  let moment = 0;
+  let doubleFactorial = 1;
+  for (let j = 0; j <= order; j++) {
+    if (j > 0) {
+      doubleFactorial *= 2 * j - 1;
+    }
+    moment += factorial(2 * order) / (factorial(2 * j) * factorial(2 * order - 2 * j)) * doubleFactorial;
+  }
+  return SQRT_2PI * moment;
+}
+
+/**
+ * Complex Morlet wavelet, pi^(-1/4) exp(i w0 x) exp(-x^2 / 2), made exactly
+ * analytic by dropping its negligible negative-frequency tail.
+ */
+export const morlet = {
+  label: 'Morlet',
+  complex: true,
+  parameters: {
+    omega0: { label: 'Central Frequency (ω0)', min: 5, max: 20, step: 0.5, default: 6 },
+  },
+  fourierFactor: ({ omega0 }) => 4 * Math.PI / (omega0 + Math.sqrt(2 + omega0 * omega0)),
+  efoldingFactor: () => Math.SQRT2,
+  spectrum(omega, { omega0 }) {
+    if (omega <= 0) {
+      return [0, 0];
+    }
+    return [SQRT_2PI * Math.PI ** -0.25 * Math.exp(-((omega - omega0) ** 2) / 2), 0];
+  },
+};
+
+/**
+ * Paul wavelet of order m, 2^m i^m m! / sqrt(pi (2m)!) (1 - ix)^-(m+1).
+ */
+export const paul = {
+  label: 'Paul',
+  complex: true,
+  parameters: {
+    order: { label: 'Order (m)', min: 1, max: 20, step: 1, default: 4 },
+  },
+  fourierFactor: ({ order }) => 4 * Math.PI / (2 * order + 1),
+  // |psi|^2 falls as (1 + x^2)^-(m+1); about 1/sqrt(2) for m = 4.
+  efoldingFactor: ({ order }) => Math.sqrt(Math.exp(2 / (order + 1)) - 1),
+  spectrum(omega, { order }) {
+    if (omega <= 0) {
+      return [0, 0];
+    }
+    const norm = 2 ** order / Math.sqrt(order * factorial(2 * order - 1));
+    return [SQRT_2PI * norm * omega ** order * Math.exp(-omega), 0];
+  },
+};
+
+/**
+ * Derivative of Gaussian of order m,
+ * (-1)^(m+1) / sqrt(Gamma(m + 1/2)) d^m/dx^m exp(-x^2 / 2).
+ */
+export const dog = {
+  label: 'Derivative of Gaussian',
+  complex: false,
+  parameters: {
+    order: { label: 'Order (m)', min: 1, max: 12, step: 1, default: 2 },
+  },
+  fourierFactor: ({ order }) => 2 * Math.PI / Math.sqrt(order + 0.5),
+  efoldingFactor: () => Math.SQRT2,
+  spectrum(omega, { order }) {
+    const magnitude = (order % 2 === 0 ? -1 : 1) * SQRT_2PI * omega ** order
+      * Math.exp(-omega * omega / 2) / Math.sqrt(gammaHalfInteger(order));
+    const [re, im] = powerOfI(order);
+    return [re * magnitude, im * magnitude];
+  },
+};
+
+/**
+ * Mexican hat (Ricker) wavelet, the second derivative of Gaussian.
+ */
+export const mexicanHat = {
+  label: 'Mexican Hat',
+  complex: false,
+  parameters: {},
+  fourierFactor: () => dog.fourierFactor({ order: 2 }),
+  efoldingFactor: () => dog.efoldingFactor({ order: 2 }),
+  spectrum(omega) {
+    return dog.spectrum(omega, { order: 2 });
+  },
+};
+
+/**
+ * Gabor wavelet, a Gaussian-windowed complex exponential with adjustable
+ * width: (pi sigma^2)^(-1/4) exp(-x^2 / (2 sigma^2)) exp(i w0 x). Morlet is
+ * the special case sigma = 1.
+ */
+export const gabor = {
+  label: 'Gabor',
+  complex: true,
+  parameters: {
+    omega0: { label: 'Central Frequency (ω0)', min: 1, max: 20, step: 0.5, default: 6 },
+    bandwidth: { label: 'Bandwidth (σ)', min: 0.25, max: 4, step: 0.25, default: 1.5 },
+  },
+  fourierFactor: ({ omega0, bandwidth }) =>
+    4 * Math.PI / (omega0 + Math.sqrt(omega0 * omega0 + 2 / (bandwidth * bandwidth))),
+  efoldingFactor: ({ bandwidth }) => Math.SQRT2 * bandwidth,
+  spectrum(omega, { omega0, bandwidth }) {
+    const norm = (Math.PI * bandwidth * bandwidth) ** -0.25 * bandwidth * SQRT_2PI;
+    return [norm * Math.exp(-bandwidth * bandwidth * (omega - omega0) ** 2 / 2), 0];
+  },
+};
+
+/**
+ * Complex Shannon wavelet, sqrt(B) sinc(B x) exp(2 pi i C x): an ideal
+ * band-pass of width B centred on C cycles per unit time.
+ */
+export const shannon = {
+  label: 'Shannon',
+  complex: true,
+  parameters: {
+    bandwidth: { label: 'Bandwidth (B)', min: 0.1, max: 2, step: 0.1, default: 1 },
+    centerFrequency: { label: 'Center Frequency (C)', min: 0.5, max: 3, step: 0.1, default: 1.5 },
+  },
+  fourierFactor: ({ centerFrequency }) => 1 / centerFrequency,
+  // The sinc envelope 1 / (pi B x) decays slowly, so the cone is wide.
+  efoldingFactor: ({ bandwidth }) => Math.E / (Math.PI * bandwidth),
+  spectrum(omega, { bandwidth, centerFrequency }) {
+    const f = omega / (2 * Math.PI);
+    return [Math.abs(f - centerFrequency) < bandwidth / 2 ? 1 / Math.sqrt(bandwidth) : 0, 0];
+  },
+};
+
+/**
+ * Frequency B-spline wavelet, A sinc(B x / M)^M exp(2 pi i C x). Its
+ * spectrum is a B-spline of order M and width B centred on C cycles per
+ * unit time; M = 1 gives the Shannon wavelet.
+ */
+export const fbsp = {
+  label: 'Frequency B-Spline',
+  complex: true,
+  parameters: {
+    order: { label: 'Order (M)', min: 1, max: 6, step: 1, default: 2 },
+    bandwidth: { label: 'Bandwidth (B)', min: 0.1, max: 2, step: 0.1, default: 1 },
+    centerFrequency: { label: 'Center Frequency (C)', min: 0.5, max: 3, step: 0.1, default: 1.5 },
+  },
+  fourierFactor: ({ centerFrequency }) => 1 / centerFrequency,
+  // Envelope (M / (pi B x))^M.
+  efoldingFactor: ({ order, bandwidth }) => order * Math.exp(1 / order) / (Math.PI * bandwidth),
+  spectrum(omega, { order, bandwidth, centerFrequency }) {
+    const f = omega / (2 * Math.PI);
+    const norm = Math.sqrt(order / (bandwidth * centredBSpline(2 * order - 1, 0)));
+    return [norm * centredBSpline(order - 1, order * (f - centerFrequency) / bandwidth), 0];
+  },
+};
+
+/**
+ * Complex Gaussian wavelet of order m, the normalised m-th derivative of
+ * exp(ix - x^2).
+ */
+export const cgau = {
+  label: 'Complex Gaussian',
+  complex: true,
+  parameters: {
+    order: { label: 'Order (m)', min: 1, max: 8, step: 1, default: 2 },
+  },
+  fourierFactor: ({ order }) => 4 * Math.PI / (1 + Math.sqrt(8 * order + 5)),
+  // Gaussian envelope exp(-x^2).
+  efoldingFactor: () => 1,
+  spectrum(omega, { order }) {
+    const norm = Math.sqrt(2 * Math.PI / complexGaussianEnergy(order));
+    const magnitude = norm * omega ** order * Math.exp(-((omega - 1) ** 2) / 4);
+    const [re, im] = powerOfI(order);
+    return [re * magnitude, im * magnitude];
+  },
+};
+
+export const wavelets = {
+  morlet,
+  mexicanHat,
+  paul,
+  dog,
+  gabor,
+  shannon,
+  fbsp,
+  cgau,
+};
+
+/**
+ * Resolves a wavelet name to its definition. Definitions are passed through
+ * unchanged.
+ */
+export function getWavelet(wavelet) {
+  if (typeof wavelet === 'object' && wavelet !== null) {
+    return wavelet;
+  }
+  const definition = wavelets[wavelet];
+  if (!definition) {
+    throw new Error('Unknown wavelet: ' + wavelet);
+  }
+  return definition;
+}
+
+/**
+ * Default parameter values for a wavelet, keyed by parameter name.
+ */
+export function defaultParameters(wavelet) {
+  const { parameters } = getWavelet(wavelet);
+  return Object.fromEntries(Object.entries(parameters).map(([name, { default: value }]) => [name, value]));
+}
+
+/**
+ * Fills in any missing parameters with their defaults.
+ */
+export function resolveParameters(wavelet, parameters = {}) {
+  return { ...defaultParameters(wavelet), ...parameters };
+}
+
+/**
+ * Converts scales to equivalent Fourier periods, in the same units as the
+ * scales.
+ *
+ * @param {ArrayLike<number>} scales
+ * @param {string|object} wavelet
+ * @param {object} [parameters]
+ * @returns {Float64Array}
+ */
+export function scaleToPeriod(scales, wavelet, parameters) {
+  const definition = getWavelet(wavelet);
+  const factor = definition.fourierFactor(resolveParameters(definition, parameters));
+  return Float64Array.from(scales, (scale) => scale * factor);
+}
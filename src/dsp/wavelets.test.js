@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wavelets, defaultParameters } from './wavelets.js';
+
+// Every wavelet at its defaults and with each parameter at either end of
+// its range.
+function parameterCases(definition) {
+  const defaults = defaultParameters(definition);
+  const cases = [defaults];
+  for (const [name, { min, max }] of Object.entries(definition.parameters)) {
+    cases.push({ ...defaults, [name]: min }, { ...defaults, [name]: max });
+  }
+  return cases;
+}
+
+test('wavelet spectra have unit norm', () => {
+  // psi has unit L2 norm, so by Parseval the integral of |psi^|^2 over
+  // angular frequency is 2 pi.
+  const step = 0.0005;
+  for (const [name, definition] of Object.entries(wavelets)) {
+    for (const parameters of parameterCases(definition)) {
+      let energy = 0;
+      for (let omega = -100; omega <= 100; omega += step) {
+        const [re, im] = definition.spectrum(omega, parameters);
+        energy += (re * re + im * im) * step;
+      }
+      const norm = energy / (2 * Math.PI);
+      assert.ok(Math.abs(norm - 1) < 2e-3, name + ' ' + JSON.stringify(parameters) + ': norm ' + norm);
+    }
+  }
+});
+
+test('real wavelets have Hermitian spectra', () => {
+  for (const [name, definition] of Object.entries(wavelets)) {
+    if (definition.complex) {
+      continue;
+    }
+    for (const parameters of parameterCases(definition)) {
+      for (let omega = 0.1; omega < 20; omega += 0.1) {
+        const [re, im] = definition.spectrum(omega, parameters);
+        const [mirrorRe, mirrorIm] = definition.spectrum(-omega, parameters);
+        assert.ok(Math.abs(re - mirrorRe) < 1e-12 && Math.abs(im + mirrorIm) < 1e-12, name + ' at ' + omega);
+      }
+    }
+  }
+});
@@ -0,0 +1,81 @@
+const DELIMITERS = [',', ';', '\t'];
+
+function splitLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function detectDelimiter(lines) {
+  const sample = lines.slice(0, 10);
+  let best = DELIMITERS[0];
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = Math.min(...sample.map((line) => splitLine(line, delimiter).length));
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+const isNumeric = (field) => field !== '' && Number.isFinite(Number(field));
+
+/**
+ * Parses delimited text (comma, semicolon or tab separated, detected from
+ * the first lines) into numeric columns. A first row containing any
+ * non-numeric field is treated as a header; otherwise columns are named
+ * "Column 1", "Column 2", and so on. Blank lines and lines starting with `#`
+ * are skipped, and cells that are not numbers become NaN.
+ *
+ * @param {string} text
+ * @returns {{ kind: 'table', columns: string[], data: Float64Array[] }}
+ */
+export function parseCsv(text) {
+  const lines = text
+    .split(/\r\n|\n|\r/)
+    .filter((line) => line.trim() !== '' && !line.trimStart().startsWith('#'));
+  if (lines.length === 0) {
+    throw new Error('CSV file is empty');
+  }
+
+  const delimiter = detectDelimiter(lines);
+  const rows = lines.map((line) => splitLine(line, delimiter));
+  const hasHeader = rows[0].some((field) => !isNumeric(field));
+  const width = Math.max(...rows.map((row) => row.length));
+  const columns = Array.from({ length: width }, (_, i) =>
+    hasHeader && rows[0][i] ? rows[0][i] : 'Column ' + (i + 1)
+  );
+  const body = hasHeader ? rows.slice(1) : rows;
+  if (body.length === 0) {
+    throw new Error('CSV file has no data rows');
+  }
+
+  const data = columns.map((_, i) =>
+    Float64Array.from(body, (row) => (isNumeric(row[i] ?? '') ? Number(row[i]) : NaN))
+  );
+  return { kind: 'table', columns, data };
+}
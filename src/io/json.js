@@ -0,0 +1,63 @@
+const VALUE_KEYS = ['values', 'data', 'signal', 'samples'];
+const RATE_KEYS = ['samplingRate', 'sampleRate', 'fs'];
+
+// Numbers and numeric strings; anything else, such as null, a missing
+// entry or an empty string, becomes NaN rather than the 0 that `Number`
+// would make of it, so that `extractSignal` drops and reports it.
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+};
+
+/**
+ * Parses a JSON signal. Accepted shapes are:
+ *
+ * - an array of numbers, one sample each;
+ * - an array of objects, read as a table with one column per numeric key
+ *   (for example `[{ "t": 0, "value": 1.2 }, ...]`);
+ * - an object with a sample array under `values`, `data`, `signal` or
+ *   `samples`, and optionally a rate under `samplingRate`, `sampleRate` or
+ *   `fs`.
+ *
+ * Entries that are not numbers, including nulls and keys missing from a
+ * record, become NaN.
+ *
+ * @param {string} text
+ * @returns {{ kind: 'table', columns: string[], data: Float64Array[] }
+ *   | { kind: 'channels', channels: Float64Array[], samplingRate: number|null }}
+ */
+export function parseSignalJson(text) {
+  const parsed = JSON.parse(text);
+
+  if (Array.isArray(parsed)) {
+    if (parsed.length === 0) {
+      throw new Error('JSON array is empty');
+    }
+    if (typeof parsed[0] === 'object' && parsed[0] !== null) {
+      const columns = Object.keys(parsed[0]).filter((key) => Number.isFinite(toNumber(parsed[0][key])));
+      if (columns.length === 0) {
+        throw new Error('JSON objects have no numeric fields');
+      }
+      const data = columns.map((key) => Float64Array.from(parsed, (row) => toNumber(row?.[key])));
+      return { kind: 'table', columns, data };
+    }
+    return { kind: 'channels', channels: [Float64Array.from(parsed, toNumber)], samplingRate: null };
+  }
+
+  if (typeof parsed === 'object' && parsed !== null) {
+    const valueKey = VALUE_KEYS.find((key) => Array.isArray(parsed[key]));
+    if (!valueKey) {
+      throw new Error('JSON object has no ' + VALUE_KEYS.join('/') + ' array');
+    }
+    const rateKey = RATE_KEYS.find((key) => Number(parsed[key]) > 0);
+    return {
+      kind: 'channels',
+      channels: [Float64Array.from(parsed[valueKey], toNumber)],
+      samplingRate: rateKey ? Number(parsed[rateKey]) : null,
+    };
+  }
+
+  throw new Error('JSON must be an array or an object');
+}
@@ -0,0 +1,129 @@
+const MAGIC = [0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59];
+// Magic, version and header length come before the header text, and the
+// whole preamble is padded to a multiple of this many bytes.
+const PREAMBLE_BYTES = 10;
+const ALIGNMENT = 64;
+
+/**
+ * Encodes an array as a NumPy .npy file (format version 1.0), readable with
+ * `numpy.load`. Values are stored as little-endian float64 in C order, or as
+ * complex128 when `complex` is set and `data` interleaves real and
+ * imaginary parts.
+ *
+ * @param {ArrayLike<number>} data
+ * @param {number[]} shape
+ * @param {object} [options]
+ * @param {boolean} [options.complex=false]
+ * @returns {ArrayBuffer}
+ */
+export function encodeNpy(data, shape, { complex = false } = {}) {
+  const count = shape.reduce((product, size) => product * size, 1) * (complex ? 2 : 1);
+  if (data.length !== count) {
+    throw new Error('Array of ' + data.length + ' values does not match shape (' + shape.join(', ') + ')');
+  }
+
+  const shapeText = '(' + shape.join(', ') + (shape.length === 1 ? ',)' : ')');
+  let header = "{'descr': '" + (complex ? '<c16' : '<f8') + "', 'fortran_order': False, 'shape': " + shapeText + ', }';
+  const padding = (ALIGNMENT - (PREAMBLE_BYTES + header.length + 1) % ALIGNMENT) % ALIGNMENT;
+  header += ' '.repeat(padding) + '\n';
+
+  const offset = PREAMBLE_BYTES + header.length;
+  const buffer = new ArrayBuffer(offset + count * 8);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  bytes.set(MAGIC);
+  bytes[6] = 1;
+  bytes[7] = 0;
+  view.setUint16(8, header.length, true);
+  for (let i = 0; i < header.length; i++) {
+    bytes[PREAMBLE_BYTES + i] = header.charCodeAt(i);
+  }
+  for (let i = 0; i < count; i++) {
+    view.setFloat64(offset + i * 8, data[i], true);
+  }
+  return buffer;
+}
+
+// CRC-32 (IEEE 802.3) lookup table, as zip archives check their entries with.
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Zip timestamps are MS-DOS dates; 0x21 is 1 January 1980, the earliest.
+const DOS_DATE = 0x21;
+
+/**
+ * Encodes several arrays as a NumPy .npz file: an uncompressed zip archive
+ * of one `<name>.npy` entry per array, which `numpy.load` opens as a
+ * mapping from name to array.
+ *
+ * @param {Object<string, { data: ArrayLike<number>, shape: number[], complex?: boolean }>} arrays
+ * @returns {ArrayBuffer}
+ */
+export function encodeNpz(arrays) {
+  const entries = Object.entries(arrays).map(([name, { data, shape, complex }]) => {
+    const bytes = new Uint8Array(encodeNpy(data, shape, { complex }));
+    return { name: Array.from(name + '.npy', (char) => char.charCodeAt(0)), bytes, crc: crc32(bytes) };
+  });
+  const localSize = entries.reduce((sum, { name, bytes }) => sum + 30 + name.length + bytes.length, 0);
+  const centralSize = entries.reduce((sum, { name }) => sum + 46 + name.length, 0);
+  const buffer = new ArrayBuffer(localSize + centralSize + 22);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  // Fields shared by the local and central headers, from the version
+  // needed to extract (2.0) to the file name length.
+  const writeCommon = (at, { name, bytes: data, crc }) => {
+    view.setUint16(at, 20, true);
+    view.setUint16(at + 2, 0, true);
+    view.setUint16(at + 4, 0, true);
+    view.setUint16(at + 6, 0, true);
+    view.setUint16(at + 8, DOS_DATE, true);
+    view.setUint32(at + 10, crc, true);
+    view.setUint32(at + 14, data.length, true);
+    view.setUint32(at + 18, data.length, true);
+    view.setUint16(at + 22, name.length, true);
+  };
+
+  let at = 0;
+  const offsets = entries.map((entry) => {
+    const offset = at;
+    view.setUint32(at, 0x04034b50, true);
+    writeCommon(at + 4, entry);
+    view.setUint16(at + 28, 0, true);
+    bytes.set(entry.name, at + 30);
+    bytes.set(entry.bytes, at + 30 + entry.name.length);
+    at += 30 + entry.name.length + entry.bytes.length;
+    return offset;
+  });
+  entries.forEach((entry, i) => {
+    view.setUint32(at, 0x02014b50, true);
+    view.setUint16(at + 4, 20, true);
+    writeCommon(at + 6, entry);
+    // Extra field and comment lengths, disk number, attributes.
+    for (let field = at + 30; field < at + 42; field++) {
+      bytes[field] = 0;
+    }
+    view.setUint32(at + 42, offsets[i], true);
+    bytes.set(entry.name, at + 46);
+    at += 46 + entry.name.length;
+  });
+  view.setUint32(at, 0x06054b50, true);
+  view.setUint16(at + 8, entries.length, true);
+  view.setUint16(at + 10, entries.length, true);
+  view.setUint32(at + 12, centralSize, true);
+  view.setUint32(at + 16, localSize, true);
+  return buffer;
+}
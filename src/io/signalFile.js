@@ -0,0 +1,114 @@
+import { parseCsv } from './csv.js';
+import { parseSignalJson } from './json.js';
+import { decodeWav } from './wav.js';
+
+/**
+ * Reads a signal file chosen by the user and parses it by extension: `.wav`
+ * is decoded as audio, `.json` as JSON, and anything else as delimited
+ * text.
+ *
+ * @param {File} file
+ * @returns {Promise<object>} A parsed source for `extractSignal`, with the
+ *   file name attached.
+ */
+export async function readSignalFile(file) {
+  const name = file.name.toLowerCase();
+  let source;
+  if (name.endsWith('.wav') || name.endsWith('.wave')) {
+    source = decodeWav(await file.arrayBuffer());
+  } else if (name.endsWith('.json')) {
+    source = parseSignalJson(await file.text());
+  } else {
+    source = parseCsv(await file.text());
+  }
+  return { ...source, name: file.name };
+}
+
+/**
+ * Estimates a sampling rate from sample times, using the median spacing so
+ * a few irregular steps do not throw it off.
+ *
+ * @param {ArrayLike<number>} times - Sample times, in seconds.
+ * @returns {number|null} Samples per second, or null if the times do not
+ *   increase.
+ */
+export function inferSamplingRate(times) {
+  const steps = [];
+  for (let i = 1; i < times.length; i++) {
+    const step = times[i] - times[i - 1];
+    if (Number.isFinite(step)) {
+      steps.push(step);
+    }
+  }
+  if (steps.length === 0) {
+    return null;
+  }
+  steps.sort((a, b) => a - b);
+  const median = steps[Math.floor(steps.length / 2)];
+  return median > 0 ? 1 / median : null;
+}
+
+/**
+ * Picks one signal out of a parsed source.
+ *
+ * @param {object} source - Result of `readSignalFile` or one of the parsers.
+ * @param {object} [options]
+ * @param {number} [options.column=0] - Value column, for tables.
+ * @param {number} [options.timeColumn=-1] - Time column in seconds, for
+ *   tables; -1 for none.
+ * @param {number} [options.channel=0] - Channel, for audio.
+ * @returns {{ values: Float64Array, samplingRate: number|null, dropped: number }}
+ *   Rows where the value (or time) is not a number are dropped, and
+ *   counted in `dropped`. `samplingRate` is null when the source does not
+ *   define one.
+ */
+export function extractSignal(source, { column = 0, timeColumn = -1, channel = 0 } = {}) {
+  if (source.kind === 'channels') {
+    const values = source.channels[channel];
+    if (!values) {
+      throw new Error('No channel ' + (channel + 1));
+    }
+    const finite = values.filter(Number.isFinite);
+    return { values: finite, samplingRate: source.samplingRate, dropped: values.length - finite.length };
+  }
+
+  const valueData = source.data[column];
+  if (!valueData) {
+    throw new Error('No column ' + (column + 1));
+  }
+  const timeData = timeColumn >= 0 ? source.data[timeColumn] : null;
+  const keep = (i) => Number.isFinite(valueData[i]) && (!timeData || Number.isFinite(timeData[i]));
+  const indices = [];
+  for (let i = 0; i < valueData.length; i++) {
+    if (keep(i)) {
+      indices.push(i);
+    }
+  }
+
+  return {
+    values: Float64Array.from(indices, (i) => valueData[i]),
+    samplingRate: timeData ? inferSamplingRate(indices.map((i) => timeData[i])) : null,
+    dropped: valueData.length - indices.length,
+  };
+}
+
+/**
+ * Brings a signal down to 1 / `factor` of its sampling rate by averaging
+ * every `factor` samples into one, as live audio is captured. A last
+ * partial group is dropped.
+ *
+ * @param {ArrayLike<number>} values
+ * @param {number} factor - A positive integer.
+ * @returns {Float64Array}
+ */
+export function decimateSignal(values, factor) {
+  const result = new Float64Array(Math.floor(values.length / factor));
+  for (let i = 0; i < result.length; i++) {
+    let sum = 0;
+    for (let k = 0; k < factor; k++) {
+      sum += values[i * factor + k];
+    }
+    result[i] = sum / factor;
+  }
+  return result;
+}
@@ -0,0 +1,99 @@
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+function sampleReader(view, format, bitsPerSample) {
+  if (format === FORMAT_FLOAT && bitsPerSample === 32) {
+    return (offset) => view.getFloat32(offset, true);
+  }
+  if (format === FORMAT_FLOAT && bitsPerSample === 64) {
+    return (offset) => view.getFloat64(offset, true);
+  }
+  if (format === FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8:
+        return (offset) => (view.getUint8(offset) - 128) / 128;
+      case 16:
+        return (offset) => view.getInt16(offset, true) / 32768;
+      case 24:
+        return (offset) => {
+          const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+          return value / 8388608;
+        };
+      case 32:
+        return (offset) => view.getInt32(offset, true) / 2147483648;
+    }
+  }
+  throw new Error('Unsupported WAV encoding: format ' + format + ', ' + bitsPerSample + ' bits');
+}
+
+/**
+ * Decodes a RIFF/WAVE file holding integer PCM (8, 16, 24 or 32 bit) or
+ * IEEE float (32 or 64 bit) samples, entirely in JavaScript. Integer
+ * samples are scaled to [-1, 1).
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {{ kind: 'channels', channels: Float64Array[], samplingRate: number }}
+ */
+export function decodeWav(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const tag = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (tag === 'fmt ') {
+      format = {
+        audioFormat: view.getUint16(body, true),
+        channelCount: view.getUint16(body + 2, true),
+        samplingRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+      if (format.audioFormat === FORMAT_EXTENSIBLE && size >= 26) {
+        format.audioFormat = view.getUint16(body + 24, true);
+      }
+    } else if (tag === 'data') {
+      data = { offset: body, size: Math.min(size, view.byteLength - body) };
+    }
+    // Chunks are padded to an even number of bytes.
+    offset = body + size + (size % 2);
+  }
+
+  if (!format) {
+    throw new Error('WAV file has no fmt chunk');
+  }
+  if (!data) {
+    throw new Error('WAV file has no data chunk');
+  }
+
+  const { audioFormat, channelCount, samplingRate, blockAlign, bitsPerSample } = format;
+  const read = sampleReader(view, audioFormat, bitsPerSample);
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = Math.floor(data.size / blockAlign);
+  const channels = Array.from({ length: channelCount }, () => new Float64Array(frameCount));
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const frameOffset = data.offset + frame * blockAlign;
+    for (let channel = 0; channel < channelCount; channel++) {
+      channels[channel][frame] = read(frameOffset + channel * bytesPerSample);
+    }
+  }
+
+  return { kind: 'channels', channels, samplingRate };
+}
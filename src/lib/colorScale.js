@@ -0,0 +1,165 @@
+import { formatValue } from './format';
+
+// Percentiles are taken from at most this many values, spread evenly over
+// the scalogram.
+const MAX_SAMPLES = 200000;
+
+/**
+ * Mappings from coefficient values to colormap positions. The log and
+ * decibel scalings colour identically and differ only in their labels;
+ * both need a view with a `decibels` factor.
+ */
+export const colorScalings = {
+  linear: { label: 'Linear' },
+  log: { label: 'Logarithmic' },
+  db: { label: 'Decibels' }
+};
+
+// Values of `rows` passed through `transform`, skipping NaN results and
+// coefficients where `mask` is set, unless the mask leaves nothing.
+const sampleValues = (rows, mask, transform) => {
+  const width = rows[0].length;
+  const total = rows.length * width;
+  const stride = Math.max(1, Math.ceil(total / MAX_SAMPLES));
+  const collect = (masked) => {
+    const values = [];
+    for (let k = 0; k < total; k += stride) {
+      const y = Math.floor(k / width);
+      const x = k - y * width;
+      if (masked && mask[y][x]) {
+        continue;
+      }
+      const value = transform(rows[y][x]);
+      if (!Number.isNaN(value)) {
+        values.push(value);
+      }
+    }
+    return Float64Array.from(values).sort();
+  };
+  const values = mask ? collect(true) : [];
+  return values.length > 0 ? values : collect(false);
+};
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) {
+    return NaN;
+  }
+  const position = Math.min(1, Math.max(0, p / 100)) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(sorted.length - 1, lower + 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Round tick values between lo and hi, as close to `count` of them as a
+// step of 1, 2 or 5 times a power of ten allows, and at least `minStep`.
+const niceTicks = (lo, hi, count, minStep = 0) => {
+  const magnitude = 10 ** Math.floor(Math.log10((hi - lo) / count));
+  const misfit = (step) => Math.abs((hi - lo) / step - count);
+  const step = Math.max(minStep, [1, 2, 5, 10].map((m) => m * magnitude).reduce((best, s) => (misfit(s) < misfit(best) ? s : best)));
+  const ticks = [];
+  for (let value = Math.ceil(lo / step - 1e-9) * step; value <= hi + step * 1e-9; value += step) {
+    ticks.push(Math.abs(value) < step * 1e-9 ? 0 : value);
+  }
+  return ticks;
+};
+
+const PHASE_TICKS = [
+  { value: -Math.PI, label: '-π' },
+  { value: -Math.PI / 2, label: '-π/2' },
+  { value: 0, label: '0' },
+  { value: Math.PI / 2, label: 'π/2' },
+  { value: Math.PI, label: 'π' }
+];
+
+/**
+ * Colour range for scalogram rows. Cyclic views cover [-pi, pi]; signed
+ * views are symmetric about zero, reaching the `upper` percentile of the
+ * absolute values; other views run from the `lower` to the `upper`
+ * percentile, linearly or in log10 of the value. Values outside the range
+ * are clipped to its ends.
+ *
+ * @param {ArrayLike<number>[]} rows - One row per scale.
+ * @param {object} options
+ * @param {{ label: string, signed: boolean, cyclic: boolean, decibels?: number }} options.view
+ *   An entry of `coefficientViews`.
+ * @param {keyof colorScalings} [options.scaling='linear'] - Ignored by views
+ *   without a `decibels` factor.
+ * @param {number[]} [options.percentiles=[0, 100]] - Lower and upper.
+ * @param {ArrayLike<number>[]} [options.mask] - Non-zero entries are left
+ *   out of the percentiles.
+ * @param {number[]} [options.domain] - A fixed linear range, used instead of
+ *   the percentiles.
+ * @returns {{
+ *   scaling: keyof colorScalings,
+ *   domain: number[],
+ *   label: string,
+ *   normalize: (value: number) => number,
+ *   ticks: (count?: number) => { position: number, label: string }[]
+ * }} `normalize` maps a value to [0, 1]; tick positions are in the same
+ *   units.
+ */
+export function colorScale(rows, options) {
+  const { view, scaling = 'linear', percentiles = [0, 100], mask, domain: fixedDomain } = options;
+  const [lower, upper] = percentiles;
+
+  if (view.cyclic) {
+    return {
+      scaling: 'linear',
+      domain: [-Math.PI, Math.PI],
+      label: view.label + ' (rad)',
+      normalize: (value) => (value + Math.PI) / (2 * Math.PI),
+      ticks: () => PHASE_TICKS.map(({ value, label }) => ({ position: (value + Math.PI) / (2 * Math.PI), label }))
+    };
+  }
+
+  if (scaling !== 'linear' && view.decibels && !view.signed && !fixedDomain) {
+    const sample = sampleValues(rows, mask, (value) => (value > 0 ? Math.log10(value) : NaN));
+    const lo = sample.length > 0 ? percentile(sample, lower) : 0;
+    let hi = sample.length > 0 ? percentile(sample, upper) : 1;
+    if (!(hi > lo)) {
+      hi = lo + 1;
+    }
+    // Decibels are relative to the largest value, which sits at 0 dB.
+    const reference = sample.length > 0 ? sample[sample.length - 1] : hi;
+    const position = (exponent) => (exponent - lo) / (hi - lo);
+    return {
+      scaling,
+      domain: [10 ** lo, 10 ** hi],
+      label: view.label + (scaling === 'db' ? ' (dB)' : ''),
+      normalize: (value) => (value > 0 ? position(Math.log10(value)) : 0),
+      ticks: (count = 5) => (scaling === 'db'
+        ? niceTicks(view.decibels * (lo - reference), view.decibels * (hi - reference), count).map((db) => ({
+          position: position(db / view.decibels + reference),
+          label: db.toFixed(0) + ' dB'
+        }))
+        : niceTicks(lo, hi, count, hi - lo >= 2 ? 1 : 0).map((exponent) => ({
+          position: position(exponent),
+          label: Number.isInteger(exponent) ? '1e' + exponent : formatValue(10 ** exponent)
+        })))
+    };
+  }
+
+  let lo;
+  let hi;
+  if (fixedDomain) {
+    [lo, hi] = fixedDomain;
+  } else if (view.signed) {
+    hi = percentile(sampleValues(rows, mask, Math.abs), upper) || 1;
+    lo = -hi;
+  } else {
+    const sample = sampleValues(rows, mask, (value) => value);
+    lo = sample.length > 0 ? percentile(sample, lower) : 0;
+    hi = sample.length > 0 ? percentile(sample, upper) : 1;
+  }
+  if (!(hi > lo)) {
+    hi = lo + (Math.abs(lo) || 1);
+  }
+  const position = (value) => (value - lo) / (hi - lo);
+  return {
+    scaling: 'linear',
+    domain: [lo, hi],
+    label: view.label,
+    normalize: position,
+    ticks: (count = 5) => niceTicks(lo, hi, count).map((value) => ({ position: position(value), label: formatValue(value) }))
+  };
+}
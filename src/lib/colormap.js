@@ -0,0 +1,116 @@
+/**
+ * Colormaps as evenly spaced sRGB stops, interpolated into 256-entry tables
+ * the first time they are used. The sequential maps follow matplotlib's
+ * perceptually uniform ones; `cyclic` maps start and end on the same colour
+ * so that phase wraps round without a seam.
+ */
+export const colormaps = {
+  viridis: {
+    label: 'Viridis',
+    cyclic: false,
+    stops: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21908c', '#27ad81', '#5dc863', '#aadc32', '#fde725']
+  },
+  magma: {
+    label: 'Magma',
+    cyclic: false,
+    stops: ['#000004', '#1d1147', '#51127c', '#822681', '#b63679', '#e65164', '#fb8861', '#fec287', '#fcfdbf']
+  },
+  inferno: {
+    label: 'Inferno',
+    cyclic: false,
+    stops: ['#000004', '#1f0c48', '#550f6d', '#88226a', '#ba3655', '#e35932', '#f98c0a', '#f9c932', '#fcffa4']
+  },
+  cividis: {
+    label: 'Cividis',
+    cyclic: false,
+    stops: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8678', '#a59c74', '#c3b369', '#e1cc55', '#fee838']
+  },
+  grayscale: {
+    label: 'Grayscale',
+    cyclic: false,
+    stops: ['#000000', '#ffffff']
+  },
+  twilight: {
+    label: 'Twilight (Cyclic)',
+    cyclic: true,
+    stops: ['#e2d9e2', '#9fb4d2', '#6783c1', '#5a4ca8', '#2f1436', '#7a2755', '#b05a4f', '#cf9d8c', '#e2d9e2']
+  }
+};
+
+// Cyclic views fall back to this map when a sequential one is selected.
+const DEFAULT_CYCLIC_COLORMAP = 'twilight';
+const TABLE_SIZE = 256;
+const tables = {};
+
+const parseHex = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+const colormapTable = (name) => {
+  if (!tables[name]) {
+    const colormap = colormaps[name];
+    if (!colormap) {
+      throw new Error('Unknown colormap: ' + name);
+    }
+    const stops = colormap.stops.map(parseHex);
+    const table = new Uint8ClampedArray(TABLE_SIZE * 3);
+    for (let k = 0; k < TABLE_SIZE; k++) {
+      const position = k / (TABLE_SIZE - 1) * (stops.length - 1);
+      const lower = Math.min(stops.length - 2, Math.floor(position));
+      const f = position - lower;
+      for (let c = 0; c < 3; c++) {
+        table[k * 3 + c] = Math.round(stops[lower][c] * (1 - f) + stops[lower + 1][c] * f);
+      }
+    }
+    tables[name] = table;
+  }
+  return tables[name];
+};
+
+/**
+ * Colour of a value in [0, 1] (clamped) on a colormap, as [r, g, b].
+ *
+ * @param {keyof colormaps} name
+ * @param {number} value
+ * @returns {number[]}
+ */
+export function colormapColor(name, value) {
+  const table = colormapTable(name);
+  const k = Math.round(Math.min(1, Math.max(0, value || 0)) * (TABLE_SIZE - 1)) * 3;
+  return [table[k], table[k + 1], table[k + 2]];
+}
+
+/**
+ * The colormap to draw a coefficient view with: the selected one, unless
+ * the view is cyclic and the selected map is not.
+ *
+ * @param {{ cyclic: boolean }} view - An entry of `coefficientViews`.
+ * @param {keyof colormaps} name
+ * @returns {keyof colormaps}
+ */
+export function colormapFor(view, name) {
+  return view.cyclic && !colormaps[name].cyclic ? DEFAULT_CYCLIC_COLORMAP : name;
+}
+
+/**
+ * Colour of one scalogram value as [r, g, b] on a linear scale. Cyclic
+ * views (phase, in radians) wrap round a cyclic map; the others are scaled
+ * by `maxValue`, the largest absolute value on display, and signed views
+ * are centred on zero.
+ *
+ * @param {number} value
+ * @param {number} maxValue
+ * @param {{ signed: boolean, cyclic: boolean }} view - An entry of
+ *   `coefficientViews`.
+ * @param {keyof colormaps} [colormap='viridis']
+ * @returns {number[]}
+ */
+export function scalogramColor(value, maxValue, view, colormap = 'viridis') {
+  const name = colormapFor(view, colormap);
+  if (view.cyclic) {
+    return colormapColor(name, (value + Math.PI) / (2 * Math.PI));
+  }
+  return colormapColor(name, view.signed ? (value / maxValue + 1) / 2 : value / maxValue);
+}
+
+// Line colours for overlaid series such as ridges and modes, chosen to stand
+// out against the scalogram and the chart background.
+export const seriesColors = ['#f97316', '#22c55e', '#e879f9', '#facc15', '#38bdf8'];
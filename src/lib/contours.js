@@ -0,0 +1,120 @@
+// Marching-squares cases: for each 4-bit corner pattern (top-left 8,
+// top-right 4, bottom-right 2, bottom-left 1), the cell edges joined by
+// contour segments. Saddles (5, 10) keep the high corners apart.
+const CASES = [
+  [],
+  [['left', 'bottom']],
+  [['bottom', 'right']],
+  [['left', 'right']],
+  [['top', 'right']],
+  [['left', 'bottom'], ['top', 'right']],
+  [['top', 'bottom']],
+  [['left', 'top']],
+  [['left', 'top']],
+  [['top', 'bottom']],
+  [['left', 'top'], ['bottom', 'right']],
+  [['top', 'right']],
+  [['left', 'right']],
+  [['bottom', 'right']],
+  [['left', 'bottom']],
+  [],
+];
+
+/**
+ * Traces the `level` contour of a grid with marching squares.
+ *
+ * @param {ArrayLike<number>} grid - Row-major, `height` rows of `width`
+ *   values. Cells touching a NaN are skipped.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} level
+ * @returns {number[][]} Segments as [x1, y1, x2, y2], in grid coordinates
+ *   where value (x, y) sits at the point (x, y).
+ */
+export function contourSegments(grid, width, height, level) {
+  const segments = [];
+  const crossing = (a, b) => (level - a) / (b - a);
+
+  for (let y = 0; y + 1 < height; y++) {
+    for (let x = 0; x + 1 < width; x++) {
+      const tl = grid[y * width + x];
+      const tr = grid[y * width + x + 1];
+      const br = grid[(y + 1) * width + x + 1];
+      const bl = grid[(y + 1) * width + x];
+      if (Number.isNaN(tl + tr + br + bl)) {
+        continue;
+      }
+      const index = (tl > level ? 8 : 0) | (tr > level ? 4 : 0) | (br > level ? 2 : 0) | (bl > level ? 1 : 0);
+      if (index === 0 || index === 15) {
+        continue;
+      }
+
+      const point = (edge) => {
+        switch (edge) {
+          case 'top': return [x + crossing(tl, tr), y];
+          case 'right': return [x + 1, y + crossing(tr, br)];
+          case 'bottom': return [x + crossing(bl, br), y + 1];
+          default: return [x, y + crossing(tl, bl)];
+        }
+      };
+      for (const [from, to] of CASES[index]) {
+        segments.push([...point(from), ...point(to)]);
+      }
+    }
+  }
+  return segments;
+}
+
+/**
+ * SVG path data for the `level` contour of a grid, with value (x, y) at the
+ * centre of pixel (x, y) of a `width` by `height` image.
+ */
+export function contourPath(grid, width, height, level) {
+  return contourSegments(grid, width, height, level)
+    .map(([x1, y1, x2, y2]) => 'M' + (x1 + 0.5).toFixed(2) + ',' + (y1 + 0.5).toFixed(2)
+      + 'L' + (x2 + 0.5).toFixed(2) + ',' + (y2 + 0.5).toFixed(2))
+    .join('');
+}
+
+/**
+ * SVG path data for a curve with one (fractional) row per sample, drawn
+ * across a `width`-column image of the same grid; wider curves are
+ * decimated like the image.
+ */
+export function linePath(rows, width) {
+  let path = '';
+  for (let x = 0; x < width; x++) {
+    const y = rows[Math.floor(x * rows.length / width)];
+    path += (x === 0 ? 'M' : 'L') + (x + 0.5).toFixed(2) + ',' + (y + 0.5).toFixed(2);
+  }
+  return path;
+}
+
+/**
+ * Outline of the region inside the cone of influence, in fractions of the
+ * image size (for an SVG path in objectBoundingBox units): for each column,
+ * the rows whose frequency falls below the cone's frequency there.
+ *
+ * @param {ArrayLike<number>} coi - Smallest reliable frequency per sample.
+ * @param {ArrayLike<number>} frequencies - One per row, falling down the
+ *   image.
+ * @returns {string}
+ */
+export function coneOfInfluencePath(coi, frequencies) {
+  const rows = frequencies.length;
+  const step = Math.max(1, Math.ceil(coi.length / 512));
+  const boundary = (n) => {
+    // Frequencies fall down the image, so the reliable rows are on top.
+    let reliableRows = 0;
+    while (reliableRows < rows && frequencies[reliableRows] >= coi[n]) {
+      reliableRows++;
+    }
+    return reliableRows / rows;
+  };
+
+  let path = 'M0,1 L0,' + boundary(0);
+  for (let n = 0; n < coi.length; n += step) {
+    path += ' L' + ((n + 0.5) / coi.length) + ',' + boundary(n);
+  }
+  return path + ' L1,' + boundary(coi.length - 1) + ' L1,1 Z';
+}
@@ -0,0 +1,22 @@
+const REVOKE_DELAY_MS = 10000;
+
+/**
+ * Saves `content` as a file through a temporary object URL.
+ *
+ * @param {BlobPart|BlobPart[]} content
+ * @param {string} filename
+ * @param {string} type - MIME type.
+ */
+export function downloadFile(content, filename, type) {
+  const blob = new Blob(Array.isArray(content) ? content : [content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download only after click() returns, so the URL
+  // must outlive this call.
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
@@ -0,0 +1,22 @@
+export const formatFrequency = (value) => {
+  if (value >= 100) {
+    return value.toFixed(0) + ' Hz';
+  }
+  return value.toFixed(value >= 10 ? 1 : 2) + ' Hz';
+};
+
+export const formatTime = (value) => value.toFixed(value >= 10 ? 1 : 2) + ' s';
+
+/**
+ * Short label for a coefficient value.
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+export const formatValue = (value) => {
+  const magnitude = Math.abs(value);
+  if (value !== 0 && (magnitude >= 1e4 || magnitude < 1e-3)) {
+    return value.toExponential(1);
+  }
+  return String(Number(value.toPrecision(3)));
+};
@@ -0,0 +1,39 @@
+import { colormapColor } from './colormap';
+
+/**
+ * Renders scalogram rows (one per scale) to a PNG data URL, one pixel row
+ * per scale. Rows wider than `maxWidth` are decimated.
+ *
+ * @param {ArrayLike<number>[]} rows
+ * @param {object} options
+ * @param {{ normalize: (value: number) => number }} options.scale - From
+ *   `colorScale`.
+ * @param {string} options.colormap - A key of `colormaps`.
+ * @param {number} [options.maxWidth=2048]
+ * @returns {string}
+ */
+export function renderScalogramImage(rows, { scale, colormap, maxWidth = 2048 }) {
+  const height = rows.length;
+  const signalLength = rows[0].length;
+  const width = Math.min(signalLength, maxWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const sample = Math.floor(x * signalLength / width);
+      const [r, g, b] = colormapColor(colormap, scale.normalize(rows[y][sample]));
+      imageData.data[i] = r;
+      imageData.data[i + 1] = g;
+      imageData.data[i + 2] = b;
+      imageData.data[i + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+  return canvas.toDataURL();
+}
@@ -0,0 +1,156 @@
+import { colormapColor } from './colormap';
+import { coneOfInfluencePath } from './contours';
+import { formatFrequency, formatTime } from './format';
+import { visibleTicks } from './viewport';
+
+// Layout at a width of BASE_WIDTH pixels; everything scales with the width.
+const BASE_WIDTH = 1200;
+const MARGIN = { top: 40, right: 130, bottom: 56, left: 84 };
+const FONT_SIZE = 13;
+const TICK_LENGTH = 5;
+const COLOR_BAR_WIDTH = 16;
+const GRADIENT_STOPS = 32;
+const BACKGROUND = '#111827';
+const TEXT_COLOR = '#e5e7eb';
+const AXIS_COLOR = '#6b7280';
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, (char) => '&#' + char.charCodeAt(0) + ';');
+
+const number = (value) => Number(value.toFixed(2));
+
+/**
+ * An annotated scalogram as a standalone SVG document: the image (cropped to
+ * `view`), the cone of influence, contour overlays, frequency and time
+ * axes, a colour bar and a title.
+ *
+ * @param {object} options
+ * @param {string} options.image - Scalogram bitmap as a data URL.
+ * @param {{ x0: number, x1: number, y0: number, y1: number }} options.view
+ * @param {ArrayLike<number>} options.frequencies - Hz, one per row.
+ * @param {number} options.signalLength
+ * @param {number} options.samplingRate
+ * @param {ArrayLike<number>} [options.coi]
+ * @param {string} [options.coiDisplay='hidden'] - 'hatched', 'dimmed' or
+ *   'hidden'; both visible modes are exported as a dimmed region.
+ * @param {{ width: number, rows: number, contours: object[] }[]} [options.overlays]
+ *   As passed to `ContourOverlay`.
+ * @param {string} options.colormap
+ * @param {{ label: string, ticks: Function }} options.scale - From
+ *   `colorScale`.
+ * @param {string} [options.title]
+ * @param {number} options.width - Pixels.
+ * @param {number} options.height - Pixels.
+ * @returns {string}
+ */
+export function scalogramSvg(options) {
+  const {
+    image, view, frequencies, signalLength, samplingRate, coi, coiDisplay = 'hidden',
+    overlays = [], colormap, scale, title = '', width, height
+  } = options;
+  const unit = width / BASE_WIDTH;
+  const left = MARGIN.left * unit;
+  const top = MARGIN.top * unit;
+  const plotWidth = width - (MARGIN.left + MARGIN.right) * unit;
+  const plotHeight = height - (MARGIN.top + MARGIN.bottom) * unit;
+  const fontSize = FONT_SIZE * unit;
+  const tick = TICK_LENGTH * unit;
+  const parts = [];
+  const text = (x, y, content, attributes = '') => {
+    parts.push('<text x="' + number(x) + '" y="' + number(y) + '" ' + attributes + '>' + escapeXml(content) + '</text>');
+  };
+
+  parts.push('<rect width="100%" height="100%" fill="' + BACKGROUND + '"/>');
+  parts.push('<g font-family="sans-serif" font-size="' + number(fontSize) + '" fill="' + TEXT_COLOR + '">');
+  if (title) {
+    text(left, top - fontSize, title, 'font-weight="bold"');
+  }
+
+  // The image and overlays are drawn in image fractions, 0 to 1 on both
+  // axes, inside a nested viewport that crops them to the view.
+  parts.push(
+    '<svg x="' + number(left) + '" y="' + number(top) + '" width="' + number(plotWidth) + '" height="' + number(plotHeight)
+    + '" viewBox="' + [view.x0, view.y0, view.x1 - view.x0, view.y1 - view.y0].join(' ') + '" preserveAspectRatio="none">'
+  );
+  parts.push('<image href="' + image + '" width="1" height="1" preserveAspectRatio="none" style="image-rendering:pixelated"/>');
+  if (coi && coiDisplay !== 'hidden') {
+    parts.push('<path d="' + coneOfInfluencePath(coi, frequencies) + '" fill="black" fill-opacity="0.55"/>');
+  }
+  for (const overlay of overlays) {
+    parts.push('<g transform="scale(' + (1 / overlay.width) + ' ' + (1 / overlay.rows) + ')" fill="none">');
+    for (const { path, stroke = 'white', strokeWidth = 1, strokeDasharray } of overlay.contours) {
+      parts.push(
+        '<path d="' + path + '" stroke="' + stroke + '" stroke-width="' + number(strokeWidth * unit) + '"'
+        + (strokeDasharray ? ' stroke-dasharray="' + strokeDasharray.split(' ').map((dash) => number(dash * unit)).join(' ') + '"' : '')
+        + ' vector-effect="non-scaling-stroke"/>'
+      );
+    }
+    parts.push('</g>');
+  }
+  parts.push('</svg>');
+  parts.push(
+    '<rect x="' + number(left) + '" y="' + number(top) + '" width="' + number(plotWidth) + '" height="' + number(plotHeight)
+    + '" fill="none" stroke="' + AXIS_COLOR + '"/>'
+  );
+
+  for (const { cell, position } of visibleTicks(frequencies.length, view.y0, view.y1, 6)) {
+    const y = top + position * plotHeight;
+    parts.push('<line x1="' + number(left - tick) + '" x2="' + number(left) + '" y1="' + number(y) + '" y2="' + number(y) + '" stroke="' + AXIS_COLOR + '"/>');
+    text(left - 2 * tick, y, formatFrequency(frequencies[cell]), 'text-anchor="end" dominant-baseline="middle"');
+  }
+  for (const { cell, position } of visibleTicks(signalLength, view.x0, view.x1, 6)) {
+    const x = left + position * plotWidth;
+    const y = top + plotHeight;
+    parts.push('<line x1="' + number(x) + '" x2="' + number(x) + '" y1="' + number(y) + '" y2="' + number(y + tick) + '" stroke="' + AXIS_COLOR + '"/>');
+    text(x, y + tick + fontSize, formatTime(cell / samplingRate), 'text-anchor="middle"');
+  }
+  text(left + plotWidth / 2, height - fontSize * 0.8, 'Time', 'text-anchor="middle"');
+  text(fontSize * 1.2, top + plotHeight / 2, 'Frequency', 'text-anchor="middle" transform="rotate(-90 ' + number(fontSize * 1.2) + ' ' + number(top + plotHeight / 2) + ')"');
+
+  const barX = left + plotWidth + 2 * fontSize;
+  const barWidth = COLOR_BAR_WIDTH * unit;
+  const stops = Array.from({ length: GRADIENT_STOPS + 1 }, (_, k) => {
+    const [r, g, b] = colormapColor(colormap, k / GRADIENT_STOPS);
+    return '<stop offset="' + (k / GRADIENT_STOPS) + '" stop-color="rgb(' + r + ',' + g + ',' + b + ')"/>';
+  });
+  parts.push('<defs><linearGradient id="colorbar" x1="0" y1="1" x2="0" y2="0">' + stops.join('') + '</linearGradient></defs>');
+  parts.push('<rect x="' + number(barX) + '" y="' + number(top) + '" width="' + number(barWidth) + '" height="' + number(plotHeight) + '" fill="url(#colorbar)"/>');
+  for (const { position, label } of scale.ticks(5)) {
+    const y = top + (1 - position) * plotHeight;
+    parts.push('<line x1="' + number(barX + barWidth) + '" x2="' + number(barX + barWidth + tick) + '" y1="' + number(y) + '" y2="' + number(y) + '" stroke="' + AXIS_COLOR + '"/>');
+    text(barX + barWidth + 2 * tick, y, label, 'dominant-baseline="middle"');
+  }
+  const labelX = width - fontSize;
+  text(labelX, top + plotHeight / 2, scale.label, 'text-anchor="middle" transform="rotate(-90 ' + number(labelX) + ' ' + number(top + plotHeight / 2) + ')"');
+
+  parts.push('</g>');
+  return '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">'
+    + parts.join('') + '</svg>';
+}
+
+/**
+ * Rasterises an SVG document to a PNG of the given size.
+ *
+ * @param {string} svg
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Blob>}
+ */
+export function svgToPng(svg, width, height) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the PNG'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render the SVG'));
+    };
+    image.src = url;
+  });
+}
@@ -0,0 +1,137 @@
+/**
+ * Reading and writing analysis settings as URL parameters and JSON. A schema
+ * maps each setting to its kind:
+ *
+ * - `{ type: 'enum', values }` - one of the listed strings;
+ * - `{ type: 'number', min, max }` or `{ type: 'integer', min, max }` - with
+ *   optional inclusive bounds, and optionally `below`, the name of another
+ *   setting it must be less than;
+ * - `{ type: 'boolean' }`;
+ * - `{ type: 'record' }` - an object of numbers, written to URLs as one
+ *   `name.key=value` parameter per entry; only checked to be finite here,
+ *   since which keys and ranges apply is up to the caller;
+ * - `{ type: 'list', validate }` - an array whose entries `validate` returns a
+ *   clean copy of, or undefined to drop; written to URLs as JSON.
+ *
+ * Values that are missing, malformed or out of range are left out, as is
+ * a pair that breaks `below`, so a stale or hand-edited link still restores
+ * whatever it can.
+ */
+
+const validValue = (field, value) => {
+  switch (field.type) {
+    case 'enum':
+      return field.values.includes(value) ? value : undefined;
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number) || (field.type === 'integer' && !Number.isInteger(number))) {
+        return undefined;
+      }
+      return (field.min === undefined || number >= field.min) && (field.max === undefined || number <= field.max) ? number : undefined;
+    }
+    case 'boolean':
+      if (value === true || value === 'true' || value === '1') {
+        return true;
+      }
+      return value === false || value === 'false' || value === '0' ? false : undefined;
+    case 'record': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return undefined;
+      }
+      const entries = Object.entries(value)
+        .map(([key, entry]) => [key, validValue({ type: 'number' }, entry)])
+        .filter(([, entry]) => entry !== undefined);
+      return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+    }
+    case 'list': {
+      let list = value;
+      if (typeof value === 'string') {
+        try {
+          list = JSON.parse(value);
+        } catch {
+          return undefined;
+        }
+      }
+      return Array.isArray(list) ? list.map((entry) => field.validate(entry)).filter((entry) => entry !== undefined) : undefined;
+    }
+    default:
+      throw new Error('Unknown setting type: ' + field.type);
+  }
+};
+
+/**
+ * The settings of `values` that fit `schema`.
+ *
+ * @param {Object<string, object>} schema
+ * @param {object} values - For example parsed from a JSON preset.
+ * @returns {object}
+ */
+export function validateSettings(schema, values) {
+  const settings = {};
+  if (typeof values !== 'object' || values === null) {
+    return settings;
+  }
+  for (const [name, field] of Object.entries(schema)) {
+    const value = validValue(field, values[name]);
+    if (value !== undefined) {
+      settings[name] = value;
+    }
+  }
+  for (const [name, { below }] of Object.entries(schema)) {
+    if (below && settings[name] !== undefined && settings[below] !== undefined && !(settings[name] < settings[below])) {
+      delete settings[name];
+      delete settings[below];
+    }
+  }
+  return settings;
+}
+
+/**
+ * Writes settings as URL parameters, in schema order.
+ *
+ * @param {Object<string, object>} schema
+ * @param {object} settings
+ * @returns {string} Without a leading `?` or `#`.
+ */
+export function encodeSettings(schema, settings) {
+  const params = new URLSearchParams();
+  for (const [name, field] of Object.entries(schema)) {
+    const value = settings[name];
+    if (value === undefined) {
+      continue;
+    }
+    if (field.type === 'record') {
+      for (const [key, entry] of Object.entries(value)) {
+        params.append(name + '.' + key, String(entry));
+      }
+    } else if (field.type === 'list') {
+      params.append(name, JSON.stringify(value));
+    } else {
+      params.append(name, String(value));
+    }
+  }
+  return params.toString();
+}
+
+/**
+ * Reads settings from URL parameters written by `encodeSettings`.
+ *
+ * @param {Object<string, object>} schema
+ * @param {string} text - With or without a leading `?` or `#`.
+ * @returns {object}
+ */
+export function decodeSettings(schema, text) {
+  const params = new URLSearchParams(text.replace(/^[?#]/, ''));
+  const values = {};
+  for (const [key, value] of params) {
+    const dot = key.indexOf('.');
+    if (dot > 0 && schema[key.slice(0, dot)]?.type === 'record') {
+      const name = key.slice(0, dot);
+      values[name] = { ...values[name], [key.slice(dot + 1)]: value };
+    } else {
+      values[key] = value;
+    }
+  }
+  return validateSettings(schema, values);
+}
@@ -0,0 +1,92 @@
+/**
+ * The whole of an image, as fractions of its width (time) and height (rows).
+ */
+export const FULL_VIEW = { x0: 0, x1: 1, y0: 0, y1: 1 };
+
+/**
+ * Keeps a view inside the image and no narrower than the minimum spans.
+ *
+ * @param {{ x0: number, x1: number, y0: number, y1: number }} view
+ * @param {number} minWidth - Smallest width, as a fraction of the image.
+ * @param {number} minHeight - Smallest height, as a fraction of the image.
+ * @returns {{ x0: number, x1: number, y0: number, y1: number }}
+ */
+export function clampView({ x0, x1, y0, y1 }, minWidth, minHeight) {
+  const width = Math.min(1, Math.max(minWidth, x1 - x0));
+  const height = Math.min(1, Math.max(minHeight, y1 - y0));
+  const left = Math.min(1 - width, Math.max(0, x0));
+  const top = Math.min(1 - height, Math.max(0, y0));
+  return { x0: left, x1: left + width, y0: top, y1: top + height };
+}
+
+/**
+ * Evenly spaced ticks over the part of `count` cells (columns or rows)
+ * between the fractions `start` and `end`, centred on cells.
+ *
+ * @param {number} count
+ * @param {number} start
+ * @param {number} end
+ * @param {number} tickCount - At most this many ticks.
+ * @returns {{ cell: number, position: number }[]} `position` is a fraction
+ *   of the visible span.
+ */
+export function visibleTicks(count, start, end, tickCount) {
+  const first = Math.floor(start * count);
+  const last = Math.max(first, Math.ceil(end * count) - 1);
+  const ticks = Math.min(tickCount, last - first + 1);
+  return Array.from({ length: ticks }, (_, k) => {
+    const cell = ticks > 1 ? Math.round(first + k * (last - first) / (ticks - 1)) : first;
+    return { cell, position: ((cell + 0.5) / count - start) / (end - start) };
+  });
+}
+
+// Continuous row index of a fraction of the image height, and back; row k
+// is centred on k + 0.5 rows from the top.
+const toRow = (fraction, rows) => fraction * rows - 0.5;
+const toFraction = (row, rows) => (row + 0.5) / rows;
+
+/**
+ * The frequency at a fraction of the image height, for an image whose rows
+ * are centred on `frequencies`. Frequencies are interpolated on a log scale
+ * between rows and extrapolated beyond the first and last.
+ *
+ * @param {ArrayLike<number>} frequencies - One per row, in Hz.
+ * @param {number} fraction
+ * @returns {number}
+ */
+export function fractionToFrequency(frequencies, fraction) {
+  const rows = frequencies.length;
+  if (rows === 1) {
+    return frequencies[0];
+  }
+  const row = toRow(fraction, rows);
+  const k = Math.min(rows - 2, Math.max(0, Math.floor(row)));
+  const low = Math.log(frequencies[k]);
+  return Math.exp(low + (row - k) * (Math.log(frequencies[k + 1]) - low));
+}
+
+/**
+ * The fraction of the image height at which a frequency falls; the inverse
+ * of `fractionToFrequency`.
+ *
+ * @param {ArrayLike<number>} frequencies - One per row, in Hz, either
+ *   rising or falling.
+ * @param {number} frequency - In Hz.
+ * @returns {number} Outside [0, 1] for frequencies beyond the image.
+ */
+export function frequencyToFraction(frequencies, frequency) {
+  const rows = frequencies.length;
+  if (rows === 1) {
+    return 0.5;
+  }
+  const target = Math.log(frequency);
+  const direction = Math.sign(frequencies[rows - 1] - frequencies[0]);
+  // The first row whose successor lies beyond the target, or the last pair.
+  let k = 0;
+  while (k < rows - 2 && direction * (Math.log(frequencies[k + 1]) - target) < 0) {
+    k++;
+  }
+  const low = Math.log(frequencies[k]);
+  const step = Math.log(frequencies[k + 1]) - low;
+  return toFraction(k + (step === 0 ? 0 : (target - low) / step), rows);
+}
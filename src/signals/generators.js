@@ -0,0 +1,368 @@
+import { mulberry32, gaussian } from '../dsp/random.js';
+
+/**
+ * Test signal generators. Each returns plain sample values; the caller
+ * attaches the time axis.
+ *
+ * Every waveform is described by `sample(t, context)`, its value at time `t`
+ * (seconds) for unit amplitude, where `context` holds the `frequency`, the
+ * `phase` offset, the signal's `duration` and the waveform's own tunable
+ * `parameters`. Sweeping waveforms also give `frequencyAt(t, context)`, their
+ * instantaneous frequency.
+ */
+
+const TWO_PI = 2 * Math.PI;
+
+// Cycles completed by time t of a sweep from `frequency` to `endFrequency`
+// over `duration`, whose frequency changes linearly, exponentially, or
+// hyperbolically (linearly in period).
+const sweeps = {
+  linear: {
+    cycles: (t, { frequency, endFrequency, duration }) => frequency * t + (endFrequency - frequency) * t * t / (2 * duration),
+    frequencyAt: (t, { frequency, endFrequency, duration }) => frequency + (endFrequency - frequency) * t / duration,
+  },
+  exponential: {
+    cycles: (t, { frequency, endFrequency, duration }) => {
+      const rate = Math.log(endFrequency / frequency) / duration;
+      return rate === 0 ? frequency * t : frequency * Math.expm1(rate * t) / rate;
+    },
+    frequencyAt: (t, { frequency, endFrequency, duration }) => frequency * (endFrequency / frequency) ** (t / duration),
+  },
+  hyperbolic: {
+    cycles: (t, { frequency, endFrequency, duration }) => {
+      const slope = (1 / endFrequency - 1 / frequency) / duration;
+      return slope === 0 ? frequency * t : Math.log1p(slope * frequency * t) / slope;
+    },
+    frequencyAt: (t, { frequency, endFrequency, duration }) => 1 / (1 / frequency + (1 / endFrequency - 1 / frequency) * t / duration),
+  },
+};
+
+const sweepWaveform = (label, { cycles, frequencyAt }) => ({
+  label,
+  frequencyLabel: 'Start Frequency',
+  parameters: {
+    endFrequency: { label: 'End Frequency', min: 0.1, max: 100, step: 0.1, default: 20 },
+  },
+  sample: (t, context) => Math.sin(TWO_PI * cycles(t, context) + context.phase),
+  frequencyAt,
+});
+
+export const waveforms = {
+  sine: {
+    label: 'Sine Wave',
+    parameters: {},
+    sample: (t, { frequency, phase }) => Math.sin(TWO_PI * frequency * t + phase),
+  },
+  square: {
+    label: 'Square Wave',
+    parameters: {},
+    sample: (t, { frequency, phase }) => Math.sign(Math.sin(TWO_PI * frequency * t + phase)),
+  },
+  sawtooth: {
+    label: 'Sawtooth Wave',
+    parameters: {},
+    sample: (t, { frequency, phase }) => {
+      const cycles = frequency * t + phase / TWO_PI;
+      return 2 * (cycles - Math.floor(0.5 + cycles));
+    },
+  },
+  // Phase 2 pi f t^2, so the frequency rises as 2 f t.
+  chirp: {
+    label: 'Chirp Signal',
+    parameters: {},
+    sample: (t, { frequency, phase }) => Math.sin(TWO_PI * frequency * t * t + phase),
+    frequencyAt: (t, { frequency }) => 2 * frequency * t,
+  },
+  linearChirp: sweepWaveform('Linear Chirp', sweeps.linear),
+  exponentialChirp: sweepWaveform('Exponential Chirp', sweeps.exponential),
+  hyperbolicChirp: sweepWaveform('Hyperbolic Chirp', sweeps.hyperbolic),
+  // The envelope 1 + m sin(2 pi fm t) is scaled by 1 / (1 + m) so that the
+  // peak stays at the amplitude.
+  am: {
+    label: 'AM Tone',
+    frequencyLabel: 'Carrier Frequency',
+    parameters: {
+      modulationFrequency: { label: 'Modulation Frequency', min: 0.1, max: 10, step: 0.1, default: 0.5 },
+      modulationDepth: { label: 'Modulation Depth', min: 0, max: 1, step: 0.05, default: 0.8 },
+    },
+    sample: (t, { frequency, phase, modulationFrequency, modulationDepth }) =>
+      (1 + modulationDepth * Math.sin(TWO_PI * modulationFrequency * t)) / (1 + modulationDepth)
+        * Math.sin(TWO_PI * frequency * t + phase),
+  },
+  // Frequency f + deviation sin(2 pi fm t).
+  fm: {
+    label: 'FM Tone',
+    frequencyLabel: 'Carrier Frequency',
+    parameters: {
+      modulationFrequency: { label: 'Modulation Frequency', min: 0.1, max: 10, step: 0.1, default: 0.5 },
+      deviation: { label: 'Frequency Deviation (Hz)', min: 0, max: 20, step: 0.1, default: 2 },
+    },
+    sample: (t, { frequency, phase, modulationFrequency, deviation }) => Math.sin(
+      TWO_PI * (frequency * t + deviation * (1 - Math.cos(TWO_PI * modulationFrequency * t)) / (TWO_PI * modulationFrequency)) + phase
+    ),
+    frequencyAt: (t, { frequency, modulationFrequency, deviation }) => frequency + deviation * Math.sin(TWO_PI * modulationFrequency * t),
+  },
+  // A cosine under a Gaussian envelope of standard deviation `width`,
+  // centred in the signal.
+  gaussianPulse: {
+    label: 'Gaussian Pulse',
+    parameters: {
+      width: { label: 'Pulse Width (s)', min: 0.01, max: 1, step: 0.01, default: 0.1 },
+    },
+    sample: (t, { frequency, phase, duration, width }) => {
+      const offset = t - duration / 2;
+      return Math.exp(-0.5 * (offset / width) ** 2) * Math.cos(TWO_PI * frequency * offset + phase);
+    },
+  },
+  dampedOscillation: {
+    label: 'Damped Oscillation',
+    parameters: {
+      decay: { label: 'Decay Time (s)', min: 0.01, max: 5, step: 0.01, default: 0.3 },
+    },
+    sample: (t, { frequency, phase, decay }) => Math.exp(-t / decay) * Math.sin(TWO_PI * frequency * t + phase),
+  },
+};
+
+/**
+ * Default parameter values for a waveform, keyed by parameter name.
+ *
+ * @param {keyof waveforms} type
+ * @returns {object}
+ */
+export function defaultWaveformParameters(type) {
+  return Object.fromEntries(Object.entries(waveforms[type].parameters).map(([name, { default: value }]) => [name, value]));
+}
+
+/**
+ * The instantaneous frequency of a sweeping waveform, as a function of time
+ * in seconds, or null for waveforms whose frequency stays put.
+ *
+ * @param {keyof waveforms} type
+ * @param {object} options
+ * @param {number} options.frequency - In Hz.
+ * @param {object} [options.parameters] - Missing ones take their defaults.
+ * @param {number} options.duration - In seconds.
+ * @returns {((t: number) => number)|null}
+ */
+export function instantaneousFrequency(type, { frequency, parameters = {}, duration }) {
+  const { frequencyAt } = waveforms[type];
+  if (!frequencyAt) {
+    return null;
+  }
+  const context = { ...defaultWaveformParameters(type), ...parameters, frequency, phase: 0, duration };
+  return (t) => frequencyAt(t, context);
+}
+
+export const noiseTypes = {
+  uniform: { label: 'Uniform White Noise' },
+  gaussian: { label: 'Gaussian White Noise' },
+  pink: { label: 'Pink Noise' },
+  brown: { label: 'Brown Noise' },
+};
+
+// Scales `values` in place to zero mean and the given standard deviation.
+const standardize = (values, deviation) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  const factor = variance > 0 ? deviation / Math.sqrt(variance) : 0;
+  for (let i = 0; i < values.length; i++) {
+    values[i] = (values[i] - mean) * factor;
+  }
+  return values;
+};
+
+/**
+ * Noise of one of the `noiseTypes`. Uniform noise spans `level` peak to
+ * peak; the others have the same standard deviation, level / sqrt(12), so
+ * every type carries the same power. Pink noise (power falling as 1/f) comes
+ * from Paul Kellet's filter of white noise and brown noise (1/f^2) from its
+ * running sum; both are scaled to that deviation over the whole record.
+ *
+ * @param {object} options
+ * @param {keyof noiseTypes} [options.type='uniform']
+ * @param {number} options.level
+ * @param {number} [options.seed] - Seed for `mulberry32`; without one the
+ *   noise differs on every call.
+ * @param {number} options.sampleCount
+ * @returns {Float64Array}
+ */
+export function generateNoise({ type = 'uniform', level, seed, sampleCount }) {
+  const random = seed === undefined ? Math.random : mulberry32(seed);
+  const noise = new Float64Array(sampleCount);
+  if (level === 0 || sampleCount === 0) {
+    return noise;
+  }
+  if (type === 'uniform') {
+    for (let i = 0; i < sampleCount; i++) {
+      noise[i] = (random() - 0.5) * level;
+    }
+    return noise;
+  }
+  const deviation = level / Math.sqrt(12);
+  const normal = gaussian(random);
+  if (type === 'gaussian') {
+    for (let i = 0; i < sampleCount; i++) {
+      noise[i] = normal() * deviation;
+    }
+    return noise;
+  }
+  if (type === 'pink') {
+    const b = [0, 0, 0, 0, 0, 0, 0];
+    for (let i = 0; i < sampleCount; i++) {
+      const white = normal();
+      b[0] = 0.99886 * b[0] + white * 0.0555179;
+      b[1] = 0.99332 * b[1] + white * 0.0750759;
+      b[2] = 0.969 * b[2] + white * 0.153852;
+      b[3] = 0.8665 * b[3] + white * 0.3104856;
+      b[4] = 0.55 * b[4] + white * 0.5329522;
+      b[5] = -0.7616 * b[5] - white * 0.016898;
+      noise[i] = b[0] + b[1] + b[2] + b[3] + b[4] + b[5] + b[6] + white * 0.5362;
+      b[6] = white * 0.115926;
+    }
+    return standardize(noise, deviation);
+  }
+  if (type === 'brown') {
+    let sum = 0;
+    for (let i = 0; i < sampleCount; i++) {
+      sum += normal();
+      noise[i] = sum;
+    }
+    return standardize(noise, deviation);
+  }
+  throw new Error('Unknown noise type: ' + type);
+}
+
+/**
+ * Samples one of the `waveforms` with noise added.
+ *
+ * @param {object} options
+ * @param {keyof waveforms} options.type
+ * @param {number} options.frequency - In Hz; the start frequency of a sweep
+ *   and the carrier of a modulated tone.
+ * @param {number} options.amplitude
+ * @param {number} [options.phase=0] - Phase offset, in radians.
+ * @param {object} [options.parameters] - The waveform's own parameters;
+ *   missing ones take their defaults.
+ * @param {keyof noiseTypes} [options.noiseType='uniform']
+ * @param {number} [options.noiseLevel=0] - As for `generateNoise`.
+ * @param {number} [options.seed] - Seed for the noise, which otherwise
+ *   differs on every call.
+ * @param {number} options.samplingRate - In Hz.
+ * @param {number} options.sampleCount
+ * @returns {Float64Array}
+ */
+export function generateWaveform({
+  type, frequency, amplitude, phase = 0, parameters = {}, noiseType = 'uniform', noiseLevel = 0, seed, samplingRate, sampleCount
+}) {
+  const definition = waveforms[type];
+  if (!definition) {
+    throw new Error('Unknown waveform: ' + type);
+  }
+  const context = { ...defaultWaveformParameters(type), ...parameters, frequency, phase, duration: sampleCount / samplingRate };
+  const values = generateNoise({ type: noiseType, level: noiseLevel, seed, sampleCount });
+  for (let i = 0; i < sampleCount; i++) {
+    values[i] += amplitude * definition.sample(i / samplingRate, context);
+  }
+  return values;
+}
+
+export const transients = {
+  impulse: { label: 'Impulse' },
+  step: { label: 'Step' },
+  burst: { label: 'Gaussian Burst' },
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * A clean copy of one component of a composed signal, or undefined if it is
+ * not one. Waveform components take the fields of `generateWaveform`, with
+ * the waveform's parameters alongside (missing ones take their defaults),
+ * plus an onset `start` and offset `end`; transients take a `time`, an
+ * `amplitude` and, for bursts, a `frequency` and a `width`. Times are in
+ * seconds.
+ *
+ * @param {object} value
+ * @returns {object|undefined}
+ */
+export function validComponent(value) {
+  if (typeof value !== 'object' || value === null) {
+    return undefined;
+  }
+  const definition = waveforms[value.type];
+  const component = definition ? { ...defaultWaveformParameters(value.type), ...value } : value;
+  const fields = definition
+    ? ['frequency', 'amplitude', 'phase', 'start', 'end'].concat(Object.keys(definition.parameters))
+    : component.type === 'burst'
+      ? ['time', 'amplitude', 'frequency', 'width']
+      : transients[component.type] ? ['time', 'amplitude'] : null;
+  if (!fields || !fields.every((field) => isFiniteNumber(component[field]))) {
+    return undefined;
+  }
+  if (component.frequency <= 0 || component.width <= 0) {
+    return undefined;
+  }
+  const outOfRange = definition && Object.entries(definition.parameters)
+    .some(([name, { min, max }]) => component[name] < min || component[name] > max);
+  if (outOfRange) {
+    return undefined;
+  }
+  return Object.fromEntries([['type', component.type]].concat(fields.map((field) => [field, component[field]])));
+}
+
+/**
+ * Sums any number of components into one signal, with noise added.
+ * A waveform component is zero outside `[start, end)` and its time runs from
+ * its onset, so a chirp sweeps up from there. An impulse is a single sample,
+ * a step holds its amplitude from `time` on and a burst is a cosine at
+ * `frequency` under a Gaussian envelope whose standard deviation is `width`.
+ *
+ * @param {object} options
+ * @param {object[]} options.components - As accepted by `validComponent`.
+ * @param {keyof noiseTypes} [options.noiseType='uniform']
+ * @param {number} [options.noiseLevel=0] - As for `generateNoise`.
+ * @param {number} [options.seed] - Seed for the noise.
+ * @param {number} options.samplingRate - In Hz.
+ * @param {number} options.sampleCount
+ * @returns {Float64Array}
+ */
+export function composeSignal({ components, noiseType = 'uniform', noiseLevel = 0, seed, samplingRate, sampleCount }) {
+  const values = generateNoise({ type: noiseType, level: noiseLevel, seed, sampleCount });
+  for (const component of components) {
+    const { type, amplitude } = component;
+    if (waveforms[type]) {
+      const first = Math.max(0, Math.ceil(component.start * samplingRate));
+      const last = Math.min(sampleCount, Math.ceil(component.end * samplingRate));
+      if (last <= first) {
+        continue;
+      }
+      const wave = generateWaveform({
+        type,
+        frequency: component.frequency,
+        amplitude,
+        phase: component.phase,
+        parameters: Object.fromEntries(Object.keys(waveforms[type].parameters).map((name) => [name, component[name]])),
+        samplingRate,
+        sampleCount: last - first
+      });
+      for (let i = first; i < last; i++) {
+        values[i] += wave[i - first];
+      }
+    } else if (type === 'impulse') {
+      const i = Math.round(component.time * samplingRate);
+      if (i >= 0 && i < sampleCount) {
+        values[i] += amplitude;
+      }
+    } else if (type === 'step') {
+      for (let i = Math.max(0, Math.ceil(component.time * samplingRate)); i < sampleCount; i++) {
+        values[i] += amplitude;
+      }
+    } else if (type === 'burst') {
+      for (let i = 0; i < sampleCount; i++) {
+        const offset = i / samplingRate - component.time;
+        values[i] += amplitude * Math.exp(-0.5 * (offset / component.width) ** 2) * Math.cos(2 * Math.PI * component.frequency * offset);
+      }
+    }
+  }
+  return values;
+}